@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+// Build the app's data files from raw location exports, fully offline.
+//
+//   npm run build-data -- --input takeout/ [--input tracks/] [--output public/data]
+//
+// Each --input is one source (a phone's Takeout, a GPS logger's tracks); sources are
+// merged and the same stay or trip recorded by several of them is kept once.
+// Reads Google Takeout (Records.json, Semantic Location History/*.json, Timeline.json)
+// and GeoJSON tracks, then writes visits.json, trips.json, arcs.json, metadata.json and
+// place_details_cache.json, plus the same visits and trips split into per-year chunks/<year>.json
+// files indexed by manifest.json. The app streams the chunks when there's a manifest and reads
+// the single files otherwise. Places are enriched only from the existing cache, never the network.
+import { readdir, readFile, writeFile, mkdir, stat } from 'node:fs/promises'
+import path from 'node:path'
+import { parseTakeout, combineTakeout } from '../src/utils/takeout.js'
+import { isGeoJSON, parseGeoJSONTracks } from '../src/utils/tracks.js'
+import { mergeDatasets } from '../src/utils/merge.js'
+import { buildChunks } from '../src/utils/dataset.js'
+
+const USAGE = `Usage: npm run build-data -- --input <dir|file> [--input ...] [--output <dir>] [--places <file>]
+
+  --input    Takeout folder or file to read (repeatable; each one is a separate source)
+  --output   Where to write the data files (default: public/data)
+  --places   Place details cache to enrich from (default: <output>/place_details_cache.json)
+
+Reads Takeout JSON and GeoJSON. GPX and KML files need a DOM parser and are skipped here;
+import those in the app instead.`
+
+function parseArgs(argv) {
+  const args = { inputs: [], output: 'public/data', places: null }
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    const [flag, inline] = arg.split('=')
+    const value = inline ?? argv[i + 1]
+    if (flag === '--help' || flag === '-h') {
+      args.help = true
+      continue
+    }
+    if (!['--input', '--output', '--places'].includes(flag)) {
+      throw new Error(`Unknown argument: ${arg}`)
+    }
+    if (value === undefined) throw new Error(`Missing value for ${flag}`)
+    if (inline === undefined) i++
+    if (flag === '--input') args.inputs.push(value)
+    if (flag === '--output') args.output = value
+    if (flag === '--places') args.places = value
+  }
+  return args
+}
+
+async function collectFiles(target) {
+  const info = await stat(target)
+  if (info.isFile()) return [target]
+  const entries = await readdir(target, { withFileTypes: true })
+  const nested = await Promise.all(entries.map(entry => {
+    const full = path.join(target, entry.name)
+    return entry.isDirectory() ? collectFiles(full) : [full]
+  }))
+  return nested.flat()
+}
+
+async function readJson(file) {
+  return JSON.parse(await readFile(file, 'utf8'))
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2))
+  if (args.help || args.inputs.length === 0) {
+    console.log(USAGE)
+    process.exitCode = args.help ? 0 : 1
+    return
+  }
+
+  const formats = {}
+  let fileCount = 0
+  let skipped = 0
+
+  const sources = []
+  for (const input of args.inputs) {
+    const files = await collectFiles(input)
+    fileCount += files.length
+    const parsedFiles = []
+    const tracks = { format: 'tracks', visits: [], trips: [] }
+
+    for (const file of files) {
+      const lower = file.toLowerCase()
+      if (lower.endsWith('.gpx') || lower.endsWith('.kml')) {
+        console.warn(`Skipping ${file}: GPX and KML are only supported by the in-app importer`)
+        skipped++
+        continue
+      }
+      if (!lower.endsWith('.json') && !lower.endsWith('.geojson')) continue
+
+      try {
+        const json = await readJson(file)
+        if (isGeoJSON(json)) {
+          const result = parseGeoJSONTracks(json)
+          tracks.visits.push(...result.visits)
+          tracks.trips.push(...result.trips)
+          formats.geojson = (formats.geojson || 0) + 1
+          continue
+        }
+        const parsed = parseTakeout(json)
+        if (!parsed) {
+          skipped++
+          continue
+        }
+        parsedFiles.push(parsed)
+        formats[parsed.format] = (formats[parsed.format] || 0) + 1
+      } catch (err) {
+        console.warn(`Skipping ${file}: ${err.message}`)
+        skipped++
+      }
+    }
+
+    const { visits, trips } = combineTakeout([...parsedFiles, tracks])
+    if (visits.length > 0 || trips.length > 0) {
+      sources.push({ source: path.basename(path.resolve(input)), visits, trips })
+    }
+  }
+
+  if (sources.length === 0) {
+    throw new Error('No location history found in the given inputs')
+  }
+
+  const placesPath = args.places || path.join(args.output, 'place_details_cache.json')
+  let placeDetails = {}
+  let cacheRead = false
+  try {
+    placeDetails = await readJson(placesPath)
+    cacheRead = true
+  } catch {
+    console.warn(`No place details cache at ${placesPath}; place names come from the exports only`)
+  }
+
+  const { dataset, stats } = mergeDatasets(sources, { placeDetails })
+  const { visits, trips, arcs, metadata } = dataset
+
+  // The app streams chunks by year, so the manifest records each one's size for its progress bar
+  const { manifest, chunks } = buildChunks(dataset)
+  const chunkFiles = chunks.map((chunk, i) => {
+    const content = JSON.stringify(chunk)
+    manifest.chunks[i].bytes = Buffer.byteLength(content)
+    return { file: manifest.chunks[i].file, content }
+  })
+
+  await mkdir(path.join(args.output, 'chunks'), { recursive: true })
+  const outputPlacesPath = path.join(args.output, 'place_details_cache.json')
+  await Promise.all([
+    ...chunkFiles.map(({ file, content }) => writeFile(path.join(args.output, file), content)),
+    writeFile(path.join(args.output, 'manifest.json'), JSON.stringify(manifest, null, 2)),
+    writeFile(path.join(args.output, 'visits.json'), JSON.stringify(visits)),
+    writeFile(path.join(args.output, 'trips.json'), JSON.stringify(trips)),
+    writeFile(path.join(args.output, 'arcs.json'), JSON.stringify(arcs)),
+    writeFile(path.join(args.output, 'metadata.json'), JSON.stringify(metadata, null, 2)),
+    // The cache is only copied when it lives elsewhere; rewriting it in place would just churn the
+    // file. Without one, an empty cache is written so the app finds every file it reads.
+    !cacheRead || path.resolve(placesPath) !== path.resolve(outputPlacesPath)
+      ? writeFile(outputPlacesPath, JSON.stringify(placeDetails, null, 2))
+      : null
+  ])
+
+  // Summary
+  const placeIds = new Set(visits.map(v => v.placeId).filter(Boolean))
+  const uncached = [...placeIds].filter(id => !(id in placeDetails)).length
+  const formatDate = (ts) => ts ? new Date(ts * 1000).toISOString().slice(0, 10) : '—'
+
+  console.log(`\nRead ${fileCount} files (${Object.entries(formats).map(([f, n]) => `${f} ×${n}`).join(', ')}${skipped ? `, ${skipped} skipped` : ''})`)
+  if (sources.length > 1 || stats.duplicateVisits || stats.duplicateTrips) {
+    console.log(`Merged ${sources.length} sources (${stats.duplicateVisits} duplicate visits, ${stats.duplicateTrips} duplicate trips resolved)`)
+  }
+  console.log(`Wrote ${args.output}/`)
+  console.log(`  totalVisits  ${metadata.totalVisits}`)
+  console.log(`  totalTrips   ${metadata.totalTrips}`)
+  console.log(`  totalArcs    ${metadata.totalArcs}`)
+  console.log(`  chunks       ${manifest.chunks.map(c => c.year).join(', ')}`)
+  console.log(`  range        ${formatDate(metadata.minTimestamp)} → ${formatDate(metadata.maxTimestamp)}`)
+  console.log('  semanticTypes')
+  const width = Math.max(...Object.keys(metadata.semanticTypes).map(t => t.length))
+  for (const [type, count] of Object.entries(metadata.semanticTypes)) {
+    console.log(`    ${type.padEnd(width)}  ${count}`)
+  }
+  console.log(`  places       ${placeIds.size} (${placeIds.size - uncached} from cache, ${uncached} not cached)`)
+}
+
+main().catch(err => {
+  console.error(`build-data: ${err.message}`)
+  process.exitCode = 1
+})
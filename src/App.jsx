@@ -1,4 +1,4 @@
-import { useState, useEffect, useMemo, useRef } from 'react'
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react'
 import FlowMap from './components/FlowMap'
 import Controls from './components/Controls'
 import Stats from './components/Stats'
@@ -8,22 +8,218 @@ import DayReplay from './components/DayReplay'
 import TimeDisplay from './components/TimeDisplay'
 import CountryStats from './components/CountryStats'
 import ChatBot from './components/ChatBot'
+import DataImporter from './components/DataImporter'
+import DataExporter from './components/DataExporter'
+import AnimationRecorder from './components/AnimationRecorder'
+import PosterExport from './components/PosterExport'
+import DataHealth from './components/DataHealth'
+import FilterPanel from './components/FilterPanel'
+import EditPanel from './components/EditPanel'
+import PrivacyPanel from './components/PrivacyPanel'
+import BookmarksPanel from './components/BookmarksPanel'
+import ProfilesPanel from './components/ProfilesPanel'
+import ComparePanel, { formatPeriod } from './components/ComparePanel'
+import CalendarPanel from './components/CalendarPanel'
+import JourneysPanel from './components/JourneysPanel'
+import { mergeDatasets } from './utils/merge'
+import { streamDataFiles, validateDataset } from './utils/loadData'
+import { createQueryService, EMPTY_QUERY_RESULT } from './utils/queryService'
+import { createVisitStore, dayKey, dayStart } from './utils/visitStore'
+import { createCountryResolver } from './utils/countryIndex'
+import { joinPlaceDetails } from './utils/places'
+import { EMPTY_FILTERS, isFilterActive, filterVisitStore, filterTrips } from './utils/filters'
+import { applyEdits, openEditLog } from './utils/edits'
+import { activeZones, applyPrivacy, trimTrips, loadPrivacySettings, savePrivacySettings } from './utils/privacy'
+import { encodeLink, decodeLink, datesToTimeRange } from './utils/deepLink'
+import { loadBookmarks, saveBookmarks, createBookmark } from './utils/bookmarks'
+import { profileOf, sortProfiles, profileColors } from './utils/profiles'
+import { createCameraSync } from './utils/cameraSync'
+import { summarizeDays } from './utils/days'
+import { lowerBound, arcsHaveBuckets } from './utils/aggregate'
+import { detectJourneys } from './utils/journeys'
+import * as clock from './utils/clock'
 import './App.css'
 
+// Play runs through the selected range in a minute
+const PLAY_DURATION = 60000
+// One Day Replay loop: 15 s of the day plus the 2 s pause before it starts again
+const DAY_REPLAY_LOOP = 17000
+// The address bar follows the view once it has been still this long
+const LINK_DELAY = 800
+// Camera flights started by back/forward, which shouldn't add history of their own
+const RESTORE_WINDOW = 2500
+
 function App() {
-  const [data, setData] = useState({ visits: [], trips: [], arcs: [], metadata: null })
+  const [data, setData] = useState({ visits: [], trips: [], arcs: [], metadata: null, countries: null, placeDetails: null })
+  const [health, setHealth] = useState(null)
   const [loading, setLoading] = useState(true)
+  const [loadProgress, setLoadProgress] = useState(null)
+  const [streaming, setStreaming] = useState(null)
+  // The view a shared link asked for; the time window is applied once the manifest is in
+  const [initialLink] = useState(() => decodeLink(window.location.search))
   const [timeRange, setTimeRange] = useState([0, 1])
-  const [visibleLayers, setVisibleLayers] = useState({
+  const [visibleLayers, setVisibleLayers] = useState(() => initialLink.visibleLayers || {
     visits: true,
     arcs: true,
     trips: true,
     hexagon: false
   })
   const [animating, setAnimatingState] = useState(false)
-  const [flyToLocation, setFlyToLocation] = useState(null)
+  const [flyToLocation, setFlyToLocation] = useState(() =>
+    initialLink.view && !initialLink.day ? { ...initialLink.view, transitionDuration: 0 } : null
+  )
   const [dayReplayActive, setDayReplayActive] = useState(false)
   const [selectedDayVisits, setSelectedDayVisits] = useState(null)
+  // A Day Replay date from a link, opened once its visits are loaded
+  const [pendingDay, setPendingDay] = useState(initialLink.day)
+  // A linked window is mapped onto the slider once the timeline's span is known
+  const [pendingRange, setPendingRange] = useState(() => (initialLink.day ? null : initialLink.range))
+  const [mapView, setMapView] = useState(null)
+  // Compare mode: a second time range (slider positions) shown beside the main one, or null
+  const [compareRange, setCompareRange] = useState(null)
+  const cameraSync = useMemo(createCameraSync, [])
+  const [filters, setFilters] = useState(() => initialLink.filters || EMPTY_FILTERS)
+  const [edits, setEdits] = useState([])
+  const [editingVisit, setEditingVisit] = useState(null)
+  const [privacy, setPrivacy] = useState(loadPrivacySettings)
+  const [privacyOpen, setPrivacyOpen] = useState(false)
+  const [zoneDraft, setZoneDraft] = useState(null)
+  const [mapImageRequest, setMapImageRequest] = useState(null)
+  const [bookmarks, setBookmarks] = useState(loadBookmarks)
+
+  // The poster asks FlowMap for an offscreen render of its layers at print size
+  const requestMapImage = useCallback(
+    (size) => new Promise((resolve, reject) => setMapImageRequest({ ...size, resolve, reject })),
+    []
+  )
+
+  useEffect(() => {
+    savePrivacySettings(privacy)
+  }, [privacy])
+
+  useEffect(() => {
+    saveBookmarks(bookmarks)
+  }, [bookmarks])
+
+  // Sorted, indexed visits every component reads from: local edits replayed over the loaded
+  // data, category and rating from place_details_cache.json, privacy zones applied last,
+  // countries from countries.geojson
+  const resolveCountry = useMemo(() => createCountryResolver(data.countries), [data.countries])
+  const enrichedVisits = useMemo(
+    () => joinPlaceDetails(applyEdits(data.visits, edits), data.placeDetails),
+    [data.visits, edits, data.placeDetails]
+  )
+  const privacyZones = useMemo(() => activeZones(privacy, enrichedVisits), [privacy, enrichedVisits])
+  const visitStore = useMemo(
+    () => createVisitStore(applyPrivacy(enrichedVisits, privacyZones, privacy.mode, privacy.salt), { resolveCountry }),
+    [enrichedVisits, privacyZones, privacy.mode, privacy.salt, resolveCountry]
+  )
+  const privateTrips = useMemo(() => trimTrips(data.trips, privacyZones), [data.trips, privacyZones])
+
+  // While drafting a zone, map clicks place a circle or add a polygon corner
+  const handleMapClick = useCallback((coordinate) => {
+    if (!zoneDraft) return
+    if (zoneDraft.shape === 'polygon') {
+      setZoneDraft({ ...zoneDraft, points: [...zoneDraft.points, coordinate] })
+      return
+    }
+    setPrivacy(prev => ({
+      ...prev,
+      zones: [...prev.zones, {
+        id: `zone-${Date.now()}`,
+        name: `Area ${prev.zones.length + 1}`,
+        shape: 'circle',
+        center: coordinate,
+        radius: zoneDraft.radius
+      }]
+    }))
+    setZoneDraft(null)
+  }, [zoneDraft])
+
+  // Edits live in IndexedDB; without it they still work for the session
+  const editLogRef = useRef(null)
+  useEffect(() => {
+    let cancelled = false
+    openEditLog().then(async (log) => {
+      if (cancelled || !log) return
+      editLogRef.current = log
+      const saved = await log.list()
+      // Edits made while the log was still opening stay, after the saved ones
+      if (!cancelled) setEdits(prev => [...saved, ...prev.filter(edit => !saved.some(s => s.id === edit.id))])
+    }).catch(err => console.warn('Could not read local edits:', err))
+    return () => { cancelled = true }
+  }, [])
+
+  // A failed write keeps the edit for the session, as if there were no IndexedDB
+  const addEdit = useCallback(async (edit) => {
+    let saved = null
+    try {
+      saved = await editLogRef.current?.add(edit)
+    } catch (err) {
+      console.warn('Could not save edit locally:', err)
+    }
+    setEdits(prev => [...prev, saved || { ...edit, id: Date.now(), createdAt: Date.now() }])
+  }, [])
+
+  const undoEdit = useCallback(async () => {
+    const last = edits[edits.length - 1]
+    if (!last) return
+    setEdits(prev => prev.filter(edit => edit.id !== last.id))
+    try {
+      await editLogRef.current?.remove(last.id)
+    } catch (err) {
+      console.warn('Could not remove edit locally:', err)
+    }
+  }, [edits])
+
+  const clearEdits = useCallback(async () => {
+    setEdits([])
+    try {
+      await editLogRef.current?.clear()
+    } catch (err) {
+      console.warn('Could not clear local edits:', err)
+    }
+  }, [])
+
+  // The filter panel's selection, applied once here for the map, panels and ChatBot
+  const filteredStore = useMemo(
+    () => filterVisitStore(visitStore, filters, { resolveCountry }),
+    [visitStore, filters, resolveCountry]
+  )
+  const filteredTrips = useMemo(() => filterTrips(privateTrips, filters), [privateTrips, filters])
+  // Home, away nights and trips come from everything loaded, so filters change what's shown but
+  // not where home was; the calendar counts only the filtered visits
+  const allDays = useMemo(() => summarizeDays(visitStore), [visitStore])
+  const allJourneys = useMemo(() => detectJourneys(allDays, visitStore), [allDays, visitStore])
+  const days = useMemo(
+    () => (filteredStore === visitStore ? allDays : summarizeDays(filteredStore, allDays)),
+    [filteredStore, visitStore, allDays]
+  )
+  // Trips with any of the filtered visits
+  const journeys = useMemo(() => {
+    if (days === allDays) return allJourneys
+    const keys = days.map(day => day.key)
+    return allJourneys.filter(journey => keys[lowerBound(keys, journey.start, key => key)] <= journey.end)
+  }, [days, allDays, allJourneys])
+  // arcs.json covers every loaded visit, so a filtered, edited or protected selection needs its
+  // own arcs, as does one without monthly buckets to window by time; null has the query worker
+  // build them from the visits, off the main thread
+  const arcsBucketed = useMemo(() => arcsHaveBuckets(data.arcs), [data.arcs])
+  const filteredArcs = !arcsBucketed || isFilterActive(filters) || edits.length > 0 || privacyZones.length > 0
+    ? null
+    : data.arcs
+
+  // Everyone loaded, whether shown or not, so colors stay put while toggling
+  const profiles = useMemo(() => sortProfiles(visitStore.groupBy('profile').map(({ key }) => key)), [visitStore])
+  const colors = useMemo(() => profileColors(profiles), [profiles])
+  // With one person the map keeps its time colors
+  const mapProfileColors = profiles.length > 1 ? colors : null
+
+  // Day Replay follows the shown profiles: one person's day, or everyone's side by side
+  const replayVisits = useMemo(() => {
+    if (!selectedDayVisits || filters.profiles.length === 0) return selectedDayVisits
+    return selectedDayVisits.filter(visit => filters.profiles.includes(profileOf(visit)))
+  }, [selectedDayVisits, filters.profiles])
   
   // Animation state refs
   const animationStartRange = useRef(null)
@@ -42,12 +238,8 @@ function App() {
         const maxTime = data.metadata.maxTimestamp
         const rangeStart = minTime + (maxTime - minTime) * timeRange[0]
         
-        const sortedVisits = [...data.visits]
-          .filter(v => v.timestamp >= rangeStart)
-          .sort((a, b) => a.timestamp - b.timestamp)
-        
-        if (sortedVisits.length > 0) {
-          const firstVisit = sortedVisits[0]
+        const firstVisit = filteredStore.after(rangeStart)
+        if (firstVisit) {
           setFlyToLocation({
             longitude: firstVisit.coordinates[0],
             latitude: firstVisit.coordinates[1],
@@ -76,14 +268,11 @@ function App() {
         const maxTime = data.metadata.maxTimestamp
         const rangeStart = minTime + (maxTime - minTime) * animationStartRange.current[0]
         
-        const sortedVisits = [...data.visits]
-          .filter(v => v.timestamp >= rangeStart)
-          .sort((a, b) => a.timestamp - b.timestamp)
-        
-        if (sortedVisits.length > 0) {
+        const firstVisit = filteredStore.after(rangeStart)
+        if (firstVisit) {
           setFlyToLocation({
-            longitude: sortedVisits[0].coordinates[0],
-            latitude: sortedVisits[0].coordinates[1],
+            longitude: firstVisit.coordinates[0],
+            latitude: firstVisit.coordinates[1],
             zoom: 12
           })
         }
@@ -102,33 +291,208 @@ function App() {
     animationProgress.current = 0
   }
 
+  // Render as soon as the most recent year is in; older years stream in behind it
+  const streamRef = useRef(null)
   useEffect(() => {
-    const loadData = async () => {
-      try {
-        const [visitsRes, tripsRes, arcsRes, metaRes] = await Promise.all([
-          fetch('/data/visits.json'),
-          fetch('/data/trips.json'),
-          fetch('/data/arcs.json'),
-          fetch('/data/metadata.json')
-        ])
-        
-        const [visits, trips, arcs, metadata] = await Promise.all([
-          visitsRes.json(),
-          tripsRes.json(),
-          arcsRes.json(),
-          metaRes.json()
-        ])
-        
-        setData({ visits, trips, arcs, metadata })
-        setLoading(false)
-      } catch (err) {
-        console.error('Failed to load data:', err)
+    let ready = false
+    const stream = streamDataFiles('/data', {
+      onManifest: ({ metadata, chunks }) => {
+        // A linked day or window loads first; Day Replay sets its own window when it opens
+        if (initialLink.day) {
+          const start = dayStart(initialLink.day)
+          return datesToTimeRange([start, start], metadata)
+        }
+        if (initialLink.range) return datesToTimeRange(initialLink.range, metadata)
+        // Otherwise the whole span stays selected and the latest year is fetched first
+        const latest = chunks[chunks.length - 1]
+        const span = metadata.maxTimestamp - metadata.minTimestamp
+        return latest && span > 0
+          ? [Math.max(0, (latest.minTimestamp - metadata.minTimestamp) / span), 1]
+          : [0, 1]
+      },
+      onProgress: (progress) => {
+        if (ready) setStreaming(progress.done ? null : progress)
+        else setLoadProgress(progress)
+      },
+      onUpdate: ({ data, health }) => {
+        setData(data)
+        setHealth(health)
+      },
+      onReady: () => {
+        ready = true
         setLoading(false)
       }
+    })
+    streamRef.current = stream
+    return () => stream.cancel()
+  }, [])
+
+  // Whichever way the data loaded, its metadata places the linked window on the slider
+  useEffect(() => {
+    if (!pendingRange || !data.metadata) return
+    setTimeRange(datesToTimeRange(pendingRange, data.metadata))
+    setPendingRange(null)
+  }, [pendingRange, data.metadata])
+
+  // A linked day with fewer than two visits has nothing to replay and is dropped
+  useEffect(() => {
+    if (!pendingDay || loading) return
+    const dayVisits = visitStore.day(pendingDay)
+    if (dayVisits.length > 1) {
+      setSelectedDayVisits(dayVisits)
+      setDayReplayActive(true)
+    }
+    setPendingDay(null)
+  }, [pendingDay, loading, visitStore])
+
+  // Mirror the view into the address bar so it can be shared, bookmarked and stepped through
+  // with back/forward. Play and a linked day or window still opening are left to settle first.
+  const linkDay = dayReplayActive && selectedDayVisits?.length > 0 ? dayKey(selectedDayVisits[0].timestamp) : null
+  const link = useMemo(
+    () => (data.metadata && mapView
+      ? encodeLink({ timeRange, metadata: data.metadata, visibleLayers, view: mapView, day: linkDay, filters })
+      : null),
+    [timeRange, data.metadata, visibleLayers, mapView, linkDay, filters]
+  )
+  const linkHistory = useRef({ written: false, restoredAt: 0 })
+  useEffect(() => {
+    if (!link || animating || pendingDay || pendingRange) return
+    const timer = setTimeout(() => {
+      const search = `?${link}`
+      if (search === window.location.search) return
+      const url = `${window.location.pathname}${search}${window.location.hash}`
+      // The address the app opened with, and views settling after back/forward, aren't new steps
+      const history = linkHistory.current
+      if (history.written && Date.now() - history.restoredAt > RESTORE_WINDOW) {
+        window.history.pushState(null, '', url)
+      } else {
+        window.history.replaceState(null, '', url)
+      }
+      history.written = true
+    }, LINK_DELAY)
+    return () => clearTimeout(timer)
+  }, [link, animating, pendingDay, pendingRange])
+
+  // Put the app into the view a link describes, flying the camera there
+  const openLink = (link, { transitionDuration } = {}) => {
+    const restored = decodeLink(link)
+    stopAnimation()
+    if (restored.visibleLayers) setVisibleLayers(restored.visibleLayers)
+    setFilters(restored.filters || EMPTY_FILTERS)
+    if (restored.range) setTimeRange(datesToTimeRange(restored.range, data.metadata))
+    if (restored.view) setFlyToLocation({ ...restored.view, transitionDuration })
+    if (restored.day) {
+      setPendingDay(restored.day)
+    } else {
+      setDayReplayActive(false)
+      setSelectedDayVisits(null)
+    }
+  }
+
+  useEffect(() => {
+    if (!data.metadata) return
+    const handlePopState = () => {
+      linkHistory.current.restoredAt = Date.now()
+      openLink(window.location.search, { transitionDuration: 1000 })
     }
-    loadData()
+    window.addEventListener('popstate', handlePopState)
+    return () => window.removeEventListener('popstate', handlePopState)
+  }, [data.metadata])
+
+  // Fetch the years the slider moved onto before the rest
+  useEffect(() => {
+    streamRef.current?.prioritize(timeRange)
+  }, [timeRange])
+
+  // Time filtering and aggregation run in a worker so Play and scrubbing keep their frame rate
+  const queryServiceRef = useRef(null)
+  const [queryResult, setQueryResult] = useState(EMPTY_QUERY_RESULT)
+  const [compareResult, setCompareResult] = useState(EMPTY_QUERY_RESULT)
+  // Queries not yet answered, so a recording can wait for each frame's data
+  const pendingQueries = useRef(0)
+  useEffect(() => {
+    const service = createQueryService()
+    queryServiceRef.current = service
+    return () => service.terminate()
   }, [])
 
+  useEffect(() => {
+    queryServiceRef.current.setData(filteredStore.visits, filteredTrips, filteredArcs, data.countries)
+  }, [filteredStore, filteredTrips, filteredArcs, data.countries])
+
+  useEffect(() => {
+    if (!data.metadata) return
+    const minTime = data.metadata.minTimestamp
+    const maxTime = data.metadata.maxTimestamp
+    const range = [
+      minTime + (maxTime - minTime) * timeRange[0],
+      minTime + (maxTime - minTime) * timeRange[1]
+    ]
+
+    // Day replay shows the selected day's trips, padded to catch ones that start or end outside its visits
+    let tripRange = null
+    if (dayReplayActive && replayVisits?.length > 0) {
+      const dayTimestamps = replayVisits.map(v => v.timestamp)
+      tripRange = [Math.min(...dayTimestamps) - 3600, Math.max(...dayTimestamps) + 3600]
+    }
+
+    pendingQueries.current++
+    queryServiceRef.current.query({
+      range,
+      tripRange,
+      include: { grid: visibleLayers.hexagon, arcs: visibleLayers.arcs, places: Boolean(compareRange) }
+    })
+      .then(result => result && setQueryResult(result))
+      .catch(err => console.warn('Query failed:', err))
+      .finally(() => { pendingQueries.current-- })
+  }, [filteredStore, filteredTrips, filteredArcs, data.metadata, timeRange, dayReplayActive, replayVisits, visibleLayers.hexagon, visibleLayers.arcs, compareRange])
+
+  // Compare mode's second period, on its own channel so the main query never supersedes it.
+  // The old numbers are cleared first, so the table says "Counting…" rather than showing them.
+  useEffect(() => {
+    setCompareResult(EMPTY_QUERY_RESULT)
+    if (!data.metadata || !compareRange) return
+    const minTime = data.metadata.minTimestamp
+    const maxTime = data.metadata.maxTimestamp
+    pendingQueries.current++
+    queryServiceRef.current.query({
+      range: compareRange.map(t => minTime + (maxTime - minTime) * t),
+      include: { grid: visibleLayers.hexagon, arcs: visibleLayers.arcs, places: true }
+    }, 'compare')
+      .then(result => result && setCompareResult(result))
+      .catch(err => console.warn('Compare query failed:', err))
+      .finally(() => { pendingQueries.current-- })
+  }, [filteredStore, filteredTrips, filteredArcs, data.metadata, compareRange, visibleLayers.hexagon, visibleLayers.arcs])
+
+  const replayDay = (dayVisits) => {
+    setSelectedDayVisits(dayVisits)
+    setDayReplayActive(true)
+    // Camera pan to path start is handled by FlowMap
+  }
+
+  // A calendar day, from the same unfiltered store DateSearch replays from: a day with a path
+  // is replayed, a single visit just narrows the time range to its day
+  const openDay = (key) => {
+    const dayVisits = visitStore.day(key)
+    if (dayVisits.length > 1) replayDay(dayVisits)
+    else if (dayVisits.length === 1 && data.metadata) {
+      setTimeRange(datesToTimeRange([dayStart(key), dayStart(key)], data.metadata))
+    }
+  }
+
+  // Period B starts as the window just before the current one, or just after if there's no room
+  const startCompare = () => {
+    const span = timeRange[1] - timeRange[0]
+    if (span >= 1) {
+      setTimeRange([0.5, 1])
+      setCompareRange([0, 0.5])
+    } else if (timeRange[0] >= span) {
+      setCompareRange([timeRange[0] - span, timeRange[0]])
+    } else {
+      setCompareRange([timeRange[1], Math.min(1, timeRange[1] + span)])
+    }
+  }
+
   // Handle animation - animate within the selected range with pause/resume
   useEffect(() => {
     if (!animating) return
@@ -137,14 +501,14 @@ function App() {
     if (!startRange) return
     
     const rangeSpan = startRange[1] - startRange[0]
-    const duration = 60000 // 60 seconds for full animation
+    const duration = PLAY_DURATION
     const startProgress = animationProgress.current
-    const startTime = Date.now() - (startProgress * duration)
+    const startTime = clock.now() - (startProgress * duration)
     
     let animationId
     
     const animate = () => {
-      const elapsed = Date.now() - startTime
+      const elapsed = clock.now() - startTime
       const progress = Math.min(elapsed / duration, 1)
       
       // Store current progress for pause/resume
@@ -170,6 +534,59 @@ function App() {
   }, [animating])
 
 
+  // Validate a dataset built in the browser; reference files (countries, place details) carry over
+  const applyDataset = useCallback((dataset) => {
+    const { data: checked, health: report } = validateDataset({
+      ...dataset,
+      countries: data.countries,
+      placeDetails: data.placeDetails
+    })
+    setData(checked)
+    setHealth(report)
+  }, [data.countries, data.placeDetails])
+
+  // Merge imported sources into the loaded data (or replace it), de-duplicating across sources
+  const handleImport = useCallback((sources, { replace }) => {
+    // Chunks still streaming would land on top of the imported data
+    streamRef.current?.cancel()
+    setStreaming(null)
+
+    // Re-importing "Pixel 7" shouldn't fold into the existing "Pixel 7" tag
+    const taken = new Set(replace ? [] : Object.keys(data.metadata?.sources || {}))
+    const named = sources.map(({ source, ...rest }) => {
+      let name = source
+      for (let n = 2; taken.has(name); n++) name = `${source} (${n})`
+      taken.add(name)
+      return { ...rest, source: name }
+    })
+
+    const datasets = replace
+      ? named
+      : [{ source: 'Loaded data', visits: data.visits, trips: data.trips }, ...named]
+    const result = mergeDatasets(datasets, { placeDetails: data.placeDetails })
+
+    stopAnimation()
+    if (replace) {
+      setDayReplayActive(false)
+      setSelectedDayVisits(null)
+      // Selected countries, cities and sources may not exist in the new data
+      setFilters(EMPTY_FILTERS)
+    }
+    // The normalized range maps onto the new min/max, so start from the full span
+    setTimeRange([0, 1])
+    applyDataset(result.dataset)
+    return result
+  }, [applyDataset, data])
+
+  // A trip's whole stretch, from the first night away to the day back, with the map fitted to it
+  const handleJourneyClick = (journey) => {
+    if (data.metadata) {
+      // Day keys are local days, so their range runs between local midnights
+      setTimeRange(datesToTimeRange([dayStart(journey.start), dayStart(journey.end)], data.metadata))
+    }
+    if (journey.bounds) setFlyToLocation({ bounds: journey.bounds, pitch: 30, bearing: 0 })
+  }
+
   const handleChapterClick = (location) => {
     if (location.timestamp && data.metadata) {
       const progress = (location.timestamp - data.metadata.minTimestamp) / 
@@ -190,6 +607,20 @@ function App() {
           </div>
           <h1>INITIALIZING</h1>
           <p>Mapping your journey through spacetime...</p>
+          {loadProgress && (
+            <div className="loading-progress">
+              <div className="loading-progress-track">
+                <div
+                  className="loading-progress-fill"
+                  style={{ width: `${loadProgress.total ? Math.min(100, (loadProgress.loaded / loadProgress.total) * 100) : 0}%` }}
+                ></div>
+              </div>
+              <span className="loading-progress-label">
+                {loadProgress.label}
+                {loadProgress.total > 1 && ` · ${Math.round(Math.min(1, loadProgress.loaded / loadProgress.total) * 100)}%`}
+              </span>
+            </div>
+          )}
         </div>
       </div>
     )
@@ -197,17 +628,58 @@ function App() {
 
   return (
     <div className="app">
-      <FlowMap 
-        data={data} 
-        timeRange={timeRange}
-        setTimeRange={setTimeRange}
-        visibleLayers={visibleLayers}
-        animating={animating}
-        flyToLocation={flyToLocation}
-        setFlyToLocation={setFlyToLocation}
-        dayReplayActive={dayReplayActive}
-        selectedDayVisits={selectedDayVisits}
-      />
+      <div className={`map-panes ${compareRange ? 'comparing' : ''}`}>
+        <div className="map-pane">
+          <FlowMap 
+            data={data} 
+            query={queryResult}
+            setTimeRange={setTimeRange}
+            visibleLayers={visibleLayers}
+            animating={animating}
+            flyToLocation={flyToLocation}
+            setFlyToLocation={setFlyToLocation}
+            dayReplayActive={dayReplayActive}
+            selectedDayVisits={replayVisits}
+            profileColors={mapProfileColors}
+            onSelectVisit={setEditingVisit}
+            privacyZones={privacyOpen ? (privacy.enabled ? privacyZones : privacy.zones) : null}
+            zoneDraft={zoneDraft}
+            onMapClick={handleMapClick}
+            mapImageRequest={mapImageRequest}
+            setMapImageRequest={setMapImageRequest}
+            onViewChange={setMapView}
+            cameraSync={cameraSync}
+            cameraId="a"
+          />
+          {compareRange && data.metadata && (
+            <div className="map-pane-label period-a">A · {formatPeriod(timeRange, data.metadata)}</div>
+          )}
+        </div>
+
+        {compareRange && (
+          <div className="map-pane">
+            <FlowMap
+              data={data}
+              query={compareResult}
+              setTimeRange={setCompareRange}
+              visibleLayers={visibleLayers}
+              animating={false}
+              flyToLocation={null}
+              setFlyToLocation={() => {}}
+              dayReplayActive={false}
+              selectedDayVisits={null}
+              profileColors={mapProfileColors}
+              onSelectVisit={setEditingVisit}
+              cameraSync={cameraSync}
+              cameraId="b"
+              initialView={mapView}
+            />
+            {data.metadata && (
+              <div className="map-pane-label period-b">B · {formatPeriod(compareRange, data.metadata)}</div>
+            )}
+          </div>
+        )}
+      </div>
       
       <div className="ui-overlay">
         {/* Top Left - Header & Controls */}
@@ -229,34 +701,158 @@ function App() {
             onRestart={restartAnimation}
             onStop={stopAnimation}
           />
+
+          <AnimationRecorder
+            metadata={data.metadata}
+            timeRange={timeRange}
+            dayReplayActive={dayReplayActive}
+            durationMs={dayReplayActive ? DAY_REPLAY_LOOP : PLAY_DURATION}
+            isSettled={() => pendingQueries.current === 0}
+            onStart={() => {
+              // Both start over, so a take begins at the top of its loop. A fresh copy of the day
+              // restarts Day Replay the way picking a day does: trail, panel and camera.
+              if (dayReplayActive) {
+                setSelectedDayVisits(visits => visits && [...visits])
+                return
+              }
+              if (animationStartRange.current) restartAnimation()
+              else startAnimation()
+            }}
+          />
+
+          {streaming && (
+            <div className="stream-progress">
+              <span className="stream-dot"></span>
+              Loading {streaming.label} · {streaming.chunksLoaded} of {streaming.chunksTotal} years
+            </div>
+          )}
+
+          <DataImporter
+            hasData={data.visits.length > 0 || data.trips.length > 0}
+            disabled={Boolean(streaming)}
+            onImport={handleImport}
+            profiles={profiles}
+          />
+
+          <DataExporter
+            visits={queryResult.visits}
+            trips={queryResult.trips}
+            visibleLayers={visibleLayers}
+            countryOf={filteredStore.countryOf}
+          />
+
+          <PosterExport
+            metadata={data.metadata}
+            timeRange={timeRange}
+            stats={queryResult.stats}
+            countries={queryResult.countries}
+            requestMapImage={requestMapImage}
+          />
+
+          <ProfilesPanel
+            profiles={profiles}
+            colors={colors}
+            filters={filters}
+            setFilters={setFilters}
+            breakdown={queryResult.profiles}
+            crossings={queryResult.crossings}
+            onCrossingClick={(crossing) => setFlyToLocation({
+              longitude: crossing.coordinates[0],
+              latitude: crossing.coordinates[1],
+              zoom: 15
+            })}
+          />
+
+          <FilterPanel
+            store={visitStore}
+            filters={filters}
+            setFilters={setFilters}
+            matchCount={filteredStore.size}
+          />
+
+          <PrivacyPanel
+            settings={privacy}
+            setSettings={setPrivacy}
+            zones={privacyZones}
+            expanded={privacyOpen}
+            setExpanded={(open) => {
+              setPrivacyOpen(open)
+              if (!open) setZoneDraft(null)
+            }}
+            draft={zoneDraft}
+            setDraft={setZoneDraft}
+          />
+
+          <DataHealth health={health} />
         </div>
 
-        {/* Top Right - Search & Chapters & Countries */}
+        {/* Top Right - Compare, Search & Chapters, Trips & Countries */}
         <div className="ui-top-right">
+          <ComparePanel
+            metadata={data.metadata}
+            rangeA={timeRange}
+            setRangeA={setTimeRange}
+            rangeB={compareRange}
+            setRangeB={setCompareRange}
+            resultA={queryResult}
+            resultB={compareResult}
+            onStart={startCompare}
+            onExit={() => setCompareRange(null)}
+          />
+
           <DateSearch 
-            visits={data.visits}
+            store={visitStore}
             onLocationFound={setFlyToLocation}
-            onDayReplay={(dayVisits) => {
-              setSelectedDayVisits(dayVisits)
-              setDayReplayActive(true)
-              // Camera pan to path start is handled by FlowMap
-            }}
+            onDayReplay={replayDay}
           />
           
-          <LifeChapters 
-            visits={data.visits}
-            metadata={data.metadata}
-            onChapterClick={handleChapterClick}
-          />
-          
-          <CountryStats 
-            data={data}
-            timeRange={timeRange}
+          <BookmarksPanel
+            bookmarks={bookmarks}
+            setBookmarks={setBookmarks}
+            canSave={Boolean(link)}
+            onSave={(name) => setBookmarks(prev => [
+              ...prev,
+              createBookmark(name, link, document.querySelector('.map-container'))
+            ])}
+            onOpen={(bookmark) => openLink(bookmark.link)}
           />
+
+          {/* The compare table covers these for both periods */}
+          {!compareRange && (
+            <>
+              <LifeChapters 
+                store={filteredStore}
+                metadata={data.metadata}
+                onChapterClick={handleChapterClick}
+              />
+
+              <JourneysPanel journeys={journeys} onSelect={handleJourneyClick} />
+              
+              <CountryStats query={queryResult} />
+            </>
+          )}
         </div>
 
-        {/* Bottom Left - Day Replay */}
+        {/* Bottom Left - Calendar, Edits & Day Replay */}
         <div className="ui-bottom-left">
+          <CalendarPanel
+            days={days}
+            metadata={data.metadata}
+            timeRange={timeRange}
+            setTimeRange={setTimeRange}
+            onDayClick={openDay}
+          />
+
+          <EditPanel
+            store={visitStore}
+            visit={editingVisit}
+            onClose={() => setEditingVisit(null)}
+            edits={edits}
+            onEdit={addEdit}
+            onUndo={undoEdit}
+            onClear={clearEdits}
+          />
+
           <DayReplay
             metadata={data.metadata}
             onTimeRangeChange={setTimeRange}
@@ -265,7 +861,8 @@ function App() {
               setDayReplayActive(active)
               if (!active) setSelectedDayVisits(null)
             }}
-            selectedDayVisits={selectedDayVisits}
+            selectedDayVisits={replayVisits}
+            profileColors={mapProfileColors}
             onFlyTo={setFlyToLocation}
           />
         </div>
@@ -280,10 +877,7 @@ function App() {
 
         {/* Bottom Right - Stats */}
         <div className="ui-bottom-right">
-          <Stats 
-            data={data}
-            timeRange={timeRange}
-          />
+          {!compareRange && <Stats stats={queryResult.stats} />}
         </div>
       </div>
       
@@ -292,7 +886,8 @@ function App() {
       
       {/* AI Chat Assistant */}
       <ChatBot 
-        visits={data.visits}
+        store={filteredStore}
+        filters={filters}
         metadata={data.metadata}
       />
     </div>
@@ -0,0 +1,117 @@
+import { useState, useRef } from 'react'
+import { recordAnimation, canRecordVideo } from '../utils/recorder'
+import './AnimationRecorder.css'
+
+const FRAME_RATES = [30, 60]
+
+const download = (blob, name) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = name
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+// Record Play (or the Day Replay loop, when one is open) to WebM and/or PNG frames. Frames
+// are rendered at a fixed rate off a frozen clock, so the map slows down while recording.
+function AnimationRecorder({ metadata, timeRange, dayReplayActive, durationMs, isSettled, onStart }) {
+  const [fps, setFps] = useState(30)
+  const [png, setPng] = useState(false)
+  const [progress, setProgress] = useState(null)
+  const [status, setStatus] = useState(null)
+  const abortRef = useRef(null)
+
+  // Read once per frame, long after this render
+  const dateRef = useRef(null)
+  const minTime = metadata?.minTimestamp || 0
+  const maxTime = metadata?.maxTimestamp || 0
+  dateRef.current = new Date((minTime + (maxTime - minTime) * timeRange[1]) * 1000)
+
+  const video = canRecordVideo()
+  const recording = progress !== null
+  const subject = dayReplayActive ? 'Day Replay' : 'Play'
+
+  const start = async () => {
+    const controller = new AbortController()
+    abortRef.current = controller
+    setStatus(null)
+    setProgress(0)
+    try {
+      const result = await recordAnimation({
+        container: document.querySelector('.map-container'),
+        fps,
+        durationMs,
+        video,
+        png: png || !video,
+        getDate: () => dateRef.current,
+        isSettled,
+        onStart,
+        onProgress: setProgress,
+        signal: controller.signal
+      })
+      const name = `odyssey-${subject.toLowerCase().replace(' ', '-')}-${new Date().toISOString().slice(0, 10)}`
+      if (result.video) download(result.video, `${name}.webm`)
+      if (result.archive) download(result.archive, `${name}-frames.zip`)
+      if (result.pngFrames === null) {
+        setStatus({ state: 'done', message: `Saved ${result.frames.toLocaleString()} frames` })
+      } else {
+        // The in-memory ZIP filled up (see recorder.js); say how far the PNGs got
+        const saved = result.video
+          ? `Saved ${result.frames.toLocaleString()} frames of video but only the first ${result.pngFrames.toLocaleString()} as PNGs`
+          : `Saved only the first ${result.pngFrames.toLocaleString()} frames`
+        setStatus({ state: 'error', message: `${saved}: the frame ZIP is capped at 1 GB. Try 30 fps or a shorter range.` })
+      }
+    } catch (err) {
+      // Closing the folder picker is a cancel, not a failure
+      if (err.name !== 'AbortError') setStatus({ state: 'error', message: err.message })
+    } finally {
+      abortRef.current = null
+      setProgress(null)
+    }
+  }
+
+  return (
+    <div className="recorder">
+      {recording ? (
+        <div className="recorder-progress">
+          <div className="recorder-progress-track">
+            <div className="recorder-progress-fill" style={{ width: `${progress * 100}%` }}></div>
+          </div>
+          <span className="recorder-progress-label">Recording {subject} · {Math.round(progress * 100)}%</span>
+          <button className="recorder-stop" onClick={() => abortRef.current?.abort()}>Stop</button>
+        </div>
+      ) : (
+        <>
+          <button className="recorder-button" disabled={!metadata} onClick={start}>
+            <span className="recorder-dot"></span>
+            Record {subject}
+          </button>
+          <div className="recorder-options">
+            {FRAME_RATES.map(rate => (
+              <button
+                key={rate}
+                className={`recorder-chip ${fps === rate ? 'active' : ''}`}
+                onClick={() => setFps(rate)}
+              >
+                {rate} fps
+              </button>
+            ))}
+            <label className="recorder-option">
+              <input
+                type="checkbox"
+                checked={png || !video}
+                disabled={!video}
+                onChange={(e) => setPng(e.target.checked)}
+              />
+              {video ? 'PNG frames too' : 'PNG frames (no WebM in this browser)'}
+            </label>
+          </div>
+        </>
+      )}
+      {status && <div className={`recorder-status ${status.state}`}>{status.message}</div>}
+    </div>
+  )
+}
+
+export default AnimationRecorder
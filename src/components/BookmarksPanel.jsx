@@ -0,0 +1,121 @@
+import { useState, useRef } from 'react'
+import { bookmarksToJSON, parseBookmarks, mergeBookmarks } from '../utils/bookmarks'
+import { decodeLink } from '../utils/deepLink'
+import { dayStart } from '../utils/visitStore'
+import './BookmarksPanel.css'
+
+const formatDay = (timestamp) => new Date(timestamp * 1000).toLocaleDateString('en-US', {
+  month: 'short', day: 'numeric', year: 'numeric'
+})
+
+// "Jun 14, 2019 replay" or "Jan 1, 2019 — Dec 31, 2019"
+const describe = (link) => {
+  const { day, range } = decodeLink(link)
+  if (day) return `${formatDay(dayStart(day))} replay`
+  return range ? `${formatDay(range[0])} — ${formatDay(range[1])}` : ''
+}
+
+// Named snapshots of the current view. Saving and opening go through App, which owns the
+// link for the current view and knows how to restore one.
+function BookmarksPanel({ bookmarks, setBookmarks, canSave, onSave, onOpen }) {
+  const [expanded, setExpanded] = useState(false)
+  const [name, setName] = useState('')
+  const [status, setStatus] = useState(null)
+  const fileInputRef = useRef(null)
+
+  const save = () => {
+    onSave(name.trim() || `View ${bookmarks.length + 1}`)
+    setName('')
+    setStatus(null)
+  }
+
+  const exportBookmarks = () => {
+    const url = URL.createObjectURL(new Blob([bookmarksToJSON(bookmarks)], { type: 'application/json' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = 'odyssey-bookmarks.json'
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  const importBookmarks = async (file) => {
+    try {
+      const imported = parseBookmarks(await file.text())
+      const merged = mergeBookmarks(bookmarks, imported)
+      setBookmarks(merged)
+      const added = merged.length - bookmarks.length
+      setStatus({ state: 'done', message: `Added ${added} bookmark${added === 1 ? '' : 's'}` })
+    } catch (err) {
+      setStatus({ state: 'error', message: err.message })
+    }
+  }
+
+  return (
+    <div className="bookmarks-panel">
+      <button className="bookmarks-header" onClick={() => setExpanded(!expanded)}>
+        <span className="bookmarks-icon">★</span>
+        <span className="bookmarks-title">Saved Views</span>
+        <span className="bookmarks-summary">{bookmarks.length}</span>
+        <span className="bookmarks-chevron">{expanded ? '▾' : '▸'}</span>
+      </button>
+
+      {expanded && (
+        <div className="bookmarks-body">
+          <div className="bookmarks-save">
+            <input
+              className="bookmarks-input"
+              value={name}
+              placeholder="Name this view"
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && canSave && save()}
+            />
+            <button className="bookmarks-button primary" disabled={!canSave} onClick={save}>Save</button>
+          </div>
+
+          {bookmarks.length > 0 && (
+            <div className="bookmarks-list">
+              {bookmarks.map(bookmark => (
+                <div key={bookmark.id} className="bookmark">
+                  <button className="bookmark-open" onClick={() => onOpen(bookmark)} title="Fly to this view">
+                    {bookmark.thumbnail
+                      ? <img className="bookmark-thumbnail" src={bookmark.thumbnail} alt="" />
+                      : <span className="bookmark-thumbnail empty">★</span>}
+                    <span className="bookmark-text">
+                      <span className="bookmark-name">{bookmark.name}</span>
+                      <span className="bookmark-range">{describe(bookmark.link)}</span>
+                    </span>
+                  </button>
+                  <button
+                    className="bookmark-remove"
+                    title="Delete"
+                    onClick={() => setBookmarks(bookmarks.filter(other => other.id !== bookmark.id))}
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="bookmarks-actions">
+            <button className="bookmarks-button" onClick={() => fileInputRef.current?.click()}>Import</button>
+            <button className="bookmarks-button" disabled={bookmarks.length === 0} onClick={exportBookmarks}>Export</button>
+          </div>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            hidden
+            onChange={(e) => {
+              if (e.target.files[0]) importBookmarks(e.target.files[0])
+              e.target.value = ''
+            }}
+          />
+          {status && <div className={`bookmarks-status ${status.state}`}>{status.message}</div>}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default BookmarksPanel
@@ -0,0 +1,219 @@
+import { useState, useEffect, useMemo } from 'react'
+import { datesToTimeRange } from '../utils/deepLink'
+import { dayKey, dayStart } from '../utils/visitStore'
+import './CalendarPanel.css'
+
+const CELL = 9
+const STEP = CELL + 2
+const WEEKS = 53
+
+const METRICS = {
+  visits: 'Visits',
+  kilometers: 'Distance',
+  away: 'Away'
+}
+
+const STATUS_LABELS = {
+  home: 'At home',
+  out: 'Out of town',
+  away: 'Away overnight',
+  unknown: 'No city'
+}
+
+const STATUS_COLORS = {
+  home: 'rgba(0, 212, 255, 0.25)',
+  out: 'rgba(255, 170, 0, 0.75)',
+  away: 'rgba(255, 60, 168, 0.9)',
+  unknown: 'rgba(255, 255, 255, 0.15)'
+}
+
+const LEVEL_ALPHAS = [0.2, 0.4, 0.65, 0.95]
+const RAMPS = {
+  visits: (level) => `rgba(0, 212, 255, ${LEVEL_ALPHAS[level]})`,
+  kilometers: (level) => `rgba(255, 170, 0, ${LEVEL_ALPHAS[level]})`
+}
+const EMPTY_COLOR = 'rgba(255, 255, 255, 0.04)'
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+// Cells are local calendar days, the same keys the visit store groups by
+const formatDay = (key) => new Date(dayStart(key) * 1000).toLocaleDateString('en-US', {
+  weekday: 'short', month: 'short', day: 'numeric', year: 'numeric'
+})
+
+// Every day of a year with its week column and weekday row, GitHub style (weeks start Sunday)
+function yearCells(year) {
+  const offset = new Date(year, 0, 1).getDay()
+  const cells = []
+  for (let date = new Date(year, 0, 1); date.getFullYear() === year; date.setDate(date.getDate() + 1)) {
+    const dayOfYear = cells.length
+    cells.push({ key: dayKey(date.getTime() / 1000), column: Math.floor((dayOfYear + offset) / 7), row: date.getDay() })
+  }
+  return cells
+}
+
+// Quartiles of the non-zero values, so a few huge days don't wash out the rest
+function levelsFor(values) {
+  const sorted = values.filter(value => value > 0).sort((a, b) => a - b)
+  if (sorted.length === 0) return () => -1
+  const cuts = [0.25, 0.5, 0.75].map(q => sorted[Math.floor((sorted.length - 1) * q)])
+  return (value) => (value > 0 ? cuts.filter(cut => value > cut).length : -1)
+}
+
+const describe = (day) => [
+  formatDay(day.key),
+  `${day.visits} visit${day.visits === 1 ? '' : 's'}`,
+  `${day.kilometers.toLocaleString()} km`,
+  day.status === 'away' ? `away in ${day.sleptIn}` : STATUS_LABELS[day.status]
+].join(' · ')
+
+// Every day with data at a glance, one row per year. Clicking a day goes to App, which opens
+// it the way DateSearch does; dragging across days sets the time range to them.
+function CalendarPanel({ days, metadata, timeRange, setTimeRange, onDayClick }) {
+  const [expanded, setExpanded] = useState(false)
+  const [metric, setMetric] = useState('visits')
+  const [drag, setDrag] = useState(null)
+
+  const byKey = useMemo(() => new Map(days.map(day => [day.key, day])), [days])
+  const awayDays = useMemo(() => days.filter(day => day.status === 'away').length, [days])
+
+  const years = useMemo(() => {
+    if (days.length === 0) return []
+    const first = Number(days[0].key.slice(0, 4))
+    const last = Number(days[days.length - 1].key.slice(0, 4))
+    return Array.from({ length: last - first + 1 }, (_, i) => ({ year: last - i, cells: yearCells(last - i) }))
+  }, [days])
+
+  const levelOf = useMemo(
+    () => (metric === 'away' ? null : levelsFor(days.map(day => day[metric]))),
+    [days, metric]
+  )
+
+  const colorOf = (day) => {
+    if (!day) return EMPTY_COLOR
+    if (metric === 'away') return STATUS_COLORS[day.status]
+    const level = levelOf(day[metric])
+    return level < 0 ? EMPTY_COLOR : RAMPS[metric](level)
+  }
+
+  // The selected time range as local day keys, unless it's everything
+  const selected = useMemo(() => {
+    if (!metadata || (timeRange[0] <= 0 && timeRange[1] >= 1)) return null
+    const span = metadata.maxTimestamp - metadata.minTimestamp
+    return timeRange.map(t => dayKey(metadata.minTimestamp + span * t))
+  }, [metadata, timeRange])
+
+  const dragged = drag ? [drag.anchor, drag.current].sort() : null
+
+  // From the start of the first day to the end of the last, in local time
+  const finish = (from, to) => {
+    if (from === to) onDayClick(from)
+    else setTimeRange(datesToTimeRange([dayStart(from), dayStart(to)], metadata))
+  }
+
+  // Released anywhere, a drag still ends; over no cell it's dropped
+  useEffect(() => {
+    if (!drag) return
+    const handleUp = () => setDrag(null)
+    window.addEventListener('mouseup', handleUp)
+    return () => window.removeEventListener('mouseup', handleUp)
+  }, [drag])
+
+  if (!metadata || days.length === 0) return null
+
+  const inRange = (key, range) => range && key >= range[0] && key <= range[1]
+
+  return (
+    <div className={`calendar-panel ${expanded ? 'expanded' : ''}`}>
+      <button className="calendar-header" onClick={() => setExpanded(!expanded)}>
+        <span className="calendar-icon">▦</span>
+        <span className="calendar-title">Calendar</span>
+        <span className="calendar-summary">{days.length.toLocaleString()} days · {awayDays.toLocaleString()} away</span>
+        <span className="calendar-chevron">{expanded ? '▾' : '▸'}</span>
+      </button>
+
+      {expanded && (
+        <div className="calendar-body">
+          <div className="calendar-metrics">
+            {Object.entries(METRICS).map(([key, label]) => (
+              <button
+                key={key}
+                className={`calendar-metric ${metric === key ? 'active' : ''}`}
+                onClick={() => setMetric(key)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <div className="calendar-months">
+            {MONTHS.map(month => <span key={month}>{month}</span>)}
+          </div>
+
+          <div className="calendar-years">
+            {years.map(({ year, cells }) => (
+              <div key={year} className="calendar-year">
+                <span className="calendar-year-label">{year}</span>
+                <svg width={WEEKS * STEP} height={7 * STEP} className="calendar-grid">
+                  {cells.map(({ key, column, row }) => {
+                    const day = byKey.get(key)
+                    const highlighted = inRange(key, dragged) || (!dragged && inRange(key, selected))
+                    return (
+                      <rect
+                        key={key}
+                        x={column * STEP}
+                        y={row * STEP}
+                        width={CELL}
+                        height={CELL}
+                        rx={2}
+                        fill={colorOf(day)}
+                        className={`calendar-day ${day ? 'has-data' : ''} ${highlighted ? (dragged ? 'dragging' : 'selected') : ''}`}
+                        onMouseDown={(e) => {
+                          e.preventDefault()
+                          setDrag({ anchor: key, current: key })
+                        }}
+                        onMouseEnter={() => drag && setDrag(prev => ({ ...prev, current: key }))}
+                        onMouseUp={() => {
+                          if (!drag) return
+                          const [from, to] = [drag.anchor, key].sort()
+                          setDrag(null)
+                          finish(from, to)
+                        }}
+                      >
+                        <title>{day ? describe(day) : formatDay(key)}</title>
+                      </rect>
+                    )
+                  })}
+                </svg>
+              </div>
+            ))}
+          </div>
+
+          <div className="calendar-footer">
+            <div className="calendar-legend">
+              {metric === 'away'
+                ? Object.entries(STATUS_LABELS).map(([status, label]) => (
+                  <span key={status} className="calendar-legend-item">
+                    <span className="calendar-swatch" style={{ background: STATUS_COLORS[status] }}></span>
+                    {label}
+                  </span>
+                ))
+                : (
+                  <span className="calendar-legend-item">
+                    Less
+                    {LEVEL_ALPHAS.map((_, level) => (
+                      <span key={level} className="calendar-swatch" style={{ background: RAMPS[metric](level) }}></span>
+                    ))}
+                    More
+                  </span>
+                )}
+            </div>
+          </div>
+          <div className="calendar-hint">Click a day to replay it · drag to select a range</div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CalendarPanel
@@ -1,7 +1,10 @@
 import { useState, useRef, useEffect, useMemo, useCallback } from 'react'
+import { findCountriesInText } from '../utils/countries'
+import { categoryInfo, findCategoriesInText } from '../utils/places'
+import { describeFilters } from '../utils/filters'
 import './ChatBot.css'
 
-export default function ChatBot({ visits, metadata }) {
+export default function ChatBot({ store, filters, metadata }) {
   const [isOpen, setIsOpen] = useState(false)
   const [messages, setMessages] = useState([
     {
@@ -16,26 +19,27 @@ export default function ChatBot({ visits, metadata }) {
 
   // Pre-compute summary statistics (always sent to AI)
   const baseSummary = useMemo(() => {
-    if (!visits || visits.length === 0) {
+    if (!store || store.size === 0) {
       return { summary: 'No location data available', stats: {} }
     }
 
-    const sorted = [...visits].sort((a, b) => a.timestamp - b.timestamp)
-    const startDate = new Date(sorted[0].timestamp * 1000).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
-    const endDate = new Date(sorted[sorted.length - 1].timestamp * 1000).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+    const visits = store.visits
+    const startDate = new Date(store.minTimestamp * 1000).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
+    const endDate = new Date(store.maxTimestamp * 1000).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })
     
     const places = new Set(visits.map(v => v.name || v.placeName).filter(Boolean))
-    const countries = new Set(visits.map(v => v.country).filter(Boolean))
+    const countryGroups = store.groupBy('country')
     
     // Build summary by year
     const yearStats = {}
-    visits.forEach(v => {
+    visits.forEach((v, i) => {
       const year = new Date(v.timestamp * 1000).getFullYear()
       if (!yearStats[year]) {
         yearStats[year] = { visits: 0, countries: new Set(), places: new Set() }
       }
       yearStats[year].visits++
-      if (v.country) yearStats[year].countries.add(v.country)
+      const country = store.countryAt(i)
+      if (country) yearStats[year].countries.add(country)
       if (v.name || v.placeName) yearStats[year].places.add(v.name || v.placeName)
     })
     
@@ -46,17 +50,16 @@ export default function ChatBot({ visits, metadata }) {
       ).join('\n')
 
     // Country visits count
-    const countryVisits = {}
-    visits.forEach(v => {
-      if (v.country) {
-        countryVisits[v.country] = (countryVisits[v.country] || 0) + 1
-      }
-    })
+    const countryVisits = Object.fromEntries(countryGroups.map(({ key, count }) => [key, count]))
     
-    const countrySummary = Object.entries(countryVisits)
-      .sort(([,a], [,b]) => b - a)
+    const countrySummary = countryGroups
       .slice(0, 25)
-      .map(([country, count]) => `${country}: ${count} visits`)
+      .map(({ key, count }) => `${key}: ${count} visits`)
+      .join('\n')
+
+    // Place categories from place_details_cache.json
+    const categorySummary = store.groupBy('category')
+      .map(({ key, count }) => `${categoryInfo(key).label}: ${count} visits`)
       .join('\n')
 
     return {
@@ -66,17 +69,20 @@ Yearly breakdown:
 ${yearSummary}
 
 Top countries by visits:
-${countrySummary}`,
+${countrySummary}
+
+Visits by place category:
+${categorySummary || 'No place details available'}`,
       stats: {
         totalVisits: visits.length,
         totalPlaces: places.size,
-        countries: [...countries].join(', '),
+        countries: countryGroups.map(({ key }) => key).join(', '),
         dateRange: `${startDate} to ${endDate}`
       },
       yearStats,
       countryVisits
     }
-  }, [visits])
+  }, [store])
 
   // Extract dates, years, months, countries, and places from user query
   const extractQueryParams = useCallback((query) => {
@@ -86,6 +92,7 @@ ${countrySummary}`,
       specificDates: [],
       countries: [],
       places: [],
+      categories: [],
       timeRanges: []
     }
     
@@ -126,19 +133,12 @@ ${countrySummary}`,
       }
     })
     
-    // Extract country names from the query
-    const knownCountries = ['canada', 'usa', 'united states', 'mexico', 'spain', 'germany', 'france', 
-                           'italy', 'japan', 'australia', 'uk', 'united kingdom', 'india', 'thailand',
-                           'nepal', 'ethiopia', 'tanzania', 'sri lanka', 'switzerland', 'costa rica',
-                           'vatican', 'qatar', 'greece', 'austria', 'sweden', 'philippines', 'finland',
-                           'czechia', 'czech republic', 'new zealand', 'denmark', 'hungary', 'croatia',
-                           'dominican republic', 'toronto', 'berlin', 'london', 'new york']
-    
-    knownCountries.forEach(country => {
-      if (queryLower.includes(country)) {
-        params.countries.push(country)
-      }
-    })
+    // Countries come from the registry, cities from the ones actually in the data
+    params.countries = findCountriesInText(query).map(country => country.name)
+    params.places = (store?.groupBy('city') || [])
+      .map(({ key }) => key)
+      .filter(city => city.length > 2 && queryLower.includes(city.toLowerCase()))
+    params.categories = findCategoriesInText(query)
     
     // Detect time range keywords
     if (queryLower.includes('last summer') || queryLower.includes('this summer')) {
@@ -156,55 +156,53 @@ ${countrySummary}`,
     }
     
     return params
-  }, [])
+  }, [store])
 
   // Filter visits based on extracted parameters
   const filterVisits = useCallback((params) => {
-    if (!visits || visits.length === 0) return []
+    if (!store || store.size === 0) return []
     
-    let filtered = visits
+    const toSeconds = (date) => date.getTime() / 1000
+    const yearWindow = (year) => [toSeconds(new Date(year, 0, 1)), toSeconds(new Date(year + 1, 0, 1)) - 1]
+    const monthWindow = ({ month, year }) => [toSeconds(new Date(year, month, 1)), toSeconds(new Date(year, month + 1, 1)) - 1]
+    const rangeWindow = ({ start, end }) => [toSeconds(start), toSeconds(end)]
 
-    // Filter by years
-    if (params.years.length > 0) {
-      filtered = filtered.filter(v => {
-        const year = new Date(v.timestamp * 1000).getFullYear()
-        return params.years.includes(year)
-      })
-    }
-    
-    // Filter by months
+    // Start from the narrowest time slice the store can cut directly, then apply the rest
+    let filtered
     if (params.months.length > 0) {
-      filtered = filtered.filter(v => {
-        const date = new Date(v.timestamp * 1000)
-        return params.months.some(m => 
-          date.getMonth() === m.month && date.getFullYear() === m.year
-        )
-      })
+      filtered = params.months.flatMap(m => store.range(...monthWindow(m)))
+    } else if (params.years.length > 0) {
+      filtered = params.years.flatMap(y => store.range(...yearWindow(y)))
+    } else if (params.timeRanges.length > 0) {
+      filtered = params.timeRanges.flatMap(r => store.range(...rangeWindow(r)))
+    } else {
+      filtered = store.visits
+    }
+
+    if (params.years.length > 0) {
+      filtered = filtered.filter(v => params.years.includes(new Date(v.timestamp * 1000).getFullYear()))
     }
-    
-    // Filter by time ranges
     if (params.timeRanges.length > 0) {
-      filtered = filtered.filter(v => {
-        const date = new Date(v.timestamp * 1000)
-        return params.timeRanges.some(range => 
-          date >= range.start && date <= range.end
-        )
-      })
+      filtered = filtered.filter(v => params.timeRanges.some(r => {
+        const [start, end] = rangeWindow(r)
+        return v.timestamp >= start && v.timestamp <= end
+      }))
     }
     
-    // Filter by countries
-    if (params.countries.length > 0) {
-      filtered = filtered.filter(v => {
-        const country = (v.country || '').toLowerCase()
-        const city = (v.city || '').toLowerCase()
-        return params.countries.some(c => 
-          country.includes(c) || city.includes(c)
-        )
-      })
+    // Filter by countries and cities through the store's place indexes
+    if (params.countries.length > 0 || params.places.length > 0) {
+      const matches = new Set()
+      params.countries.forEach(country => store.group('country', country).forEach(v => matches.add(v)))
+      params.places.forEach(city => store.group('city', city).forEach(v => matches.add(v)))
+      filtered = filtered.filter(v => matches.has(v))
+    }
+    if (params.categories.length > 0) {
+      const matches = new Set(params.categories.flatMap(category => store.group('category', category)))
+      filtered = filtered.filter(v => matches.has(v))
     }
     
     return filtered
-  }, [visits])
+  }, [store])
 
   // Format visits for the AI
   const formatVisitsForAI = useCallback((visitsList, limit = 200) => {
@@ -221,10 +219,11 @@ ${countrySummary}`,
         hour: '2-digit', minute: '2-digit'
       })
       const placeName = v.name || v.placeName || 'Unknown place'
-      const location = [v.city, v.country].filter(Boolean).join(', ')
-      return `- ${date}: ${placeName}${location ? ` (${location})` : ''}`
+      const location = [v.city, store.countryOf(v)].filter(Boolean).join(', ')
+      const kind = v.primaryType ? ` [${v.primaryType.replace(/_/g, ' ')}${v.rating != null ? `, ${v.rating}★` : ''}]` : ''
+      return `- ${date}: ${placeName}${kind}${location ? ` (${location})` : ''}`
     }).join('\n')
-  }, [])
+  }, [store])
 
   // Auto-scroll to bottom
   useEffect(() => {
@@ -252,7 +251,8 @@ ${countrySummary}`,
       // Extract query parameters and filter relevant visits
       const params = extractQueryParams(userQuery)
       const hasSpecificQuery = params.years.length > 0 || params.months.length > 0 || 
-                               params.countries.length > 0 || params.timeRanges.length > 0
+                               params.countries.length > 0 || params.places.length > 0 ||
+                               params.categories.length > 0 || params.timeRanges.length > 0
       
       let relevantVisits = ''
       let queryContext = ''
@@ -263,20 +263,26 @@ ${countrySummary}`,
         queryContext = `\n\nThe user is asking about specific times/places. Here are the ${filtered.length} matching visits:\n${relevantVisits}`
       } else {
         // For general questions, provide a broader sample
-        const sorted = [...visits].sort((a, b) => a.timestamp - b.timestamp)
+        const sorted = store.visits
         const step = Math.max(1, Math.floor(sorted.length / 100))
         const sampled = sorted.filter((_, i) => i % step === 0).slice(0, 100)
         relevantVisits = formatVisitsForAI(sampled, 100)
         queryContext = `\n\nHere is a representative sample of visits across the timeline:\n${relevantVisits}`
       }
 
+      // The store is already filtered; tell the assistant so it doesn't generalize from a subset
+      const activeFilters = filters ? describeFilters(filters) : []
+      const filterContext = activeFilters.length > 0
+        ? `\n\nThe user has filtered the data to:\n${activeFilters.map(line => `- ${line}`).join('\n')}\nAll numbers above cover only these visits.`
+        : ''
+
       const response = await fetch('/api/chat', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           messages: newMessages.slice(1).map(m => ({ role: m.role, content: m.content })),
           locationContext: {
-            summary: baseSummary.summary + queryContext,
+            summary: baseSummary.summary + filterContext + queryContext,
             stats: baseSummary.stats
           }
         })
@@ -0,0 +1,176 @@
+import { useMemo } from 'react'
+import { timeRangeToDates, datesToTimeRange } from '../utils/deepLink'
+import { dayKey, dayStart } from '../utils/visitStore'
+import { findCountry } from '../utils/countries'
+import './ComparePanel.css'
+
+const MAX_COUNTRIES = 8
+
+// Date inputs hold local days, as the links and the calendar do
+const parseDay = (value) => (value ? dayStart(value) : NaN)
+
+export const formatPeriod = (range, metadata) => {
+  const format = (timestamp) => new Date(timestamp * 1000).toLocaleDateString('en-US', {
+    month: 'short', year: 'numeric'
+  })
+  const [from, to] = timeRangeToDates(range, metadata)
+  const [start, end] = [format(from), format(to)]
+  return start === end ? start : `${start} — ${end}`
+}
+
+const formatDelta = (a, b) => {
+  const delta = b - a
+  if (delta === 0) return '='
+  const sign = delta > 0 ? '+' : '−'
+  const percent = a > 0 ? ` (${sign}${Math.round(Math.abs(delta) / a * 100)}%)` : ''
+  return `${sign}${Math.abs(delta).toLocaleString()}${percent}`
+}
+
+// One period's date pickers: from/to days, or a whole year at once
+function PeriodPicker({ label, range, setRange, metadata, years }) {
+  const [from, to] = timeRangeToDates(range, metadata)
+  const setDates = (nextFrom, nextTo) => {
+    if (Number.isFinite(nextFrom) && Number.isFinite(nextTo) && nextFrom <= nextTo) {
+      setRange(datesToTimeRange([nextFrom, nextTo], metadata))
+    }
+  }
+  const setYear = (year) => setDates(new Date(year, 0, 1).getTime() / 1000, new Date(year, 11, 31).getTime() / 1000)
+
+  return (
+    <div className="compare-period">
+      <span className={`compare-tag tag-${label.toLowerCase()}`}>{label}</span>
+      <input
+        type="date"
+        className="compare-date"
+        value={dayKey(from)}
+        onChange={(e) => setDates(parseDay(e.target.value), to)}
+      />
+      <input
+        type="date"
+        className="compare-date"
+        value={dayKey(to)}
+        onChange={(e) => setDates(from, parseDay(e.target.value))}
+      />
+      <select className="compare-year" value="" onChange={(e) => setYear(Number(e.target.value))}>
+        <option value="" disabled>Year</option>
+        {years.map(year => <option key={year} value={year}>{year}</option>)}
+      </select>
+    </div>
+  )
+}
+
+// Compare mode: a second time range shown on its own map next to the main one, and a table
+// of how the two periods differ. Period A is the main timeRange, so Controls and Play still
+// drive it; each period's numbers come from the query worker (see App).
+function ComparePanel({ metadata, rangeA, setRangeA, rangeB, setRangeB, resultA, resultB, onStart, onExit }) {
+  const years = useMemo(() => {
+    if (!metadata) return []
+    const first = new Date(metadata.minTimestamp * 1000).getFullYear()
+    const last = new Date(metadata.maxTimestamp * 1000).getFullYear()
+    return Array.from({ length: last - first + 1 }, (_, i) => last - i)
+  }, [metadata])
+
+  const rows = useMemo(() => {
+    if (!rangeB || !resultA.stats || !resultB.stats) return null
+    const a = resultA.stats
+    const b = resultB.stats
+    const totals = [
+      ['Places', a.places, b.places],
+      ['Cities', a.cities, b.cities],
+      ['Countries', resultA.countries.length, resultB.countries.length],
+      ['km', a.kilometers, b.kilometers],
+      ['Hours', a.hours, b.hours]
+    ]
+
+    const hoursOf = (result) => new Map((result.places?.budget || []).map(({ type, hours }) => [type, hours]))
+    const budgetA = hoursOf(resultA)
+    const budgetB = hoursOf(resultB)
+    const budget = Array.from(new Set([...budgetA.keys(), ...budgetB.keys()]))
+      .map(type => [type, budgetA.get(type) || 0, budgetB.get(type) || 0])
+      .sort((x, y) => Math.max(y[1], y[2]) - Math.max(x[1], x[2]))
+
+    const daysOf = (result) => new Map(result.countries.map(({ country, days }) => [country, days]))
+    const daysA = daysOf(resultA)
+    const daysB = daysOf(resultB)
+    const countries = Array.from(new Set([...daysA.keys(), ...daysB.keys()]))
+      .map(country => [country, daysA.get(country) || 0, daysB.get(country) || 0])
+      .sort((x, y) => Math.max(y[1], y[2]) - Math.max(x[1], x[2]))
+      .slice(0, MAX_COUNTRIES)
+
+    return { totals, budget, countries }
+  }, [rangeB, resultA, resultB])
+
+  if (!metadata) return null
+
+  if (!rangeB) {
+    return (
+      <button className="compare-start" onClick={onStart}>
+        <span className="compare-start-icon">⇆</span>
+        Compare two periods
+      </button>
+    )
+  }
+
+  const table = (title, entries, unit = '') => (
+    <div className="compare-section">
+      <div className="compare-section-title">{title}</div>
+      {entries.map(([label, a, b]) => (
+        <div key={label} className="compare-row">
+          <span className="compare-label">{label}</span>
+          <span className="compare-value">{a.toLocaleString()}{unit}</span>
+          <span className="compare-value">{b.toLocaleString()}{unit}</span>
+          <span className={`compare-delta ${b > a ? 'up' : b < a ? 'down' : ''}`}>{formatDelta(a, b)}</span>
+        </div>
+      ))}
+    </div>
+  )
+
+  return (
+    <div className="compare-panel">
+      <div className="compare-header">
+        <span className="compare-title">Compare</span>
+        <button className="compare-exit" onClick={onExit}>✕</button>
+      </div>
+
+      <PeriodPicker label="A" range={rangeA} setRange={setRangeA} metadata={metadata} years={years} />
+      <PeriodPicker label="B" range={rangeB} setRange={setRangeB} metadata={metadata} years={years} />
+
+      {rows ? (
+        <div className="compare-table">
+          <div className="compare-row compare-columns">
+            <span className="compare-label"></span>
+            <span className="compare-value tag-a">A</span>
+            <span className="compare-value tag-b">B</span>
+            <span className="compare-delta">B − A</span>
+          </div>
+          {table('Totals', rows.totals)}
+          {rows.budget.length > 0 && table('Time budget', rows.budget, ' h')}
+          {rows.countries.length > 0 && table(
+            'Countries · days',
+            rows.countries.map(([country, a, b]) => [`${findCountry(country)?.flag || '🏳️'} ${country}`, a, b])
+          )}
+
+          <div className="compare-section">
+            <div className="compare-section-title">Top places</div>
+            <div className="compare-places">
+              {[resultA, resultB].map((result, i) => (
+                <ol key={i} className="compare-place-list">
+                  {(result.places?.top || []).map(place => (
+                    <li key={place.name} title={`${place.visits} visits · ${place.hours} h`}>
+                      <span className="compare-place-name">{place.name}</span>
+                      <span className="compare-place-count">{place.visits}</span>
+                    </li>
+                  ))}
+                </ol>
+              ))}
+            </div>
+          </div>
+        </div>
+      ) : (
+        <div className="compare-loading">Counting…</div>
+      )}
+    </div>
+  )
+}
+
+export default ComparePanel
@@ -1,100 +1,18 @@
 import { useMemo } from 'react'
+import { findCountry } from '../utils/countries'
 import './CountryStats.css'
 
-// Country flag emojis
-const COUNTRY_FLAGS = {
-  'Canada': '🇨🇦',
-  'Germany': '🇩🇪',
-  'USA': '🇺🇸',
-  'Australia': '🇦🇺',
-  'Tanzania': '🇹🇿',
-  'Finland': '🇫🇮',
-  'Costa Rica': '🇨🇷',
-  'Spain': '🇪🇸',
-  'Thailand': '🇹🇭',
-  'New Zealand': '🇳🇿',
-  'UK': '🇬🇧',
-  'Italy': '🇮🇹',
-  'Japan': '🇯🇵',
-  'Switzerland': '🇨🇭',
-  'Sweden': '🇸🇪',
-  'Greece': '🇬🇷',
-  'Philippines': '🇵🇭',
-  'France': '🇫🇷',
-  'Czechia': '🇨🇿',
-  'Nepal': '🇳🇵',
-  'Croatia': '🇭🇷',
-  'India': '🇮🇳',
-  'Dominican Republic': '🇩🇴',
-  'United Arab Emirates': '🇦🇪',
-  'Netherlands': '🇳🇱',
-  'Portugal': '🇵🇹',
-  'Mexico': '🇲🇽',
-  'Singapore': '🇸🇬',
-  'South Korea': '🇰🇷',
-  'Ireland': '🇮🇪',
-}
-
-// Extract country from address (last comma-separated part)
-const extractCountry = (address) => {
-  if (!address) return null
-  const parts = address.split(',').map(p => p.trim())
-  const last = parts[parts.length - 1]
-  
-  // Clean up known issues
-  if (last.includes('United Arab Emirates')) return 'United Arab Emirates'
-  if (last.match(/^\d/)) return null // Starts with number, not a country
-  if (last.match(/[ぁ-んァ-ン]/)) return 'Japan' // Japanese characters
-  if (last.length > 30) return null // Too long, probably not a country
-  
-  return last
-}
-
-function CountryStats({ data, timeRange }) {
-  const { visits = [], metadata } = data || {}
-  const minTime = metadata?.minTimestamp || 0
-  const maxTime = metadata?.maxTimestamp || Date.now() / 1000
-
-  // Analyze countries
+function CountryStats({ query }) {
+  // Per-country visits and days come from the query worker
   const countryData = useMemo(() => {
-    const rangeStart = minTime + (maxTime - minTime) * timeRange[0]
-    const rangeEnd = minTime + (maxTime - minTime) * timeRange[1]
-    
-    const filtered = visits.filter(v => 
-      v.timestamp >= rangeStart && v.timestamp <= rangeEnd
-    )
-    
-    // Count visits per country
-    const countryCounts = {}
-    
-    for (const visit of filtered) {
-      const country = extractCountry(visit.address)
-      if (!country || !COUNTRY_FLAGS[country]) continue
-      
-      if (!countryCounts[country]) {
-        countryCounts[country] = { visits: 0, days: new Set() }
-      }
-      countryCounts[country].visits++
-      
-      // Track unique days
-      const day = new Date(visit.timestamp * 1000).toDateString()
-      countryCounts[country].days.add(day)
-    }
-    
-    // Convert to sorted array
-    const sorted = Object.entries(countryCounts)
-      .map(([country, data]) => ({
-        country,
-        visits: data.visits,
-        days: data.days.size,
-        flag: COUNTRY_FLAGS[country] || '🏳️'
-      }))
+    const sorted = query.countries
+      .map(entry => ({ ...entry, flag: findCountry(entry.country)?.flag || '🏳️' }))
       .sort((a, b) => b.days - a.days)
-    
+
     const maxDays = sorted[0]?.days || 1
-    
+
     return { countries: sorted, maxDays, totalCountries: sorted.length }
-  }, [visits, timeRange, minTime, maxTime])
+  }, [query.countries])
 
   if (!countryData.countries.length) return null
 
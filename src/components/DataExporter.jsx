@@ -0,0 +1,47 @@
+import { EXPORT_FORMATS, exportFilename } from '../utils/exportData'
+import './DataExporter.css'
+
+// Download what the map is showing: the time window (or replayed day), filters and privacy
+// zones are already applied to the query result this receives, and hidden layers are left out
+// (visits go with the visits or hexagon layer, trips with the trips layer).
+function DataExporter({ visits: rangeVisits, trips: rangeTrips, visibleLayers, countryOf }) {
+  const visits = visibleLayers.visits || visibleLayers.hexagon ? rangeVisits : []
+  const trips = visibleLayers.trips ? rangeTrips : []
+  const empty = visits.length === 0 && trips.length === 0
+
+  const download = (format) => {
+    const { write, mime } = EXPORT_FORMATS[format]
+    const selection = { visits, trips, countryOf }
+    const blob = new Blob([write(selection)], { type: mime })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = exportFilename(format, selection)
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  return (
+    <div className="export-bar">
+      <span className="export-label">
+        <span className="export-icon">⇩</span>
+        Export {visits.length.toLocaleString()} visits · {trips.length.toLocaleString()} trips
+      </span>
+      <div className="export-formats">
+        {Object.entries(EXPORT_FORMATS).map(([format, { label, trips: withTrips }]) => (
+          <button
+            key={format}
+            className="export-format"
+            disabled={empty || (!withTrips && visits.length === 0)}
+            title={withTrips ? 'Visits as points, trips as lines' : 'Visit log'}
+            onClick={() => download(format)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default DataExporter
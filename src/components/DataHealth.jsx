@@ -0,0 +1,82 @@
+import { useState, useEffect } from 'react'
+import './DataHealth.css'
+
+const STATUS_LABELS = {
+  ok: 'OK',
+  degraded: 'Issues',
+  missing: 'Missing',
+  invalid: 'Malformed',
+  pending: 'Loading'
+}
+
+function DataHealth({ health }) {
+  const [expanded, setExpanded] = useState(false)
+
+  const files = health?.files || []
+  const issues = health?.issues || []
+  const problemFiles = files.filter(f => f.status === 'missing' || f.status === 'invalid')
+  const errorCount = issues.filter(i => i.severity === 'error').length + problemFiles.length
+  const warningCount = issues.filter(i => i.severity === 'warning').length
+
+  // Open the panel by itself when something is actually broken
+  useEffect(() => {
+    if (errorCount > 0) setExpanded(true)
+  }, [health, errorCount])
+
+  if (!health) return null
+
+  const level = errorCount > 0 ? 'error' : warningCount > 0 ? 'warning' : 'ok'
+  const summary = level === 'ok'
+    ? 'All files OK'
+    : [
+        errorCount > 0 && `${errorCount} error${errorCount > 1 ? 's' : ''}`,
+        warningCount > 0 && `${warningCount} warning${warningCount > 1 ? 's' : ''}`
+      ].filter(Boolean).join(' · ')
+
+  return (
+    <div className={`data-health-panel ${level}`}>
+      <button className="health-header" onClick={() => setExpanded(!expanded)}>
+        <span className="health-indicator"></span>
+        <span className="health-title">Data Health</span>
+        <span className="health-summary">{summary}</span>
+        <span className="health-chevron">{expanded ? '▾' : '▸'}</span>
+      </button>
+
+      {expanded && (
+        <div className="health-body">
+          <div className="health-files">
+            {files.map(({ file, status, records, error }) => (
+              <div key={file} className="health-file-row" title={error || ''}>
+                <span className="health-file-name">{file}</span>
+                {records !== null && (
+                  <span className="health-file-count">{records.toLocaleString()}</span>
+                )}
+                <span className={`health-status ${status}`}>{STATUS_LABELS[status] || status}</span>
+              </div>
+            ))}
+          </div>
+
+          {issues.length > 0 && (
+            <div className="health-issues">
+              {issues.map(issue => (
+                <div key={`${issue.file}-${issue.kind}`} className={`health-issue ${issue.severity}`}>
+                  <div className="health-issue-message">
+                    {issue.count > 1 || issue.examples.length > 0
+                      ? <><span className="health-issue-count">{issue.count.toLocaleString()}</span> {issue.message}</>
+                      : issue.message}
+                  </div>
+                  <div className="health-issue-meta">
+                    {issue.file}
+                    {issue.examples.length > 0 && ` · e.g. ${issue.examples.join(', ')}`}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DataHealth
@@ -0,0 +1,297 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { parseTakeout, combineTakeout } from '../utils/takeout'
+import { parseTrackFile, isGeoJSON, parseGeoJSONTracks } from '../utils/tracks'
+import { DEFAULT_PROFILE } from '../utils/profiles'
+import './DataImporter.css'
+
+const FORMAT_LABELS = {
+  records: 'Records.json',
+  semantic: 'Semantic Location History',
+  timeline: 'Timeline.json',
+  tracks: 'GPX / KML / GeoJSON'
+}
+
+const SUPPORTED_EXTENSIONS = ['.json', '.geojson', '.gpx', '.kml']
+
+// Recursively collect files from a dropped folder (Takeout unzips into nested folders)
+const readEntry = (entry) => new Promise((resolve) => {
+  if (entry.isFile) {
+    entry.file(file => resolve([file]), () => resolve([]))
+    return
+  }
+  if (!entry.isDirectory) {
+    resolve([])
+    return
+  }
+  const reader = entry.createReader()
+  const collected = []
+  const readBatch = () => {
+    reader.readEntries(async (entries) => {
+      if (entries.length === 0) {
+        const nested = await Promise.all(collected.map(readEntry))
+        resolve(nested.flat())
+        return
+      }
+      collected.push(...entries)
+      readBatch()
+    }, () => resolve([]))
+  }
+  readBatch()
+})
+
+// Each top-level dropped folder (one phone's Takeout, one device's tracks) becomes its own source
+const groupsFromDataTransfer = async (dataTransfer) => {
+  const entries = Array.from(dataTransfer.items || [])
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean)
+  if (entries.length === 0) {
+    return [{ source: defaultSourceName(Array.from(dataTransfer.files || [])), files: Array.from(dataTransfer.files || []) }]
+  }
+
+  const folders = entries.filter(e => e.isDirectory)
+  const looseFiles = (await Promise.all(entries.filter(e => e.isFile).map(readEntry))).flat()
+  const groups = await Promise.all(folders.map(async folder => ({
+    source: folder.name,
+    files: await readEntry(folder)
+  })))
+  if (looseFiles.length > 0) groups.push({ source: defaultSourceName(looseFiles), files: looseFiles })
+  return groups
+}
+
+const defaultSourceName = (files) => files.length === 1
+  ? files[0].name
+  : `Import ${new Date().toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}`
+
+// Parse one source's files into { visits, trips }
+async function parseFiles(files, counts, progress) {
+  const parsedFiles = []
+  const tracks = { format: 'tracks', visits: [], trips: [] }
+
+  for (const file of files) {
+    progress()
+    try {
+      const text = await file.text()
+      let trackResult = parseTrackFile(file.name, text)
+      if (!trackResult) {
+        // .json files are either Takeout exports or GeoJSON tracks
+        const json = JSON.parse(text)
+        if (isGeoJSON(json)) {
+          trackResult = parseGeoJSONTracks(json)
+        } else {
+          const parsed = parseTakeout(json)
+          if (!parsed) {
+            counts.skipped++
+            continue
+          }
+          parsedFiles.push(parsed)
+          counts.formats[parsed.format] = (counts.formats[parsed.format] || 0) + 1
+          continue
+        }
+      }
+      tracks.visits.push(...trackResult.visits)
+      tracks.trips.push(...trackResult.trips)
+      counts.untimed += trackResult.untimed
+      counts.formats.tracks = (counts.formats.tracks || 0) + 1
+    } catch (err) {
+      console.error(`Failed to parse ${file.name}:`, err)
+      counts.skipped++
+    }
+  }
+
+  return combineTakeout([...parsedFiles, tracks])
+}
+
+// profiles: names already loaded, offered when tagging whose history an import is
+function DataImporter({ hasData, disabled, onImport, profiles = [] }) {
+  const [dragging, setDragging] = useState(false)
+  const [status, setStatus] = useState(null)
+  const [replace, setReplace] = useState(false)
+  const [profile, setProfile] = useState(DEFAULT_PROFILE)
+  const dragDepth = useRef(0)
+  const fileInputRef = useRef(null)
+
+  const importGroups = useCallback(async (groups) => {
+    const supportedGroups = groups
+      .map(group => ({
+        ...group,
+        files: group.files.filter(f => SUPPORTED_EXTENSIONS.some(ext => f.name.toLowerCase().endsWith(ext)))
+      }))
+      .filter(group => group.files.length > 0)
+    const total = supportedGroups.reduce((sum, group) => sum + group.files.length, 0)
+    if (total === 0) {
+      setStatus({ state: 'error', message: 'No JSON, GPX, KML or GeoJSON files found in the drop' })
+      return
+    }
+
+    const counts = { formats: {}, untimed: 0, skipped: 0 }
+    let read = 0
+    const progress = () => {
+      read++
+      setStatus({ state: 'parsing', message: `Reading ${read} of ${total} files...` })
+    }
+
+    const parsedGroups = []
+    for (const group of supportedGroups) {
+      const { visits, trips } = await parseFiles(group.files, counts, progress)
+      if (visits.length > 0 || trips.length > 0) {
+        parsedGroups.push({ source: group.source, profile: profile.trim() || DEFAULT_PROFILE, visits, trips })
+      }
+    }
+
+    if (parsedGroups.length === 0) {
+      setStatus({ state: 'error', message: 'None of the files contain location history or timed tracks' })
+      return
+    }
+
+    setStatus({ state: 'parsing', message: 'Merging and de-duplicating...' })
+    const { dataset, stats } = onImport(parsedGroups, { replace: replace || !hasData })
+
+    const duplicates = stats.duplicateVisits + stats.duplicateTrips
+    setStatus({
+      state: 'done',
+      message: `${dataset.metadata.totalVisits.toLocaleString()} visits · ${dataset.metadata.totalTrips.toLocaleString()} trips`,
+      detail: Object.entries(counts.formats)
+        .map(([format, count]) => `${FORMAT_LABELS[format]} ×${count}`)
+        .concat(parsedGroups.length > 1 || hasData ? [`${parsedGroups.length} source${parsedGroups.length > 1 ? 's' : ''} merged`] : [])
+        .concat(duplicates ? [`${stats.duplicateVisits} duplicate visits, ${stats.duplicateTrips} duplicate trips resolved`] : [])
+        .concat(counts.untimed ? [`${counts.untimed} untimed tracks skipped`] : [])
+        .concat(counts.skipped ? [`${counts.skipped} skipped`] : [])
+        .join(' · ')
+    })
+  }, [onImport, replace, hasData, profile])
+
+  // Accept drops anywhere on the page
+  useEffect(() => {
+    const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files')
+
+    const onDragEnter = (e) => {
+      if (!hasFiles(e)) return
+      e.preventDefault()
+      dragDepth.current++
+      setDragging(true)
+    }
+    const onDragOver = (e) => {
+      if (hasFiles(e)) e.preventDefault()
+    }
+    const onDragLeave = (e) => {
+      if (!hasFiles(e)) return
+      dragDepth.current = Math.max(0, dragDepth.current - 1)
+      if (dragDepth.current === 0) setDragging(false)
+    }
+    const onDrop = async (e) => {
+      if (!hasFiles(e)) return
+      e.preventDefault()
+      dragDepth.current = 0
+      setDragging(false)
+      if (disabled) {
+        setStatus({ state: 'error', message: 'Still loading older years — drop again in a moment' })
+        return
+      }
+      importGroups(await groupsFromDataTransfer(e.dataTransfer))
+    }
+
+    window.addEventListener('dragenter', onDragEnter)
+    window.addEventListener('dragover', onDragOver)
+    window.addEventListener('dragleave', onDragLeave)
+    window.addEventListener('drop', onDrop)
+    return () => {
+      window.removeEventListener('dragenter', onDragEnter)
+      window.removeEventListener('dragover', onDragOver)
+      window.removeEventListener('dragleave', onDragLeave)
+      window.removeEventListener('drop', onDrop)
+    }
+  }, [importGroups, disabled])
+
+  const fileInput = (
+    <input
+      ref={fileInputRef}
+      type="file"
+      accept=".json,.geojson,.gpx,.kml"
+      multiple
+      hidden
+      onChange={(e) => {
+        const files = Array.from(e.target.files || [])
+        importGroups([{ source: defaultSourceName(files), files }])
+        e.target.value = ''
+      }}
+    />
+  )
+
+  const statusLine = status && (
+    <div className={`import-status ${status.state}`}>
+      <span className="import-status-message">{status.message}</span>
+      {status.detail && <span className="import-status-detail">{status.detail}</span>}
+    </div>
+  )
+
+  return (
+    <>
+      {dragging && (
+        <div className="import-drop-overlay">
+          <div className="drop-target">
+            <span className="drop-icon">⇣</span>
+            <span>Drop your Takeout export or GPS tracks</span>
+          </div>
+        </div>
+      )}
+
+      {hasData ? (
+        <div className="import-compact">
+          <button
+            className="import-button"
+            disabled={disabled}
+            title={disabled ? 'Available once all years have loaded' : undefined}
+            onClick={() => fileInputRef.current?.click()}
+          >
+            <span className="import-icon">⇪</span>
+            Import history or tracks
+          </button>
+          <label className="import-option">
+            <input
+              type="checkbox"
+              checked={replace}
+              onChange={(e) => setReplace(e.target.checked)}
+            />
+            Replace current data instead of merging
+          </label>
+          <label className="import-option">
+            Whose history
+            <input
+              className="import-profile"
+              list="import-profiles"
+              value={profile}
+              onChange={(e) => setProfile(e.target.value)}
+            />
+            <datalist id="import-profiles">
+              {profiles.map(name => <option key={name} value={name} />)}
+            </datalist>
+          </label>
+          {statusLine}
+          {fileInput}
+        </div>
+      ) : (
+        <div className="import-onboarding">
+          <div className="onboarding-card">
+            <div className="onboarding-header">
+              <span className="import-icon">⇪</span>
+              No location data loaded
+            </div>
+            <p className="onboarding-text">
+              Drop your Google Takeout folder here, or pick the files.
+              Supported: <code>Records.json</code>, <code>Semantic Location History/*.json</code> and
+              the on-device <code>Timeline.json</code> export, plus <code>.gpx</code>, <code>.kml</code> and
+              <code>.geojson</code> tracks.
+            </p>
+            <button className="import-button primary" onClick={() => fileInputRef.current?.click()}>
+              Choose files
+            </button>
+            {statusLine}
+            {fileInput}
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
+
+export default DataImporter
@@ -1,22 +1,18 @@
 import { useState } from 'react'
+import { dayStart } from '../utils/visitStore'
 import './DateSearch.css'
 
-function DateSearch({ visits, onLocationFound, onDayReplay }) {
+function DateSearch({ store, onLocationFound, onDayReplay }) {
   const [searchDate, setSearchDate] = useState('')
   const [result, setResult] = useState(null)
   const [dayVisits, setDayVisits] = useState([])
 
   const handleSearch = () => {
-    if (!searchDate || !visits || visits.length === 0) return
+    if (!searchDate || !store || store.size === 0) return
     
-    const targetDate = new Date(searchDate)
-    const targetStart = targetDate.getTime() / 1000
-    const targetEnd = targetStart + 86400 // +24 hours
-    
-    // Find visits on that date
-    const matchingVisits = visits.filter(v => 
-      v.timestamp >= targetStart && v.timestamp < targetEnd
-    ).sort((a, b) => a.timestamp - b.timestamp)  // Sort chronologically
+    // The date input gives "YYYY-MM-DD", the same local-day key the store indexes by
+    const targetDate = new Date(dayStart(searchDate) * 1000)
+    const matchingVisits = store.day(searchDate)
     
     if (matchingVisits.length > 0) {
       // Sort by duration to find the main location that day
@@ -43,16 +39,12 @@ function DateSearch({ visits, onLocationFound, onDayReplay }) {
       })
     } else {
       // Find closest date with data
-      const sortedVisits = [...visits].sort((a, b) => 
-        Math.abs(a.timestamp - targetStart) - Math.abs(b.timestamp - targetStart)
-      )
-      
-      const closest = sortedVisits[0]
-      const closestDate = new Date(closest.timestamp * 1000)
+      const closestDay = store.nearestDay(searchDate)
+      const closest = store.day(closestDay)[0]
       
       setResult({
         found: false,
-        closest: closestDate,
+        closest: new Date(dayStart(closestDay) * 1000),
         closestLocation: closest
       })
       setDayVisits([])
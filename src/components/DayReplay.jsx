@@ -1,4 +1,6 @@
 import { useState, useEffect, useMemo, useRef } from 'react'
+import * as clock from '../utils/clock'
+import { profileOf, cssColor } from '../utils/profiles'
 import './DayReplay.css'
 
 function DayReplay({ 
@@ -7,9 +9,12 @@ function DayReplay({
   isActive,
   setIsActive,
   selectedDayVisits,
+  profileColors,
   onFlyTo
 }) {
   const [progress, setProgress] = useState(0)
+  // Where the loop resumes from; a new day resets it before the loop below restarts
+  const progressRef = useRef(0)
   const [isPaused, setIsPaused] = useState(false)
   const timelineRef = useRef(null)
   const activeItemRef = useRef(null)
@@ -53,22 +58,32 @@ function DayReplay({
     
     const items = []
     const sorted = [...selectedDayVisits].sort((a, b) => a.timestamp - b.timestamp)
+
+    // The same person's next visit, so travel never jumps between profiles
+    const nextOfSame = new Array(sorted.length)
+    const following = new Map()
+    for (let i = sorted.length - 1; i >= 0; i--) {
+      const profile = profileOf(sorted[i])
+      nextOfSame[i] = following.get(profile)
+      following.set(profile, sorted[i])
+    }
     
     for (let i = 0; i < sorted.length; i++) {
       const visit = sorted[i]
+      const nextVisit = nextOfSame[i]
       
       // Add visit
       items.push({
         type: 'visit',
         timestamp: visit.timestamp,
-        endTimestamp: sorted[i + 1]?.timestamp || visit.timestamp + 1800, // 30 min default
+        endTimestamp: nextVisit?.timestamp || visit.timestamp + 1800, // 30 min default
         name: visit.placeName || visit.address?.split(',')[0] || visit.semanticType || 'Location',
-        coordinates: visit.coordinates
+        coordinates: visit.coordinates,
+        profile: profileOf(visit)
       })
       
       // Add travel to next visit (if not last)
-      if (i < sorted.length - 1) {
-        const nextVisit = sorted[i + 1]
+      if (nextVisit) {
         const distance = haversineDistance(visit.coordinates, nextVisit.coordinates)
         const travelDuration = nextVisit.timestamp - visit.timestamp
         
@@ -135,6 +150,7 @@ function DayReplay({
         zoom: 13
       })
       
+      progressRef.current = 0
       setProgress(0)
       setIsPaused(false)
     }
@@ -145,15 +161,16 @@ function DayReplay({
     if (!isActive || isPaused || !dayBounds) return
     
     const duration = 15000 // 15 seconds for full day (synced with path animation)
-    const startTime = Date.now() - (progress * duration)
+    const startTime = clock.now() - (progressRef.current * duration)
     
     let animationId
     
     const animate = () => {
-      const elapsed = Date.now() - startTime
+      const elapsed = clock.now() - startTime
       // Loop the progress using modulo
       const newProgress = (elapsed % duration) / duration
       
+      progressRef.current = newProgress
       setProgress(newProgress)
       animationId = requestAnimationFrame(animate)
     }
@@ -168,6 +185,7 @@ function DayReplay({
   // Reset when deactivated
   useEffect(() => {
     if (!isActive) {
+      progressRef.current = 0
       setProgress(0)
       setIsPaused(false)
     }
@@ -236,10 +254,14 @@ function DayReplay({
               <>
                 <div className="item-time">{formatTime(item.timestamp)}</div>
                 <div className="item-marker">
-                  <div className="marker-dot"></div>
+                  <div
+                    className="marker-dot"
+                    style={profileColors ? { background: cssColor(profileColors.get(item.profile) || [255, 255, 255]) } : undefined}
+                  ></div>
                 </div>
                 <div className="item-content">
                   <div className="place-name">{item.name}</div>
+                  {profileColors && <div className="place-profile">{item.profile}</div>}
                 </div>
               </>
             ) : (
@@ -279,6 +301,7 @@ function DayReplay({
         <button 
           className="control-btn"
           onClick={() => {
+            progressRef.current = 0
             setProgress(0)
             setIsPaused(false)
           }}
@@ -0,0 +1,190 @@
+import { useState, useMemo, useEffect } from 'react'
+import { SEMANTIC_TYPES } from '../utils/dataset'
+import { visitKey, placeKey, mergeTarget, describeEdit, exportEdits } from '../utils/edits'
+import './EditPanel.css'
+
+const formatDate = (timestamp) => new Date(timestamp * 1000).toLocaleString('en-US', {
+  weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit'
+})
+
+const placeLabel = (visit) => [visit.placeName || 'Unnamed place', visit.city].filter(Boolean).join(' · ')
+
+// Edit the visit clicked on the map and review the edit log. Edits go through onEdit and
+// come back as a rebuilt store, so everything shown here is read from the store.
+function EditPanel({ store, visit, onClose, edits, onEdit, onUndo, onClear }) {
+  const [name, setName] = useState('')
+  const [mergeInput, setMergeInput] = useState('')
+  const [showLog, setShowLog] = useState(false)
+
+  // The clicked visit as it is now, after whatever edits were applied since
+  const current = useMemo(() => {
+    if (!visit) return null
+    const key = visitKey(visit)
+    return store.range(visit.timestamp, visit.timestamp).find(v => visitKey(v) === key) || null
+  }, [store, visit])
+
+  useEffect(() => {
+    setName(current?.placeName || '')
+    setMergeInput('')
+  }, [current?.placeName, visit])
+
+  // One representative visit per named place, for the merge picker
+  const places = useMemo(() => {
+    const byLabel = new Map()
+    for (const v of store.visits) {
+      if (!v.placeName) continue
+      const label = placeLabel(v)
+      if (!byLabel.has(label)) byLabel.set(label, v)
+    }
+    return byLabel
+  }, [store])
+
+  const placeVisits = useMemo(() => {
+    if (!current) return 0
+    const key = placeKey(current)
+    return store.visits.reduce((count, v) => count + (placeKey(v) === key ? 1 : 0), 0)
+  }, [store, current])
+
+  if (!current && edits.length === 0) return null
+
+  const rename = () => {
+    const trimmed = name.trim()
+    if (!trimmed || trimmed === current.placeName) return
+    onEdit({ type: 'rename', place: placeKey(current), name: trimmed, previous: current.placeName || null })
+  }
+
+  const merge = () => {
+    const target = places.get(mergeInput)
+    if (!target || placeKey(target) === placeKey(current)) return
+    onEdit({
+      type: 'merge',
+      from: placeKey(current),
+      into: placeKey(target),
+      target: mergeTarget(target),
+      previous: current.placeName || null
+    })
+  }
+
+  const download = () => {
+    const blob = new Blob([exportEdits(edits)], { type: 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `odyssey-edits-${new Date().toISOString().slice(0, 10)}.json`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  return (
+    <div className="edit-panel">
+      {current && (
+        <div className="edit-visit">
+          <div className="edit-header">
+            <span className="edit-title">Edit visit</span>
+            <button className="edit-close" onClick={onClose}>✕</button>
+          </div>
+          <div className="edit-place">{placeLabel(current)}</div>
+          <div className="edit-meta">{formatDate(current.timestamp)}</div>
+
+          {current.private ? (
+            <div className="edit-notice">Inside a privacy zone. Turn privacy off to edit this visit.</div>
+          ) : (
+            <>
+              <label className="edit-label">Place name</label>
+              <div className="edit-row">
+                <input
+                  className="edit-input"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && rename()}
+                />
+                <button className="edit-button" onClick={rename}>Rename</button>
+              </div>
+
+              <label className="edit-label">Visit type</label>
+              <select
+                className="edit-input"
+                value={current.semanticType || 'Unknown'}
+                onChange={(e) => onEdit({
+                  type: 'semanticType',
+                  visit: visitKey(current),
+                  semanticType: e.target.value,
+                  previous: current.semanticType || null
+                })}
+              >
+                {SEMANTIC_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+              </select>
+
+              <label className="edit-label">Merge into another place</label>
+              <div className="edit-row">
+                <input
+                  className="edit-input"
+                  list="edit-place-options"
+                  placeholder="Search places…"
+                  value={mergeInput}
+                  onChange={(e) => setMergeInput(e.target.value)}
+                />
+                <datalist id="edit-place-options">
+                  {Array.from(places.keys()).map(label => <option key={label} value={label} />)}
+                </datalist>
+                <button className="edit-button" onClick={merge} disabled={!places.has(mergeInput)}>Merge</button>
+              </div>
+
+              <div className="edit-row">
+                <button
+                  className="edit-button danger"
+                  onClick={() => {
+                    onEdit({ type: 'hideVisit', visit: visitKey(current) })
+                    onClose()
+                  }}
+                >
+                  Hide visit
+                </button>
+                <button
+                  className="edit-button danger"
+                  onClick={() => {
+                    onEdit({ type: 'hidePlace', place: placeKey(current), previous: current.placeName || null })
+                    onClose()
+                  }}
+                >
+                  Hide all {placeVisits.toLocaleString()} here
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      {edits.length > 0 && (
+        <div className="edit-log">
+          <button className="edit-log-header" onClick={() => setShowLog(!showLog)}>
+            <span className="edit-title">Local edits</span>
+            <span className="edit-log-count">{edits.length}</span>
+            <span className="edit-chevron">{showLog ? '▾' : '▸'}</span>
+          </button>
+          {showLog && (
+            <div className="edit-log-list">
+              {edits.slice().reverse().map(edit => (
+                <div key={edit.id} className="edit-log-row">{describeEdit(edit)}</div>
+              ))}
+            </div>
+          )}
+          <div className="edit-row">
+            <button className="edit-button" onClick={onUndo}>Undo</button>
+            <button className="edit-button" onClick={download}>Export log</button>
+            <button
+              className="edit-button danger"
+              onClick={() => {
+                if (window.confirm(`Discard all ${edits.length} local edits?`)) onClear()
+              }}
+            >
+              Clear
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default EditPanel
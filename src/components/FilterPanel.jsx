@@ -0,0 +1,271 @@
+import { useState, useMemo } from 'react'
+import {
+  EMPTY_FILTERS,
+  DURATION_STEPS,
+  WEEKDAYS,
+  MONTHS,
+  SEASONS,
+  isFilterActive,
+  formatHour
+} from '../utils/filters'
+import { categoryInfo } from '../utils/places'
+import { findCountry } from '../utils/countries'
+import './FilterPanel.css'
+
+const formatDuration = (minutes) =>
+  minutes === 0 ? 'Any' : minutes < 60 ? `${minutes} min` : `${minutes / 60} h`
+
+// Common hour windows; night wraps past midnight
+const HOUR_PRESETS = [
+  { key: 'morning', label: 'Morning', hours: [6, 12] },
+  { key: 'afternoon', label: 'Afternoon', hours: [12, 18] },
+  { key: 'evening', label: 'Evening', hours: [18, 22] },
+  { key: 'night', label: 'Night', hours: [22, 6] }
+]
+
+// Monday-first, like most calendars outside the US
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0]
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour)
+
+// Toggleable chips for one filter field; options are { key, count } from the store
+function ChipGroup({ label, options, selected, onToggle, render = (key) => key }) {
+  if (options.length === 0) return null
+  return (
+    <div className="filter-section">
+      <div className="filter-label">{label}</div>
+      <div className="filter-chips">
+        {options.map(({ key, count }) => (
+          <button
+            key={key}
+            className={`filter-chip ${selected.includes(key) ? 'active' : ''}`}
+            onClick={() => onToggle(key)}
+          >
+            {render(key)}
+            {count !== undefined && <span className="filter-chip-count">{count.toLocaleString()}</span>}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+// Options come from the unfiltered store so a filter never hides its own alternatives
+function FilterPanel({ store, filters, setFilters, matchCount }) {
+  const [expanded, setExpanded] = useState(false)
+  const [cityInput, setCityInput] = useState('')
+
+  const options = useMemo(() => ({
+    semanticTypes: store.groupBy('semanticType'),
+    categories: store.groupBy('category'),
+    countries: store.groupBy('country'),
+    cities: store.groupBy('city'),
+    sources: store.groupBy('source')
+  }), [store])
+
+  const active = isFilterActive(filters)
+  const activeCount = ['semanticTypes', 'categories', 'countries', 'cities', 'sources', 'profiles', 'weekdays', 'months', 'seasons']
+    .filter(field => filters[field].length > 0).length +
+    (filters.minDuration > 0 ? 1 : 0) +
+    (filters.hours ? 1 : 0)
+
+  const toggle = (field) => (key) => {
+    setFilters(prev => ({
+      ...prev,
+      [field]: prev[field].includes(key) ? prev[field].filter(k => k !== key) : [...prev[field], key]
+    }))
+  }
+
+  const addCity = (name) => {
+    const match = options.cities.find(({ key }) => key.toLowerCase() === name.trim().toLowerCase())
+    if (match && !filters.cities.includes(match.key)) {
+      setFilters(prev => ({ ...prev, cities: [...prev.cities, match.key] }))
+    }
+    if (match) setCityInput('')
+  }
+
+  const durationIndex = Math.max(0, DURATION_STEPS.indexOf(filters.minDuration))
+
+  const setHours = (hours) => setFilters(prev => ({ ...prev, hours }))
+  const activePreset = HOUR_PRESETS.find(({ hours }) =>
+    filters.hours && hours[0] === filters.hours[0] && hours[1] === filters.hours[1]
+  )
+
+  if (store.size === 0) return null
+
+  return (
+    <div className={`filter-panel ${active ? 'active' : ''}`}>
+      <button className="filter-header" onClick={() => setExpanded(!expanded)}>
+        <span className="filter-indicator"></span>
+        <span className="filter-title">Filters</span>
+        <span className="filter-summary">
+          {active
+            ? `${activeCount} active · ${matchCount.toLocaleString()} visits`
+            : 'All visits'}
+        </span>
+        <span className="filter-chevron">{expanded ? '▾' : '▸'}</span>
+      </button>
+
+      {expanded && (
+        <div className="filter-body">
+          <ChipGroup
+            label="Visit type"
+            options={options.semanticTypes}
+            selected={filters.semanticTypes}
+            onToggle={toggle('semanticTypes')}
+          />
+
+          <ChipGroup
+            label="Place category"
+            options={options.categories}
+            selected={filters.categories}
+            onToggle={toggle('categories')}
+            render={(key) => `${categoryInfo(key).icon} ${categoryInfo(key).label}`}
+          />
+
+          <ChipGroup
+            label="Country"
+            options={options.countries}
+            selected={filters.countries}
+            onToggle={toggle('countries')}
+            render={(key) => `${findCountry(key)?.flag || '🏳️'} ${key}`}
+          />
+
+          {options.cities.length > 0 && (
+            <div className="filter-section">
+              <div className="filter-label">City</div>
+              <input
+                className="filter-input"
+                list="filter-city-options"
+                placeholder="Add a city…"
+                value={cityInput}
+                onChange={(e) => {
+                  setCityInput(e.target.value)
+                  // Picking from the datalist fires a change with the full name
+                  if (options.cities.some(({ key }) => key === e.target.value)) addCity(e.target.value)
+                }}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') addCity(cityInput)
+                }}
+              />
+              <datalist id="filter-city-options">
+                {options.cities.map(({ key }) => <option key={key} value={key} />)}
+              </datalist>
+              {filters.cities.length > 0 && (
+                <div className="filter-chips">
+                  {filters.cities.map(city => (
+                    <button key={city} className="filter-chip active" onClick={() => toggle('cities')(city)}>
+                      {city} <span className="filter-chip-remove">✕</span>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="filter-section">
+            <div className="filter-label">
+              Minimum duration
+              <span className="filter-value">{formatDuration(filters.minDuration)}</span>
+            </div>
+            <input
+              type="range"
+              className="filter-range"
+              min="0"
+              max={DURATION_STEPS.length - 1}
+              step="1"
+              value={durationIndex}
+              onChange={(e) => setFilters(prev => ({ ...prev, minDuration: DURATION_STEPS[Number(e.target.value)] }))}
+            />
+          </div>
+
+          {/* Recurring times inside the Controls time window */}
+          <div className="filter-section">
+            <div className="filter-label">
+              Time of day
+              <span className="filter-value">
+                {filters.hours ? `${formatHour(filters.hours[0])}–${formatHour(filters.hours[1])}` : 'Any'}
+              </span>
+            </div>
+            <div className="filter-chips">
+              {HOUR_PRESETS.map(preset => (
+                <button
+                  key={preset.key}
+                  className={`filter-chip ${activePreset === preset ? 'active' : ''}`}
+                  onClick={() => setHours(activePreset === preset ? null : preset.hours)}
+                >
+                  {preset.label}
+                </button>
+              ))}
+            </div>
+            <div className="filter-hours">
+              <select
+                className="filter-select"
+                value={filters.hours ? filters.hours[0] : ''}
+                onChange={(e) => setHours(e.target.value === ''
+                  ? null
+                  : [Number(e.target.value), filters.hours ? filters.hours[1] : (Number(e.target.value) + 1) % 24])}
+              >
+                <option value="">From…</option>
+                {HOURS.map(hour => <option key={hour} value={hour}>{formatHour(hour)}</option>)}
+              </select>
+              <span className="filter-hours-separator">to</span>
+              <select
+                className="filter-select"
+                value={filters.hours ? filters.hours[1] : ''}
+                disabled={!filters.hours}
+                onChange={(e) => setHours([filters.hours[0], Number(e.target.value)])}
+              >
+                {!filters.hours && <option value="">To…</option>}
+                {HOURS.filter(hour => !filters.hours || hour !== filters.hours[0]).map(hour => (
+                  <option key={hour} value={hour}>{formatHour(hour)}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <ChipGroup
+            label="Day of week"
+            options={WEEK_ORDER.map(key => ({ key }))}
+            selected={filters.weekdays}
+            onToggle={toggle('weekdays')}
+            render={(day) => WEEKDAYS[day]}
+          />
+
+          <ChipGroup
+            label="Season"
+            options={Object.keys(SEASONS).map(key => ({ key }))}
+            selected={filters.seasons}
+            onToggle={toggle('seasons')}
+            render={(season) => season[0].toUpperCase() + season.slice(1)}
+          />
+
+          <ChipGroup
+            label="Month"
+            options={MONTHS.map((_, key) => ({ key }))}
+            selected={filters.months}
+            onToggle={toggle('months')}
+            render={(month) => MONTHS[month]}
+          />
+
+          {/* Only worth showing once more than one export has been merged */}
+          {options.sources.length > 1 && (
+            <ChipGroup
+              label="Source"
+              options={options.sources}
+              selected={filters.sources}
+              onToggle={toggle('sources')}
+            />
+          )}
+
+          {active && (
+            <button className="filter-clear" onClick={() => setFilters(EMPTY_FILTERS)}>
+              Clear all filters
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FilterPanel
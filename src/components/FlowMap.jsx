@@ -1,103 +1,24 @@
 import React, { useState, useMemo, useEffect, useCallback, useRef } from 'react'
 import { Map as MapGL } from 'react-map-gl/maplibre'
 import DeckGL from '@deck.gl/react'
-import { ScatterplotLayer, ArcLayer, PathLayer, GeoJsonLayer } from '@deck.gl/layers'
+import { ScatterplotLayer, ArcLayer, PathLayer, GeoJsonLayer, PolygonLayer } from '@deck.gl/layers'
 import { TripsLayer } from '@deck.gl/geo-layers'
 import { ColumnLayer } from '@deck.gl/layers'
-
-// Map visit country names to GeoJSON names
-const COUNTRY_NAME_MAP = {
-  'USA': 'United States of America',
-  'UK': 'United Kingdom',
-  'Czechia': 'Czech Republic',
-  'Tanzania': 'United Republic of Tanzania',
-}
-
-// Pre-aggregate points into grid cells with top location tracking
-function aggregateToGrid(points, cellSize = 0.02) {
-  const grid = new Map()
-  
-  for (const point of points) {
-    const [lng, lat] = point.coordinates
-    // Round to grid cell
-    const cellLng = Math.floor(lng / cellSize) * cellSize + cellSize / 2
-    const cellLat = Math.floor(lat / cellSize) * cellSize + cellSize / 2
-    const key = `${cellLng.toFixed(4)},${cellLat.toFixed(4)}`
-    
-    if (grid.has(key)) {
-      const cell = grid.get(key)
-      cell.count++
-      
-      // Track location counts within this cell
-      const placeName = point.placeName || point.address?.split(',')[0] || 'Unknown'
-      cell.locations[placeName] = (cell.locations[placeName] || 0) + 1
-    } else {
-      const placeName = point.placeName || point.address?.split(',')[0] || 'Unknown'
-      grid.set(key, {
-        position: [cellLng, cellLat],
-        count: 1,
-        locations: { [placeName]: 1 }
-      })
-    }
-  }
-  
-  // Find top location for each cell
-  const cells = Array.from(grid.values())
-  for (const cell of cells) {
-    let topLocation = 'Unknown'
-    let topCount = 0
-    for (const [name, count] of Object.entries(cell.locations)) {
-      if (count > topCount && name !== 'Unknown') {
-        topLocation = name
-        topCount = count
-      }
-    }
-    cell.topLocation = topLocation
-    cell.topLocationCount = topCount
-    cell.uniquePlaces = Object.keys(cell.locations).length
-  }
-  
-  return cells
-}
-import { FlyToInterpolator } from '@deck.gl/core'
+import { FlyToInterpolator, WebMercatorViewport } from '@deck.gl/core'
 import 'maplibre-gl/dist/maplibre-gl.css'
+import { countryForFeature } from '../utils/countries'
+import { categoryInfo } from '../utils/places'
+import * as clock from '../utils/clock'
+import { getTimeColor } from '../utils/colors'
+import { renderMapImage } from '../utils/poster'
+import { roundView } from '../utils/deepLink'
+import { profileOf, groupByProfile } from '../utils/profiles'
+import { escapeXml } from '../utils/exportData'
 
 // Dark map style
 const MAP_STYLE = 'https://basemaps.cartocdn.com/gl/dark-matter-gl-style/style.json'
 
-// Cyberpunk color gradient: Electric Blue → Neon Purple → Hot Pink → Electric Orange
-const getTimeColor = (timestamp, minTime, maxTime) => {
-  const progress = (timestamp - minTime) / (maxTime - minTime)
-  
-  if (progress < 0.33) {
-    // Electric Blue to Neon Purple
-    const t = progress / 0.33
-    return [
-      0 + t * 147,        // 0 → 147
-      212 - t * 61,       // 212 → 151
-      255 - t * 42,       // 255 → 213
-      230
-    ]
-  } else if (progress < 0.66) {
-    // Neon Purple to Hot Pink
-    const t = (progress - 0.33) / 0.33
-    return [
-      147 + t * 108,      // 147 → 255
-      151 - t * 91,       // 151 → 60
-      213 - t * 45,       // 213 → 168
-      240
-    ]
-  } else {
-    // Hot Pink to Electric Orange
-    const t = (progress - 0.66) / 0.34
-    return [
-      255,                // 255
-      60 + t * 140,       // 60 → 200
-      168 - t * 148,      // 168 → 20
-      250
-    ]
-  }
-}
+const EMPTY_GRID = { cells: [], maxCount: 1 }
 
 const INITIAL_VIEW_STATE = {
   longitude: -79.4,
@@ -109,121 +30,44 @@ const INITIAL_VIEW_STATE = {
 
 function FlowMap({ 
   data, 
-  timeRange, 
+  query,
   setTimeRange, 
   visibleLayers, 
   animating,
   flyToLocation,
   setFlyToLocation,
   dayReplayActive,
-  selectedDayVisits
+  selectedDayVisits,
+  profileColors,
+  onSelectVisit,
+  privacyZones,
+  zoneDraft,
+  onMapClick,
+  mapImageRequest,
+  setMapImageRequest,
+  onViewChange,
+  // Compare mode: maps sharing a cameraSync (utils/cameraSync.js) move together
+  cameraSync,
+  cameraId,
+  initialView
 }) {
-  const [viewState, setViewState] = useState(INITIAL_VIEW_STATE)
+  const [viewState, setViewState] = useState(() => ({ ...INITIAL_VIEW_STATE, ...initialView }))
   const [tripsTime, setTripsTime] = useState(0)
-  const [countriesGeoJson, setCountriesGeoJson] = useState(null)
   const tripsAnimationRef = useRef(null)
+  const containerRef = useRef(null)
 
-  const { visits = [], metadata } = data || {}
+  const { metadata, countries: countriesGeoJson } = data || {}
   const minTime = metadata?.minTimestamp || 0
   const maxTime = metadata?.maxTimestamp || Date.now() / 1000
 
-  // Load countries GeoJSON
-  useEffect(() => {
-    fetch('/data/countries.geojson')
-      .then(res => res.json())
-      .then(setCountriesGeoJson)
-      .catch(console.error)
-  }, [])
-
-  // Filter data by time range
-  const timeFilteredVisits = useMemo(() => {
-    if (!visits || !visits.length) return []
-    const rangeStart = minTime + (maxTime - minTime) * timeRange[0]
-    const rangeEnd = minTime + (maxTime - minTime) * timeRange[1]
-    return visits.filter(v => v.timestamp >= rangeStart && v.timestamp <= rangeEnd)
-  }, [visits, timeRange, minTime, maxTime])
-
-  // Filter actual trips data by time range and format for TripsLayer
-  const { trips = [] } = data || {}
-  
-  const timeFilteredTrips = useMemo(() => {
-    if (!trips || trips.length === 0) return []
-    
-    let rangeStart, rangeEnd
-    
-    // If in day replay mode, use the selected day's time range
-    if (dayReplayActive && selectedDayVisits && selectedDayVisits.length > 0) {
-      const dayTimestamps = selectedDayVisits.map(v => v.timestamp)
-      const dayStart = Math.min(...dayTimestamps)
-      const dayEnd = Math.max(...dayTimestamps)
-      // Expand range slightly to capture trips that start before first visit or end after last
-      rangeStart = dayStart - 3600 // 1 hour before
-      rangeEnd = dayEnd + 3600 // 1 hour after
-    } else {
-      rangeStart = minTime + (maxTime - minTime) * timeRange[0]
-      rangeEnd = minTime + (maxTime - minTime) * timeRange[1]
-    }
-    
-    // Filter by time range first
-    const timeFiltered = trips.filter(trip => {
-      if (!trip.path || trip.path.length < 2) return false
-      const tripStart = trip.path[0].timestamp
-      const tripEnd = trip.path[trip.path.length - 1].timestamp
-      return tripEnd >= rangeStart && tripStart <= rangeEnd
-    })
-    
-    // De-duplicate overlapping trips: if two trips overlap >50%, keep the one with more points
-    const sorted = [...timeFiltered].sort((a, b) => a.path[0].timestamp - b.path[0].timestamp)
-    const kept = []
-    const removed = new Set()
-    
-    for (let i = 0; i < sorted.length; i++) {
-      if (removed.has(i)) continue
-      
-      const tripA = sorted[i]
-      const aStart = tripA.path[0].timestamp
-      const aEnd = tripA.path[tripA.path.length - 1].timestamp
-      const aDuration = aEnd - aStart || 1
-      
-      // Check for overlaps with subsequent trips
-      for (let j = i + 1; j < sorted.length; j++) {
-        if (removed.has(j)) continue
-        
-        const tripB = sorted[j]
-        const bStart = tripB.path[0].timestamp
-        const bEnd = tripB.path[tripB.path.length - 1].timestamp
-        const bDuration = bEnd - bStart || 1
-        
-        // If B starts after A ends, no more overlaps possible
-        if (bStart > aEnd) break
-        
-        // Calculate overlap
-        const overlapStart = Math.max(aStart, bStart)
-        const overlapEnd = Math.min(aEnd, bEnd)
-        const overlapDuration = Math.max(0, overlapEnd - overlapStart)
-        
-        // Check if overlap is >50% of either trip
-        const overlapRatioA = overlapDuration / aDuration
-        const overlapRatioB = overlapDuration / bDuration
-        
-        if (overlapRatioA > 0.5 || overlapRatioB > 0.5) {
-          // Keep the one with more points, remove the other
-          if (tripA.path.length >= tripB.path.length) {
-            removed.add(j)
-          } else {
-            removed.add(i)
-            break // Stop checking, tripA is removed
-          }
-        }
-      }
-      
-      if (!removed.has(i)) {
-        kept.push(tripA)
-      }
-    }
-    
-    return kept
-  }, [trips, timeRange, minTime, maxTime, dayReplayActive, selectedDayVisits])
+  // Time filtering happens in the query worker; these are its latest results.
+  // Arcs are arcs.json entries with their count inside the current time range.
+  const timeFilteredVisits = query.visits
+  const timeFilteredTrips = query.trips
+  const timeFilteredArcs = query.arcs
+  const visitedCountries = query.countryDays
+  const gridData = query.grid || EMPTY_GRID
+  const crossings = query.crossings || []
   
   // Format trips for TripsLayer animation with interpolation and speed scaling
   const animatedTrips = useMemo(() => {
@@ -313,51 +157,55 @@ function FlowMap({
       return points
     }
     
-    // For day replay: merge ALL trips into ONE continuous path
-    // This ensures a single unbroken line for the entire day
+    // For day replay: merge ALL of a person's trips into ONE continuous path
+    // This ensures a single unbroken line for the entire day, one per profile
     if (dayReplayActive) {
-      // Sort trips by start time to ensure correct order
-      const sortedTrips = [...timeFilteredTrips].sort((a, b) => 
-        a.path[0].timestamp - b.path[0].timestamp
-      )
-      
-      // Merge all trip coordinates into one continuous path
-      const allCoords = []
-      for (const trip of sortedTrips) {
-        for (const point of trip.path) {
-          allCoords.push(point.coordinates)
+      return Array.from(groupByProfile(timeFilteredTrips), ([profile, trips]) => {
+        // Sort trips by start time to ensure correct order
+        const sortedTrips = [...trips].sort((a, b) => 
+          a.path[0].timestamp - b.path[0].timestamp
+        )
+        
+        // Merge all trip coordinates into one continuous path
+        const allCoords = []
+        for (const trip of sortedTrips) {
+          for (const point of trip.path) {
+            allCoords.push(point.coordinates)
+          }
         }
-      }
-      
-      if (allCoords.length < 2) {
-        return [{
-          path: allCoords,
-          timestamps: allCoords.map((_, i) => i * 100),
-          timeProgress: 0
-        }]
-      }
-      
-      // Apply smooth curve interpolation to the entire merged path
-      const smoothedPath = smoothPath(allCoords)
-      
-      // Calculate cumulative distances for timestamp distribution
-      const pathDistances = [0]
-      for (let i = 1; i < smoothedPath.length; i++) {
-        const segDist = haversineDistance(smoothedPath[i-1], smoothedPath[i])
-        pathDistances.push(pathDistances[i-1] + segDist)
-      }
-      const totalDistance = pathDistances[pathDistances.length - 1] || 1
-      
-      // Create timestamps based on distance (0 to 10000)
-      const timestamps = pathDistances.map(d => (d / totalDistance) * 10000)
-      
-      // Return a single continuous trip
-      // timeProgress for each point is its position in the day (0 = start, 1 = end)
-      return [{
-        path: smoothedPath,
-        timestamps,
-        timeProgress: 0.5 // Middle value since color will be per-point based
-      }]
+        
+        if (allCoords.length < 2) {
+          return {
+            path: allCoords,
+            timestamps: allCoords.map((_, i) => i * 100),
+            timeProgress: 0,
+            profile
+          }
+        }
+        
+        // Apply smooth curve interpolation to the entire merged path
+        const smoothedPath = smoothPath(allCoords)
+        
+        // Calculate cumulative distances for timestamp distribution
+        const pathDistances = [0]
+        for (let i = 1; i < smoothedPath.length; i++) {
+          const segDist = haversineDistance(smoothedPath[i-1], smoothedPath[i])
+          pathDistances.push(pathDistances[i-1] + segDist)
+        }
+        const totalDistance = pathDistances[pathDistances.length - 1] || 1
+        
+        // Create timestamps based on distance (0 to 10000)
+        const timestamps = pathDistances.map(d => (d / totalDistance) * 10000)
+        
+        // One continuous trip for the person
+        // timeProgress for each point is its position in the day (0 = start, 1 = end)
+        return {
+          path: smoothedPath,
+          timestamps,
+          timeProgress: 0.5, // Middle value since color will be per-point based
+          profile
+        }
+      })
     }
     
     // Regular animation: use actual timestamps
@@ -413,7 +261,8 @@ function FlowMap({
         path: interpolatedPath.map(p => p.coordinates),
         timestamps,
         activityType: trip.activityType,
-        timeProgress
+        timeProgress,
+        profile: profileOf(trip)
       }
     })
   }, [timeFilteredTrips, dayReplayActive])
@@ -422,57 +271,11 @@ function FlowMap({
   const staticPaths = useMemo(() => {
     return timeFilteredTrips.map(trip => ({
       path: trip.path.map(p => p.coordinates),
-      activityType: trip.activityType
+      activityType: trip.activityType,
+      profile: profileOf(trip)
     }))
   }, [timeFilteredTrips])
 
-  // Pre-aggregated grid data - computed once, very fast to render
-  const gridData = useMemo(() => {
-    if (!timeFilteredVisits || timeFilteredVisits.length === 0) return { cells: [], maxCount: 1 }
-    
-    const cells = aggregateToGrid(timeFilteredVisits, 0.015) // ~1.5km cells
-    const maxCount = Math.max(...cells.map(c => c.count), 1)
-    
-    return { cells, maxCount }
-  }, [timeFilteredVisits])
-
-  // Build arcs
-  const timeFilteredArcs = useMemo(() => {
-    if (!timeFilteredVisits || timeFilteredVisits.length < 2) return []
-    
-    const sorted = [...timeFilteredVisits].sort((a, b) => a.timestamp - b.timestamp)
-    const arcCounts = new Map()
-    
-    for (let i = 1; i < sorted.length; i++) {
-      const prev = sorted[i - 1]
-      const curr = sorted[i]
-      
-      const timeDiff = curr.timestamp - prev.timestamp
-      if (timeDiff > 86400 * 2) continue
-      
-      const dist = Math.sqrt(
-        Math.pow(curr.coordinates[0] - prev.coordinates[0], 2) +
-        Math.pow(curr.coordinates[1] - prev.coordinates[1], 2)
-      )
-      if (dist < 0.001) continue
-      
-      const key = `${prev.coordinates[0].toFixed(3)},${prev.coordinates[1].toFixed(3)}|${curr.coordinates[0].toFixed(3)},${curr.coordinates[1].toFixed(3)}`
-      
-      if (arcCounts.has(key)) {
-        arcCounts.get(key).count++
-      } else {
-        arcCounts.set(key, {
-          source: prev.coordinates,
-          target: curr.coordinates,
-          count: 1,
-          timestamp: curr.timestamp
-        })
-      }
-    }
-    
-    return Array.from(arcCounts.values()).sort((a, b) => a.count - b.count)
-  }, [timeFilteredVisits])
-
   // Reset animation when day replay is activated or day changes
   const prevDayReplayRef = useRef(dayReplayActive)
   const prevSelectedDayRef = useRef(selectedDayVisits)
@@ -533,17 +336,17 @@ function FlowMap({
     
     let startTime = null
     let isPaused = true
-    let pauseStartTime = Date.now()
+    let pauseStartTime = clock.now()
     
     // Check if we need to reset (new day selected)
     if (shouldResetRef.current) {
       shouldResetRef.current = false
       isPaused = true
-      pauseStartTime = Date.now()
+      pauseStartTime = clock.now()
     }
     
     const animate = () => {
-      const now = Date.now()
+      const now = clock.now()
       
       // Check for external reset request (new day selected)
       if (shouldResetRef.current) {
@@ -592,22 +395,49 @@ function FlowMap({
   // Fly to location
   useEffect(() => {
     if (flyToLocation) {
+      // Bounds ([[minLng, minLat], [maxLng, maxLat]], e.g. a trip's) are fitted to this map's size
+      const target = flyToLocation.bounds && containerRef.current
+        ? new WebMercatorViewport({
+          width: containerRef.current.clientWidth,
+          height: containerRef.current.clientHeight
+        }).fitBounds(flyToLocation.bounds, { padding: 80, maxZoom: 14 })
+        : flyToLocation
       setViewState(prev => ({
         ...prev,
-        longitude: flyToLocation.longitude,
-        latitude: flyToLocation.latitude,
-        zoom: flyToLocation.zoom || 13,
-        pitch: 55,
-        bearing: Math.random() * 40 - 20,
-        transitionDuration: 2000,
+        longitude: target.longitude,
+        latitude: target.latitude,
+        zoom: target.zoom || 13,
+        // A camera restored from a link or history keeps its exact angle
+        pitch: flyToLocation.pitch ?? 55,
+        bearing: flyToLocation.bearing ?? Math.random() * 40 - 20,
+        transitionDuration: flyToLocation.transitionDuration ?? 2000,
         transitionInterpolator: new FlyToInterpolator()
       }))
       setFlyToLocation(null)
     }
   }, [flyToLocation, setFlyToLocation])
 
+  // Follow the other synced maps
+  useEffect(() => {
+    if (!cameraSync) return
+    return cameraSync.subscribe(cameraId, ({ longitude, latitude, zoom, pitch, bearing }) => {
+      setViewState(prev => ({ ...prev, longitude, latitude, zoom, pitch, bearing, transitionDuration: 0 }))
+    })
+  }, [cameraSync, cameraId])
+
+  // Report where the camera settled (for the shareable link), not every frame of a pan or flight
+  useEffect(() => {
+    if (!onViewChange) return
+    const timer = setTimeout(() => onViewChange(roundView(viewState)), 400)
+    return () => clearTimeout(timer)
+  }, [viewState, onViewChange])
+
   // Click to explore
   const handleClick = useCallback((info) => {
+    // While a privacy zone is being drawn, clicks belong to the map
+    if (zoneDraft) return
+    // Visits open in the edit panel as well as flying there
+    if (info.object?.semanticType) onSelectVisit?.(info.object)
     if (info.object) {
       const coords = info.object.coordinates || info.object.source
       if (coords) {
@@ -621,11 +451,15 @@ function FlowMap({
         }))
       }
     }
-  }, [])
+  }, [onSelectVisit, zoneDraft])
+
+  // With several profiles loaded, everything is colored by whose it is instead of by time
+  const colorOf = useCallback((d, alpha) => [...(profileColors.get(profileOf(d)) || [255, 255, 255]), alpha], [profileColors])
 
   const getVisitColor = useCallback((d) => {
+    if (profileColors) return colorOf(d, 230)
     return getTimeColor(d.timestamp, minTime, maxTime)
-  }, [minTime, maxTime])
+  }, [minTime, maxTime, profileColors, colorOf])
 
   const getVisitRadius = useCallback((d) => {
     const durationFactor = Math.min(d.durationMinutes / 60, 12) / 12
@@ -633,53 +467,22 @@ function FlowMap({
   }, [])
 
   const getArcColor = useCallback((d) => {
+    if (profileColors) return colorOf(d, 200)
     return getTimeColor(d.timestamp, minTime, maxTime)
-  }, [minTime, maxTime])
+  }, [minTime, maxTime, profileColors, colorOf])
 
   const getArcHeight = useCallback((d) => {
     return 0.2 + Math.log2(d.count + 1) * 0.2
   }, [])
 
-  // Calculate visited countries with days spent
-  const visitedCountries = useMemo(() => {
-    const rangeStart = minTime + (maxTime - minTime) * timeRange[0]
-    const rangeEnd = minTime + (maxTime - minTime) * timeRange[1]
-    
-    const countryDays = {}
-    
-    for (const visit of visits) {
-      if (visit.timestamp < rangeStart || visit.timestamp > rangeEnd) continue
-      
-      const addr = visit.address || ''
-      const parts = addr.split(',').map(p => p.trim())
-      let country = parts[parts.length - 1]
-      
-      // Clean up edge cases
-      if (!country || country.match(/^\d/) || country.length > 30) continue
-      
-      // Map to GeoJSON names
-      country = COUNTRY_NAME_MAP[country] || country
-      
-      if (!countryDays[country]) {
-        countryDays[country] = new Set()
-      }
-      const day = new Date(visit.timestamp * 1000).toDateString()
-      countryDays[country].add(day)
-    }
-    
-    const result = {}
-    for (const [country, days] of Object.entries(countryDays)) {
-      result[country] = days.size
-    }
-    return result
-  }, [visits, timeRange, minTime, maxTime])
-
   const layers = useMemo(() => {
     const result = []
 
     // Country polygons layer - glowing effect
     if (countriesGeoJson) {
       const maxDays = Math.max(...Object.values(visitedCountries), 1)
+      // Days are keyed by registry name; outlines use their own spellings
+      const daysIn = f => visitedCountries[countryForFeature(f)?.name || f.properties.name] || 0
       
       // Calculate zoom-based transparency for country fills
       // At zoom 4-6: full visibility, zoom 10+: nearly invisible
@@ -692,8 +495,7 @@ function FlowMap({
           stroked: true,
           filled: true,
           getFillColor: f => {
-            const countryName = f.properties.name
-            const days = visitedCountries[countryName] || 0
+            const days = daysIn(f)
             if (days === 0) return [0, 0, 0, 0]
             
             // Pure cyan glow - intensity increases with days
@@ -710,7 +512,7 @@ function FlowMap({
             ]
           },
           getLineColor: f => {
-            const days = visitedCountries[f.properties.name] || 0
+            const days = daysIn(f)
             if (days === 0) return [0, 0, 0, 0]
             const t = Math.min(Math.log(days + 1) / Math.log(maxDays + 1), 1)
             // Border stays more visible but still fades somewhat
@@ -718,7 +520,7 @@ function FlowMap({
             return [0, 212, 255, Math.round((150 + t * 105) * borderAlphaFactor)]
           },
           getLineWidth: f => {
-            const days = visitedCountries[f.properties.name] || 0
+            const days = daysIn(f)
             if (days === 0) return 0
             const t = Math.min(Math.log(days + 1) / Math.log(maxDays + 1), 1)
             return 2 + t * 4 // Width: 2 -> 6
@@ -738,22 +540,27 @@ function FlowMap({
     if (visibleLayers.trips || dayReplayActive) {
       if ((animating || dayReplayActive) && animatedTrips.length > 0) {
         
+        // Each person's day is one continuous path
+        const replayPaths = dayReplayActive ? animatedTrips.filter(trip => trip.path.length > 1) : []
+
         // For day replay: First add static background path (rendered first = bottom)
-        if (dayReplayActive && animatedTrips.length > 0 && animatedTrips[0].path.length > 1) {
-          const fullPath = animatedTrips[0].path
-          const numSegments = Math.min(50, Math.max(10, Math.floor(fullPath.length / 5)))
-          const segmentSize = Math.ceil(fullPath.length / numSegments)
-          
+        if (replayPaths.length > 0) {
           const gradientSegments = []
-          for (let i = 0; i < numSegments; i++) {
-            const startIdx = i * segmentSize
-            const endIdx = Math.min((i + 1) * segmentSize + 1, fullPath.length)
-            if (startIdx >= fullPath.length - 1) break
+          for (const { path: fullPath, profile } of replayPaths) {
+            const numSegments = Math.min(50, Math.max(10, Math.floor(fullPath.length / 5)))
+            const segmentSize = Math.ceil(fullPath.length / numSegments)
             
-            gradientSegments.push({
-              path: fullPath.slice(startIdx, endIdx),
-              timeProgress: i / (numSegments - 1)
-            })
+            for (let i = 0; i < numSegments; i++) {
+              const startIdx = i * segmentSize
+              const endIdx = Math.min((i + 1) * segmentSize + 1, fullPath.length)
+              if (startIdx >= fullPath.length - 1) break
+              
+              gradientSegments.push({
+                path: fullPath.slice(startIdx, endIdx),
+                timeProgress: i / (numSegments - 1),
+                profile
+              })
+            }
           }
           
           // Static background path - added FIRST so it's at bottom
@@ -763,6 +570,7 @@ function FlowMap({
               data: gradientSegments,
               getPath: d => d.path,
               getColor: d => {
+                if (profileColors) return colorOf(d, 38)
                 const t = d.timeProgress || 0
                 return [
                   Math.round(t * 200),
@@ -809,7 +617,7 @@ function FlowMap({
               data: animatedTrips,
               getPath: d => d.path,
               getTimestamps: d => d.timestamps,
-              getColor: [0, 200, 255, 100],
+              getColor: profileColors ? d => colorOf(d, 100) : [0, 200, 255, 100],
               opacity: 1,
               widthMinPixels: 6,
               widthMaxPixels: 10,
@@ -848,7 +656,9 @@ function FlowMap({
             data: animatedTrips,
             getPath: d => d.path,
             getTimestamps: d => d.timestamps,
-            getColor: dayReplayActive ? [255, 255, 255, 255] : [0, 212, 255, 255],
+            getColor: dayReplayActive
+              ? [255, 255, 255, 255]
+              : profileColors ? d => colorOf(d, 255) : [0, 212, 255, 255],
             opacity: 1,
             widthMinPixels: dayReplayActive ? 2 : 4,
             widthMaxPixels: dayReplayActive ? 3 : 8,
@@ -861,15 +671,11 @@ function FlowMap({
         )
         
         // Start and End markers - added LAST so they're on very top
-        if (dayReplayActive && animatedTrips.length > 0 && animatedTrips[0].path.length > 1) {
-          const fullPath = animatedTrips[0].path
-          const startPoint = fullPath[0]
-          const endPoint = fullPath[fullPath.length - 1]
-          
-          const markerData = [
-            { position: startPoint, type: 'start' },
-            { position: endPoint, type: 'end' }
-          ]
+        if (replayPaths.length > 0) {
+          const markerData = replayPaths.flatMap(({ path: fullPath }) => [
+            { position: fullPath[0], type: 'start' },
+            { position: fullPath[fullPath.length - 1], type: 'end' }
+          ])
           
           // Outer glow for markers
           result.push(
@@ -924,7 +730,7 @@ function FlowMap({
             id: 'static-trips',
             data: staticPaths,
             getPath: d => d.path,
-            getColor: [0, 212, 255, 150],
+            getColor: profileColors ? d => colorOf(d, 150) : [0, 212, 255, 150],
             getWidth: 3,
             widthMinPixels: 2,
             widthMaxPixels: 6,
@@ -1044,6 +850,69 @@ function FlowMap({
       )
     }
 
+    // Where two profiles were at the same place around the same time
+    if (profileColors && crossings.length > 0) {
+      result.push(
+        new ScatterplotLayer({
+          id: 'crossings',
+          data: crossings,
+          getPosition: d => d.coordinates,
+          getRadius: 9,
+          radiusUnits: 'pixels',
+          getFillColor: [255, 255, 255, 30],
+          getLineColor: [255, 255, 255, 230],
+          stroked: true,
+          lineWidthMinPixels: 2,
+          pickable: true
+        })
+      )
+    }
+
+    // Privacy zones, only passed in while the privacy panel is open
+    if (privacyZones?.length > 0) {
+      result.push(
+        new ScatterplotLayer({
+          id: 'privacy-circles',
+          data: privacyZones.filter(zone => zone.shape !== 'polygon'),
+          getPosition: d => d.center,
+          getRadius: d => d.radius,
+          radiusUnits: 'meters',
+          getFillColor: [147, 51, 234, 40],
+          getLineColor: [147, 51, 234, 220],
+          stroked: true,
+          lineWidthMinPixels: 2
+        }),
+        new PolygonLayer({
+          id: 'privacy-polygons',
+          data: privacyZones.filter(zone => zone.shape === 'polygon'),
+          getPolygon: d => d.coordinates,
+          getFillColor: [147, 51, 234, 40],
+          getLineColor: [147, 51, 234, 220],
+          stroked: true,
+          lineWidthMinPixels: 2
+        })
+      )
+    }
+
+    if (zoneDraft?.points.length > 0) {
+      result.push(
+        new PathLayer({
+          id: 'privacy-draft-path',
+          data: [zoneDraft.points],
+          getPath: d => d,
+          getColor: [147, 51, 234, 220],
+          widthMinPixels: 2
+        }),
+        new ScatterplotLayer({
+          id: 'privacy-draft-points',
+          data: zoneDraft.points,
+          getPosition: d => d,
+          getFillColor: [255, 255, 255, 230],
+          radiusMinPixels: 4
+        })
+      )
+    }
+
     return result
   }, [
     timeFilteredVisits, 
@@ -1062,34 +931,72 @@ function FlowMap({
     getVisitRadius, 
     getArcColor, 
     getArcHeight,
-    handleClick
+    handleClick,
+    privacyZones,
+    zoneDraft,
+    crossings,
+    profileColors,
+    colorOf
   ])
 
+  // Poster export: re-render these layers offscreen at the requested pixel size
+  useEffect(() => {
+    if (!mapImageRequest) return
+    const { width, height, resolve, reject } = mapImageRequest
+    setMapImageRequest(null)
+    renderMapImage({
+      layers,
+      viewState,
+      mapStyle: MAP_STYLE,
+      viewport: { width: containerRef.current.clientWidth, height: containerRef.current.clientHeight },
+      width,
+      height
+    }).then(resolve, reject)
+  }, [mapImageRequest])
+
   return (
-    <div className="map-container">
+    <div className="map-container" ref={containerRef}>
       <DeckGL
         viewState={viewState}
-        onViewStateChange={({ viewState }) => setViewState(viewState)}
+        onViewStateChange={({ viewState }) => {
+          setViewState(viewState)
+          cameraSync?.publish(cameraId, viewState)
+        }}
         controller={true}
         layers={layers}
+        onClick={(info) => zoneDraft && info.coordinate && onMapClick?.(info.coordinate)}
+        // Names and addresses come from imported files, so they're escaped before going into HTML
         getTooltip={({ object }) => object && {
           html: object.semanticType 
             ? `<div class="map-tooltip">
-                ${object.placeName ? `<div class="tooltip-name">${object.placeName}</div>` : ''}
-                ${object.primaryType ? `<div class="tooltip-type-badge">${object.primaryType.replace(/_/g, ' ')}</div>` : ''}
-                ${!object.placeName && object.address ? `<div class="tooltip-address">${object.address.split(',').slice(0, 2).join(',')}</div>` : ''}
-                <div class="tooltip-meta">${object.semanticType}${object.city ? ` · ${object.city}` : ''}</div>
+                ${object.placeName ? `<div class="tooltip-name">${escapeXml(object.placeName)}</div>` : ''}
+                ${object.primaryType ? `<div class="tooltip-type-badge">${categoryInfo(object.category).icon} ${escapeXml(object.primaryType.replace(/_/g, ' '))}</div>` : ''}
+                ${object.rating != null ? `<div class="tooltip-detail">★ ${object.rating.toFixed(1)}${object.ratingCount ? ` · ${object.ratingCount.toLocaleString()} ratings` : ''}</div>` : ''}
+                ${!object.placeName && object.address ? `<div class="tooltip-address">${escapeXml(object.address.split(',').slice(0, 2).join(','))}</div>` : ''}
+                <div class="tooltip-meta">${escapeXml(object.semanticType)}${object.city ? ` · ${escapeXml(object.city)}` : ''}${profileColors ? ` · ${escapeXml(profileOf(object))}` : ''}${object.edited ? ' · edited' : ''}</div>
                 <div class="tooltip-date">${new Date(object.timestamp * 1000).toLocaleDateString('en-US', { 
                   weekday: 'short', 
                   month: 'short', 
                   day: 'numeric',
                   year: 'numeric'
                 })}</div>
-                <div class="tooltip-duration">${Math.round(object.durationMinutes)} min</div>
+                <div class="tooltip-duration">${Math.round(object.durationMinutes)} min · click to edit</div>
+              </div>`
+            : object.profiles
+            ? `<div class="map-tooltip">
+                <div class="tooltip-name">${escapeXml(object.profiles.join(' & '))}</div>
+                <div class="tooltip-type-badge">crossed paths</div>
+                ${object.placeName ? `<div class="tooltip-detail">${escapeXml(object.placeName)}</div>` : ''}
+                <div class="tooltip-date">${new Date(object.timestamp * 1000).toLocaleDateString('en-US', {
+                  weekday: 'short',
+                  month: 'short',
+                  day: 'numeric',
+                  year: 'numeric'
+                })}</div>
               </div>`
             : object.topLocation 
             ? `<div class="map-tooltip">
-                <div class="tooltip-name">${object.topLocation}</div>
+                <div class="tooltip-name">${escapeXml(object.topLocation)}</div>
                 <div class="tooltip-type-badge">top location</div>
                 <div class="tooltip-stats">
                   <span class="tooltip-stat">${object.count} visits</span>
@@ -1113,7 +1020,8 @@ function FlowMap({
           }
         }}
       >
-        <MapGL mapStyle={MAP_STYLE} />
+        {/* Kept readable so recordings can copy the basemap into their frames */}
+        <MapGL mapStyle={MAP_STYLE} preserveDrawingBuffer />
       </DeckGL>
     </div>
   )
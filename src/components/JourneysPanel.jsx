@@ -0,0 +1,99 @@
+import { useState, useMemo } from 'react'
+import { findCountry } from '../utils/countries'
+import './JourneysPanel.css'
+
+const SORTS = {
+  recent: { label: 'Recent', compare: (a, b) => b.start.localeCompare(a.start) },
+  longest: { label: 'Longest', compare: (a, b) => b.nights - a.nights },
+  farthest: { label: 'Farthest', compare: (a, b) => b.kilometers - a.kilometers }
+}
+
+const MAX_DESTINATIONS = 3
+
+const formatDay = (key, withYear) => new Date(`${key}T00:00:00Z`).toLocaleDateString('en-US', {
+  month: 'short', day: 'numeric', ...(withYear && { year: 'numeric' }), timeZone: 'UTC'
+})
+
+// "Jun 14 — Jun 21, 2019", with both years when the trip crosses New Year
+const formatDates = ({ start, end }) => (start.slice(0, 4) === end.slice(0, 4)
+  ? `${formatDay(start)} — ${formatDay(end, true)}`
+  : `${formatDay(start, true)} — ${formatDay(end, true)}`)
+
+// Where the nights were spent first, then places passed through
+const describeDestinations = (destinations) => {
+  const names = [...destinations].sort((a, b) => b.nights - a.nights).map(({ city }) => city)
+  const extra = names.length - MAX_DESTINATIONS
+  return names.slice(0, MAX_DESTINATIONS).join(', ') + (extra > 0 ? ` +${extra}` : '')
+}
+
+// Trips away from home (utils/journeys.js), newest first or by length or distance. Picking one
+// sets the time range to it and fits the map to where it went; App does both.
+function JourneysPanel({ journeys, onSelect }) {
+  const [expanded, setExpanded] = useState(false)
+  const [sort, setSort] = useState('recent')
+  const [active, setActive] = useState(null)
+
+  const sorted = useMemo(() => [...journeys].sort(SORTS[sort].compare), [journeys, sort])
+  const totalNights = useMemo(() => journeys.reduce((sum, journey) => sum + journey.nights, 0), [journeys])
+
+  if (journeys.length === 0) return null
+
+  return (
+    <div className="journeys-panel">
+      <button className="journeys-header" onClick={() => setExpanded(!expanded)}>
+        <span className="journeys-icon">✈</span>
+        <span className="journeys-title">Trips</span>
+        <span className="journeys-summary">
+          {journeys.length} · {totalNights.toLocaleString()} nights
+        </span>
+        <span className="journeys-chevron">{expanded ? '▾' : '▸'}</span>
+      </button>
+
+      {expanded && (
+        <div className="journeys-body">
+          <div className="journeys-sorts">
+            {Object.entries(SORTS).map(([key, { label }]) => (
+              <button
+                key={key}
+                className={`journeys-sort ${sort === key ? 'active' : ''}`}
+                onClick={() => setSort(key)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          <div className="journeys-list">
+            {sorted.map(journey => (
+              <button
+                key={journey.start}
+                className={`journey ${active === journey.start ? 'active' : ''}`}
+                onClick={() => {
+                  setActive(journey.start)
+                  onSelect(journey)
+                }}
+              >
+                <span className="journey-top">
+                  <span className="journey-destinations">{describeDestinations(journey.destinations) || 'Unknown'}</span>
+                  <span className="journey-flags">
+                    {journey.countries.map(country => (
+                      <span key={country} title={country}>{findCountry(country)?.flag || '🏳️'}</span>
+                    ))}
+                  </span>
+                </span>
+                <span className="journey-meta">
+                  <span>{formatDates(journey)}</span>
+                  <span>
+                    {journey.nights} night{journey.nights === 1 ? '' : 's'} · {journey.kilometers.toLocaleString()} km
+                  </span>
+                </span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default JourneysPanel
@@ -1,26 +1,25 @@
 import { useMemo } from 'react'
 import './LifeChapters.css'
 
-// Country detection from address
-const extractCountry = (address) => {
-  if (!address) return null
-  const parts = address.split(',').map(p => p.trim())
-  const last = parts[parts.length - 1]
-  if (!last || last.match(/^\d/) || last.length > 30) return null
-  return last
+// Visits in a "YYYY-MM" month, straight from the store's time index
+const monthVisits = (store, month) => {
+  const [year, monthNumber] = month.split('-').map(Number)
+  const start = new Date(year, monthNumber - 1, 1).getTime() / 1000
+  const end = new Date(year, monthNumber, 1).getTime() / 1000 - 1
+  return store.range(start, end)
 }
 
 // Detect significant location changes / life chapters
-function detectChapters(visits, minTime, maxTime) {
-  if (!visits || visits.length < 10) return []
+function detectChapters(store, minTime, maxTime) {
+  if (!store || store.size < 10) return []
   
   const chapters = []
-  const sorted = [...visits].sort((a, b) => a.timestamp - b.timestamp)
+  const sorted = store.visits
   
   // Group visits by month and find dominant locations
   const monthlyData = new Map()
   
-  sorted.forEach(v => {
+  sorted.forEach((v, i) => {
     const date = new Date(v.timestamp * 1000)
     const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`
     
@@ -41,7 +40,7 @@ function detectChapters(visits, minTime, maxTime) {
     }
     
     // Track countries
-    const country = extractCountry(v.address)
+    const country = store.countryAt(i)
     if (country) {
       month.countries[country] = (month.countries[country] || 0) + 1
     }
@@ -84,10 +83,7 @@ function detectChapters(visits, minTime, maxTime) {
       
       if (cityCount / totalCount > 0.5 && cityCount > 10) {
         const cityVisit = [...data.homes, ...data.works].find(v => v.city === dominantCity) 
-          || sorted.find(v => {
-            const d = new Date(v.timestamp * 1000)
-            return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}` === month && v.city === dominantCity
-          })
+          || monthVisits(store, month).find(v => v.city === dominantCity)
         
         if (cityVisit && lastDominantCity) {
           cityMoves.push({
@@ -117,17 +113,9 @@ function detectChapters(visits, minTime, maxTime) {
     })
   })
   
-  // Track first visits to countries
-  const firstCountryVisit = {}
-  sorted.forEach(v => {
-    const country = extractCountry(v.address)
-    if (country && country !== 'Canada' && !firstCountryVisit[country]) {
-      firstCountryVisit[country] = v
-    }
-  })
-  
-  // Add notable first international trips
-  Object.entries(firstCountryVisit).forEach(([country, visit]) => {
+  // Add notable first international trips (the index knows each country's first visit)
+  store.groupBy('country').forEach(({ key: country, first: visit }) => {
+    if (country === 'Canada') return
     chapters.push({
       id: `first-${country}`,
       title: `First time in ${country}`,
@@ -141,7 +129,7 @@ function detectChapters(visits, minTime, maxTime) {
   
   // Add yearly milestones with stats
   const yearlyData = new Map()
-  sorted.forEach(v => {
+  sorted.forEach((v, i) => {
     const year = new Date(v.timestamp * 1000).getFullYear()
     if (!yearlyData.has(year)) {
       yearlyData.set(year, { 
@@ -164,7 +152,7 @@ function detectChapters(visits, minTime, maxTime) {
       data.uniquePlaces.add(placeName)
     }
     
-    const country = extractCountry(v.address)
+    const country = store.countryAt(i)
     if (country) {
       data.countries[country] = (data.countries[country] || 0) + 1
     }
@@ -209,13 +197,13 @@ function detectChapters(visits, minTime, maxTime) {
   return chapters
 }
 
-function LifeChapters({ visits, metadata, onChapterClick }) {
+function LifeChapters({ store, metadata, onChapterClick }) {
   const minTime = metadata?.minTimestamp || 0
   const maxTime = metadata?.maxTimestamp || Date.now() / 1000
   
   const chapters = useMemo(() => 
-    detectChapters(visits, minTime, maxTime),
-    [visits, minTime, maxTime]
+    detectChapters(store, minTime, maxTime),
+    [store, minTime, maxTime]
   )
   
   if (chapters.length === 0) return null
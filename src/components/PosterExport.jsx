@@ -0,0 +1,105 @@
+import { useState } from 'react'
+import { PAPER_SIZES, posterSize, posterLayout, drawPoster, posterSVG } from '../utils/poster'
+import './PosterExport.css'
+
+const RESOLUTIONS = [150, 300]
+const FORMATS = ['PNG', 'SVG']
+
+const download = (blob, name) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = name
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+const canvasBlob = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The poster is too large for this browser'))), 'image/png')
+})
+
+// Print-size poster of the current view. The map is re-rendered by FlowMap through
+// requestMapImage; the title block is drawn here from the same numbers Stats shows.
+function PosterExport({ metadata, timeRange, stats, countries, requestMapImage }) {
+  const [expanded, setExpanded] = useState(false)
+  const [title, setTitle] = useState('An Odyssey')
+  const [paper, setPaper] = useState('A2')
+  const [orientation, setOrientation] = useState('portrait')
+  const [dpi, setDpi] = useState(300)
+  const [format, setFormat] = useState('PNG')
+  const [status, setStatus] = useState(null)
+
+  const size = posterSize(paper, orientation, dpi)
+  const rendering = status?.state === 'rendering'
+
+  const render = async () => {
+    setStatus({ state: 'rendering', message: `Rendering ${size.width.toLocaleString()} × ${size.height.toLocaleString()} px…` })
+    try {
+      const layout = posterLayout(size)
+      const mapImage = await requestMapImage(layout.map)
+      const span = metadata.maxTimestamp - metadata.minTimestamp
+      const content = {
+        title,
+        range: [metadata.minTimestamp + span * timeRange[0], metadata.minTimestamp + span * timeRange[1]],
+        years: [new Date(metadata.minTimestamp * 1000).getFullYear(), new Date(metadata.maxTimestamp * 1000).getFullYear()],
+        stats,
+        countries
+      }
+      const name = `odyssey-poster-${paper.toLowerCase()}-${dpi}dpi`
+      if (format === 'SVG') {
+        download(new Blob([posterSVG({ mapImage, layout, content })], { type: 'image/svg+xml' }), `${name}.svg`)
+      } else {
+        download(await canvasBlob(drawPoster({ mapImage, layout, content })), `${name}.png`)
+      }
+      setStatus({ state: 'done', message: 'Poster saved' })
+    } catch (err) {
+      setStatus({ state: 'error', message: err.message })
+    }
+  }
+
+  const chips = (options, value, setValue, label = (option) => option) => (
+    <div className="poster-chips">
+      {options.map(option => (
+        <button
+          key={option}
+          className={`poster-chip ${value === option ? 'active' : ''}`}
+          onClick={() => setValue(option)}
+        >
+          {label(option)}
+        </button>
+      ))}
+    </div>
+  )
+
+  return (
+    <div className="poster-panel">
+      <button className="poster-header" onClick={() => setExpanded(!expanded)}>
+        <span className="poster-icon">▣</span>
+        <span className="poster-title">Poster</span>
+        <span className="poster-summary">{paper} · {dpi} dpi</span>
+        <span className="poster-chevron">{expanded ? '▾' : '▸'}</span>
+      </button>
+
+      {expanded && (
+        <div className="poster-body">
+          <input
+            className="poster-input"
+            value={title}
+            placeholder="Title"
+            onChange={(e) => setTitle(e.target.value)}
+          />
+          {chips(Object.keys(PAPER_SIZES), paper, setPaper)}
+          {chips(['portrait', 'landscape'], orientation, setOrientation, (option) => option[0].toUpperCase() + option.slice(1))}
+          {chips(RESOLUTIONS, dpi, setDpi, (option) => `${option} dpi`)}
+          {chips(FORMATS, format, setFormat)}
+          <button className="poster-render" disabled={!metadata || rendering} onClick={render}>
+            Render {size.width.toLocaleString()} × {size.height.toLocaleString()} px
+          </button>
+          {status && <div className={`poster-status ${status.state}`}>{status.message}</div>}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PosterExport
@@ -0,0 +1,143 @@
+import { PRIVACY_MODES } from '../utils/privacy'
+import './PrivacyPanel.css'
+
+const RADIUS_STEPS = [200, 500, 1000, 2000]
+
+const formatRadius = (meters) => (meters >= 1000 ? `${meters / 1000} km` : `${meters} m`)
+
+// Privacy zone settings. Zones are only drawn on the map while this panel is open, so
+// closing it before a demo doesn't leave the outlines pointing at home.
+function PrivacyPanel({ settings, setSettings, zones, expanded, setExpanded, draft, setDraft }) {
+  const update = (changes) => setSettings(prev => ({ ...prev, ...changes }))
+  const customZones = settings.zones
+  const autoZones = zones.filter(zone => zone.auto)
+
+  const removeZone = (id) => update({ zones: customZones.filter(zone => zone.id !== id) })
+
+  const finishPolygon = () => {
+    if (draft?.points.length >= 3) {
+      update({
+        zones: [...customZones, {
+          id: `zone-${Date.now()}`,
+          name: `Area ${customZones.length + 1}`,
+          shape: 'polygon',
+          coordinates: draft.points
+        }]
+      })
+    }
+    setDraft(null)
+  }
+
+  const summary = !settings.enabled
+    ? 'Off'
+    : `${PRIVACY_MODES[settings.mode]} · ${zones.length} zone${zones.length === 1 ? '' : 's'}`
+
+  return (
+    <div className={`privacy-panel ${settings.enabled ? 'enabled' : ''}`}>
+      <button className="privacy-header" onClick={() => setExpanded(!expanded)}>
+        <span className="privacy-indicator"></span>
+        <span className="privacy-title">Privacy</span>
+        <span className="privacy-summary">{summary}</span>
+        <span className="privacy-chevron">{expanded ? '▾' : '▸'}</span>
+      </button>
+
+      {expanded && (
+        <div className="privacy-body">
+          <label className="privacy-toggle">
+            <input
+              type="checkbox"
+              checked={settings.enabled}
+              onChange={(e) => update({ enabled: e.target.checked })}
+            />
+            Protect places inside zones
+          </label>
+
+          <div className="privacy-section">
+            <div className="privacy-label">Inside a zone</div>
+            <div className="privacy-modes">
+              {Object.entries(PRIVACY_MODES).map(([mode, label]) => (
+                <button
+                  key={mode}
+                  className={`privacy-chip ${settings.mode === mode ? 'active' : ''}`}
+                  onClick={() => update({ mode })}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="privacy-section">
+            <label className="privacy-toggle">
+              <input
+                type="checkbox"
+                checked={settings.autoHomeWork}
+                onChange={(e) => update({ autoHomeWork: e.target.checked })}
+              />
+              Zones around Home and Work
+            </label>
+            <div className="privacy-modes">
+              {RADIUS_STEPS.map(radius => (
+                <button
+                  key={radius}
+                  className={`privacy-chip ${settings.autoRadius === radius ? 'active' : ''}`}
+                  disabled={!settings.autoHomeWork}
+                  onClick={() => update({ autoRadius: radius })}
+                >
+                  {formatRadius(radius)}
+                </button>
+              ))}
+            </div>
+            {settings.enabled && settings.autoHomeWork && (
+              <div className="privacy-note">
+                {autoZones.length} Home/Work place{autoZones.length === 1 ? '' : 's'} found
+              </div>
+            )}
+          </div>
+
+          <div className="privacy-section">
+            <div className="privacy-label">Your zones</div>
+            {customZones.map(zone => (
+              <div key={zone.id} className="privacy-zone-row">
+                <span className="privacy-zone-name">{zone.name}</span>
+                <span className="privacy-zone-shape">
+                  {zone.shape === 'polygon' ? `${zone.coordinates.length} points` : formatRadius(zone.radius)}
+                </span>
+                <button className="privacy-remove" onClick={() => removeZone(zone.id)}>✕</button>
+              </div>
+            ))}
+
+            {draft ? (
+              <div className="privacy-draft">
+                <div className="privacy-note">
+                  {draft.shape === 'circle'
+                    ? 'Click the map to place the zone'
+                    : `Click the map to add corners (${draft.points.length} so far)`}
+                </div>
+                <div className="privacy-modes">
+                  {draft.shape === 'polygon' && (
+                    <button className="privacy-chip" disabled={draft.points.length < 3} onClick={finishPolygon}>
+                      Finish
+                    </button>
+                  )}
+                  <button className="privacy-chip" onClick={() => setDraft(null)}>Cancel</button>
+                </div>
+              </div>
+            ) : (
+              <div className="privacy-modes">
+                <button className="privacy-chip" onClick={() => setDraft({ shape: 'circle', radius: settings.autoRadius, points: [] })}>
+                  + Circle
+                </button>
+                <button className="privacy-chip" onClick={() => setDraft({ shape: 'polygon', points: [] })}>
+                  + Polygon
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PrivacyPanel
@@ -0,0 +1,92 @@
+import { useState } from 'react'
+import { cssColor } from '../utils/profiles'
+import './ProfilesPanel.css'
+
+const MAX_CROSSINGS = 8
+
+const formatDate = (timestamp) => new Date(timestamp * 1000).toLocaleDateString('en-US', {
+  month: 'short', day: 'numeric', year: 'numeric'
+})
+
+// Whose data is on the map, with each person's numbers for the current time range and the
+// places they crossed paths. Showing and hiding goes through the `profiles` filter, so Stats,
+// CountryStats and Day Replay follow the same selection.
+function ProfilesPanel({ profiles, colors, filters, setFilters, breakdown, crossings, onCrossingClick }) {
+  const [expanded, setExpanded] = useState(false)
+
+  if (profiles.length < 2) return null
+
+  const shown = filters.profiles.length > 0 ? filters.profiles : profiles
+  const statsOf = new Map(breakdown.map(entry => [entry.profile, entry]))
+
+  // An empty list means everyone; hiding the last visible profile isn't allowed
+  const setShown = (next) => {
+    if (next.length === 0) return
+    setFilters(prev => ({ ...prev, profiles: next.length === profiles.length ? [] : next }))
+  }
+  const toggle = (name) => setShown(shown.includes(name)
+    ? shown.filter(other => other !== name)
+    : profiles.filter(other => other === name || shown.includes(other)))
+
+  const recent = crossings.slice(-MAX_CROSSINGS).reverse()
+
+  return (
+    <div className="profiles-panel">
+      <button className="profiles-header" onClick={() => setExpanded(!expanded)}>
+        <span className="profiles-swatches">
+          {shown.map(name => (
+            <span key={name} className="profiles-swatch" style={{ background: cssColor(colors.get(name)) }}></span>
+          ))}
+        </span>
+        <span className="profiles-title">Profiles</span>
+        <span className="profiles-summary">
+          {shown.length} of {profiles.length} · {crossings.length} crossing{crossings.length === 1 ? '' : 's'}
+        </span>
+        <span className="profiles-chevron">{expanded ? '▾' : '▸'}</span>
+      </button>
+
+      {expanded && (
+        <div className="profiles-body">
+          {profiles.map(name => {
+            const visible = shown.includes(name)
+            const stats = statsOf.get(name)
+            return (
+              <div key={name} className={`profile-row ${visible ? '' : 'hidden'}`}>
+                <button className="profile-toggle" onClick={() => toggle(name)} title={visible ? 'Hide' : 'Show'}>
+                  <span
+                    className="profile-color"
+                    style={{ background: visible ? cssColor(colors.get(name)) : 'transparent', borderColor: cssColor(colors.get(name)) }}
+                  ></span>
+                  <span className="profile-name">{name}</span>
+                </button>
+                <span className="profile-stats">
+                  {!visible
+                    ? 'hidden'
+                    : stats
+                      ? `${stats.places.toLocaleString()} places · ${stats.kilometers.toLocaleString()} km · ${stats.countries} countries · ${stats.days} days`
+                      : 'nothing in this range'}
+                </span>
+                <button className="profile-only" onClick={() => setShown([name])}>only</button>
+              </div>
+            )
+          })}
+
+          {recent.length > 0 && (
+            <div className="profiles-crossings">
+              <div className="profiles-subtitle">Crossed paths</div>
+              {recent.map((crossing, i) => (
+                <button key={i} className="crossing" onClick={() => onCrossingClick(crossing)}>
+                  <span className="crossing-people">{crossing.profiles.join(' & ')}</span>
+                  <span className="crossing-date">{formatDate(crossing.timestamp)}</span>
+                  <span className="crossing-place">{crossing.placeName || 'Unnamed place'}</span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ProfilesPanel
@@ -0,0 +1,255 @@
+import { haversineDistance } from './geo.js'
+
+// Time-range queries behind the map and the stats panels. These run in the query worker
+// (src/workers/query.worker.js) on visits from the sorted visit store (utils/visitStore.js).
+
+// First index whose timestamp is >= target
+export function lowerBound(sorted, target, getTime = (item) => item.timestamp) {
+  let lo = 0
+  let hi = sorted.length
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1
+    if (getTime(sorted[mid]) < target) lo = mid + 1
+    else hi = mid
+  }
+  return lo
+}
+
+// First index whose timestamp is > target
+export function upperBound(sorted, target, getTime = (item) => item.timestamp) {
+  let lo = 0
+  let hi = sorted.length
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1
+    if (getTime(sorted[mid]) <= target) lo = mid + 1
+    else hi = mid
+  }
+  return lo
+}
+
+// Pre-aggregate points into grid cells with top location tracking
+export function aggregateToGrid(points, cellSize = 0.02) {
+  const grid = new Map()
+
+  for (const point of points) {
+    const [lng, lat] = point.coordinates
+    // Round to grid cell
+    const cellLng = Math.floor(lng / cellSize) * cellSize + cellSize / 2
+    const cellLat = Math.floor(lat / cellSize) * cellSize + cellSize / 2
+    const key = `${cellLng.toFixed(4)},${cellLat.toFixed(4)}`
+    const placeName = point.placeName || point.address?.split(',')[0] || 'Unknown'
+
+    if (grid.has(key)) {
+      const cell = grid.get(key)
+      cell.count++
+      // Track location counts within this cell
+      cell.locations[placeName] = (cell.locations[placeName] || 0) + 1
+    } else {
+      grid.set(key, {
+        position: [cellLng, cellLat],
+        count: 1,
+        locations: { [placeName]: 1 }
+      })
+    }
+  }
+
+  // Find top location for each cell
+  const cells = Array.from(grid.values())
+  for (const cell of cells) {
+    let topLocation = 'Unknown'
+    let topCount = 0
+    for (const [name, count] of Object.entries(cell.locations)) {
+      if (count > topCount && name !== 'Unknown') {
+        topLocation = name
+        topCount = count
+      }
+    }
+    cell.topLocation = topLocation
+    cell.topLocationCount = topCount
+    cell.uniquePlaces = Object.keys(cell.locations).length
+  }
+
+  let maxCount = 1
+  for (const cell of cells) {
+    if (cell.count > maxCount) maxCount = cell.count
+  }
+
+  return { cells, maxCount }
+}
+
+const identity = (value) => value
+
+// Months counted from year 0, so "2019-03" and a timestamp in March 2019 compare equal
+const monthIndexOfKey = (key) => Number(key.slice(0, 4)) * 12 + Number(key.slice(5, 7)) - 1
+const monthIndexOf = (timestamp) => {
+  const date = new Date(timestamp * 1000)
+  return date.getUTCFullYear() * 12 + date.getUTCMonth()
+}
+const monthStart = (index) => Date.UTC(Math.floor(index / 12), index % 12, 1) / 1000
+
+const hasBuckets = (arc) => Boolean(arc.months) && Number.isFinite(arc.firstTimestamp) && Number.isFinite(arc.lastTimestamp)
+
+// Whether arcs can be windowed by time. Older arcs.json files carry only totals, so their
+// arcs have to be rebuilt from the visits in the window instead.
+export const arcsHaveBuckets = (arcs) => arcs.length > 0 && arcs.every(hasBuckets)
+
+// Prefix sums over each arc's monthly buckets (see dataset.js buildArcs). Arcs without
+// buckets get null and never match a window.
+export function indexArcs(arcs) {
+  return arcs.map(arc => {
+    if (!hasBuckets(arc)) return null
+    const buckets = Object.entries(arc.months)
+      .map(([key, count]) => [monthIndexOfKey(key), count])
+      .sort((a, b) => a[0] - b[0])
+    const cumulative = new Float64Array(buckets.length + 1)
+    buckets.forEach(([, count], i) => { cumulative[i + 1] = cumulative[i] + count })
+    return {
+      first: arc.firstTimestamp,
+      last: arc.lastTimestamp,
+      months: Int32Array.from(buckets, ([month]) => month),
+      cumulative
+    }
+  })
+}
+
+// Arcs traveled within [start, end] with their count in that window, thinnest first so
+// busy routes draw on top. Buckets are monthly, so partial months at the edges count whole;
+// first/last timestamps still exclude arcs entirely outside the window.
+export function arcsInRange(arcs, arcIndex, start, end) {
+  const startMonth = monthIndexOf(start)
+  const endMonth = monthIndexOf(end)
+  const selected = []
+
+  arcIndex.forEach((entry, i) => {
+    if (!entry || entry.last < start || entry.first > end) return
+    const lo = lowerBound(entry.months, startMonth, identity)
+    const hi = upperBound(entry.months, endMonth, identity)
+    const count = entry.cumulative[hi] - entry.cumulative[lo]
+    if (count === 0) return
+    // Color by the first time the arc was traveled inside the window
+    selected.push({ index: i, count, timestamp: Math.max(entry.first, monthStart(entry.months[lo]), start) })
+  })
+
+  selected.sort((a, b) => a.count - b.count)
+  return {
+    indices: Uint32Array.from(selected, s => s.index),
+    counts: Uint32Array.from(selected, s => s.count),
+    timestamps: Float64Array.from(selected, s => s.timestamp)
+  }
+}
+
+// Visits and unique days per country for the Countries panel, over store positions [lo, hi)
+export function countryBreakdown(store, lo, hi) {
+  const countryCounts = new Map()
+
+  for (let i = lo; i < hi; i++) {
+    const country = store.countryAt(i)
+    if (!country) continue
+
+    if (!countryCounts.has(country)) {
+      countryCounts.set(country, { visits: 0, days: new Set() })
+    }
+    const counts = countryCounts.get(country)
+    counts.visits++
+    counts.days.add(store.dayAt(i))
+  }
+
+  return Array.from(countryCounts, ([country, counts]) => ({
+    country,
+    visits: counts.visits,
+    days: counts.days.size
+  }))
+}
+
+// Visits per place category over store positions [lo, hi), most visited first
+export function categoryBreakdown(store, lo, hi) {
+  const counts = new Map()
+  for (let i = lo; i < hi; i++) {
+    const category = store.categoryAt(i)
+    if (category) counts.set(category, (counts.get(category) || 0) + 1)
+  }
+  return Array.from(counts, ([category, visits]) => ({ category, visits }))
+    .sort((a, b) => b.visits - a.visits)
+}
+
+// Most visited places, keyed by place id (or name for visits without one)
+export function topPlaces(visits, limit = 5) {
+  const places = new Map()
+  for (const visit of visits) {
+    const name = visit.placeName || visit.address?.split(',')[0]
+    if (!name) continue
+    const key = visit.placeId || name
+    if (!places.has(key)) places.set(key, { name, visits: 0, hours: 0 })
+    const place = places.get(key)
+    place.visits++
+    place.hours += (visit.durationMinutes || 0) / 60
+  }
+  return Array.from(places.values())
+    .sort((a, b) => b.visits - a.visits)
+    .slice(0, limit)
+    .map(place => ({ ...place, hours: Math.round(place.hours) }))
+}
+
+// Hours spent per semantic type (Home, Work, …), most first
+export function timeBudget(visits) {
+  const minutes = new Map()
+  for (const visit of visits) {
+    const type = visit.semanticType || 'Unknown'
+    minutes.set(type, (minutes.get(type) || 0) + (visit.durationMinutes || 0))
+  }
+  return Array.from(minutes, ([type, total]) => ({ type, hours: Math.round(total / 60) }))
+    .sort((a, b) => b.hours - a.hours)
+}
+
+// Stats numbers per profile over store positions [lo, hi), plus countries and days. Distance
+// is walked per person, so two people's interleaved visits don't read as travel between them.
+export function profileBreakdown(store, lo, hi) {
+  const groups = new Map()
+  for (let i = lo; i < hi; i++) {
+    const profile = store.profileAt(i)
+    if (!groups.has(profile)) groups.set(profile, { visits: [], countries: new Set(), days: new Set() })
+    const group = groups.get(profile)
+    group.visits.push(store.visits[i])
+    if (store.countryAt(i)) group.countries.add(store.countryAt(i))
+    group.days.add(store.dayAt(i))
+  }
+  return Array.from(groups, ([profile, group]) => ({
+    profile,
+    ...summarizeVisits(group.visits),
+    countries: group.countries.size,
+    days: group.days.size
+  }))
+}
+
+// Places, cities, distance and hours for the Stats bar
+export function summarizeVisits(sortedVisits) {
+  let totalKm = 0
+  for (let i = 1; i < sortedVisits.length; i++) {
+    const prev = sortedVisits[i - 1]
+    const curr = sortedVisits[i]
+
+    // Skip if too far apart in time (> 2 days = probably a flight, count it)
+    const timeDiff = curr.timestamp - prev.timestamp
+    if (timeDiff > 86400 * 7) continue // Skip gaps > 1 week
+
+    const dist = haversineDistance(prev.coordinates, curr.coordinates)
+    if (dist < 500) { // Sanity check: skip unrealistic distances
+      totalKm += dist
+    }
+  }
+
+  const totalMinutes = sortedVisits.reduce(
+    (sum, v) => sum + (v.durationMinutes || 0), 0
+  )
+
+  const uniqueCities = new Set(
+    sortedVisits.map(v => v.city).filter(c => c && c !== 'Unknown')
+  )
+
+  return {
+    places: sortedVisits.length,
+    cities: uniqueCities.size,
+    kilometers: Math.round(totalKm),
+    hours: Math.round(totalMinutes / 60)
+  }
+}
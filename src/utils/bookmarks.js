@@ -0,0 +1,89 @@
+import { drawMap } from './recorder.js'
+
+// Saved views. A bookmark is a named shareable link (see deepLink.js) — camera, time window,
+// layers, filters or a Day Replay date — with a small picture of the map taken when it was saved.
+//
+//   { id, name, link, thumbnail (JPEG data URL or null), createdAt (ms) }
+
+const STORAGE_KEY = 'odyssey-bookmarks'
+const THUMBNAIL_WIDTH = 160
+const THUMBNAIL_HEIGHT = 100
+
+export function loadBookmarks() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return Array.isArray(saved) ? saved : []
+  } catch {
+    return []
+  }
+}
+
+// Thumbnails are a few KB each, but localStorage is small; a full store keeps the session's list
+export function saveBookmarks(bookmarks) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(bookmarks))
+  } catch (err) {
+    console.warn('Could not save bookmarks:', err)
+  }
+}
+
+export function createBookmark(name, link, container) {
+  return {
+    id: `bookmark-${Date.now()}`,
+    name,
+    link,
+    thumbnail: container ? captureThumbnail(container) : null,
+    createdAt: Date.now()
+  }
+}
+
+export function captureThumbnail(container) {
+  const canvas = document.createElement('canvas')
+  canvas.width = THUMBNAIL_WIDTH
+  canvas.height = THUMBNAIL_HEIGHT
+  drawMap(canvas.getContext('2d'), container, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT)
+  try {
+    return canvas.toDataURL('image/jpeg', 0.7)
+  } catch {
+    // A basemap served without CORS headers taints the canvas
+    return null
+  }
+}
+
+export function bookmarksToJSON(bookmarks) {
+  return JSON.stringify({ type: 'odyssey-bookmarks', version: 1, bookmarks }, null, 2)
+}
+
+// Bookmarks from an exported file, with fresh ids; entries without a name and link are skipped
+export function parseBookmarks(text) {
+  let json
+  try {
+    json = JSON.parse(text)
+  } catch {
+    throw new Error('Not a JSON file')
+  }
+  const list = Array.isArray(json) ? json : json?.bookmarks
+  if (!Array.isArray(list)) throw new Error('No bookmarks in this file')
+
+  const stamp = Date.now()
+  return list
+    .filter(entry => typeof entry?.name === 'string' && typeof entry.link === 'string')
+    .map((entry, i) => ({
+      id: `bookmark-${stamp}-${i}`,
+      name: entry.name.trim() || 'Untitled view',
+      link: entry.link.replace(/^\?/, ''),
+      thumbnail: typeof entry.thumbnail === 'string' && entry.thumbnail.startsWith('data:image/') ? entry.thumbnail : null,
+      createdAt: Number.isFinite(entry.createdAt) ? entry.createdAt : stamp
+    }))
+}
+
+// Imported bookmarks that aren't already saved under the same name and link
+export function mergeBookmarks(existing, imported) {
+  const seen = new Set(existing.map(bookmark => `${bookmark.name}\n${bookmark.link}`))
+  return existing.concat(imported.filter(bookmark => {
+    const key = `${bookmark.name}\n${bookmark.link}`
+    if (seen.has(key)) return false
+    seen.add(key)
+    return true
+  }))
+}
@@ -0,0 +1,21 @@
+// Keeps several FlowMaps looking at the same place (compare mode). Each map publishes its
+// camera as it moves and follows the others; going through this instead of App state means
+// a pan re-renders the maps, not every panel.
+
+export function createCameraSync() {
+  const listeners = new Map()
+
+  return {
+    // onChange(viewState) runs when any other map moves; returns an unsubscribe function
+    subscribe(id, onChange) {
+      listeners.set(id, onChange)
+      return () => listeners.delete(id)
+    },
+
+    publish(id, viewState) {
+      listeners.forEach((onChange, otherId) => {
+        if (otherId !== id) onChange(viewState)
+      })
+    }
+  }
+}
@@ -0,0 +1,24 @@
+// Time source for the Play, trips and Day Replay animation loops. Normally the wall clock;
+// while a recording runs it's frozen and stepped one frame at a time, so the animations
+// advance at the recording's frame rate however long each frame takes to render.
+
+let frozenAt = null
+// Added to Date.now() after a recording, so time resumes where the recording left it
+// instead of jumping ahead by however long the recording took
+let offset = 0
+
+export const now = () => (frozenAt === null ? Date.now() + offset : frozenAt)
+
+export function freezeClock() {
+  frozenAt = now()
+}
+
+export function advanceClock(ms) {
+  if (frozenAt !== null) frozenAt += ms
+}
+
+export function releaseClock() {
+  if (frozenAt === null) return
+  offset = frozenAt - Date.now()
+  frozenAt = null
+}
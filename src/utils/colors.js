@@ -0,0 +1,41 @@
+// Cyberpunk color gradient: Electric Blue → Neon Purple → Hot Pink → Electric Orange
+export const getTimeColor = (timestamp, minTime, maxTime) => {
+  const progress = (timestamp - minTime) / (maxTime - minTime)
+  
+  if (progress < 0.33) {
+    // Electric Blue to Neon Purple
+    const t = progress / 0.33
+    return [
+      0 + t * 147,        // 0 → 147
+      212 - t * 61,       // 212 → 151
+      255 - t * 42,       // 255 → 213
+      230
+    ]
+  } else if (progress < 0.66) {
+    // Neon Purple to Hot Pink
+    const t = (progress - 0.33) / 0.33
+    return [
+      147 + t * 108,      // 147 → 255
+      151 - t * 91,       // 151 → 60
+      213 - t * 45,       // 213 → 168
+      240
+    ]
+  } else {
+    // Hot Pink to Electric Orange
+    const t = (progress - 0.66) / 0.34
+    return [
+      255,                // 255
+      60 + t * 140,       // 60 → 200
+      168 - t * 148,      // 168 → 20
+      250
+    ]
+  }
+}
+
+// The same gradient as CSS stops, for legends drawn outside deck.gl (see Legend.css)
+export const TIME_GRADIENT = [
+  [0, '#00d4ff'],
+  [0.33, '#9397d3'],
+  [0.66, '#ff3ca8'],
+  [1, '#ff8c00']
+]
@@ -0,0 +1,323 @@
+// Canonical ISO-3166 country registry. Everything that names a country (the country
+// resolver, panels, the map's country layer, ChatBot) goes through here, so a country is
+// always called the same thing and has one flag, one continent and one GeoJSON outline.
+
+export const CONTINENTS = {
+  AF: 'Africa',
+  AN: 'Antarctica',
+  AS: 'Asia',
+  EU: 'Europe',
+  NA: 'North America',
+  OC: 'Oceania',
+  SA: 'South America'
+}
+
+// [alpha-2, alpha-3, name, continent, { geo: name in countries.geojson if different, aliases }]
+const ENTRIES = [
+  ['AD', 'AND', 'Andorra', 'EU'],
+  ['AE', 'ARE', 'United Arab Emirates', 'AS', { aliases: ['UAE'] }],
+  ['AF', 'AFG', 'Afghanistan', 'AS'],
+  ['AG', 'ATG', 'Antigua and Barbuda', 'NA'],
+  ['AI', 'AIA', 'Anguilla', 'NA'],
+  ['AL', 'ALB', 'Albania', 'EU'],
+  ['AM', 'ARM', 'Armenia', 'AS'],
+  ['AO', 'AGO', 'Angola', 'AF'],
+  ['AQ', 'ATA', 'Antarctica', 'AN'],
+  ['AR', 'ARG', 'Argentina', 'SA'],
+  ['AS', 'ASM', 'American Samoa', 'OC'],
+  ['AT', 'AUT', 'Austria', 'EU', { aliases: ['Österreich'] }],
+  ['AU', 'AUS', 'Australia', 'OC'],
+  ['AW', 'ABW', 'Aruba', 'NA'],
+  ['AX', 'ALA', 'Åland Islands', 'EU', { aliases: ['Aland Islands'] }],
+  ['AZ', 'AZE', 'Azerbaijan', 'AS'],
+  ['BA', 'BIH', 'Bosnia and Herzegovina', 'EU'],
+  ['BB', 'BRB', 'Barbados', 'NA'],
+  ['BD', 'BGD', 'Bangladesh', 'AS'],
+  ['BE', 'BEL', 'Belgium', 'EU', { aliases: ['België', 'Belgique'] }],
+  ['BF', 'BFA', 'Burkina Faso', 'AF'],
+  ['BG', 'BGR', 'Bulgaria', 'EU'],
+  ['BH', 'BHR', 'Bahrain', 'AS'],
+  ['BI', 'BDI', 'Burundi', 'AF'],
+  ['BJ', 'BEN', 'Benin', 'AF'],
+  ['BL', 'BLM', 'Saint Barthélemy', 'NA', { aliases: ['Saint Barthelemy', 'St Barts'] }],
+  ['BM', 'BMU', 'Bermuda', 'NA'],
+  ['BN', 'BRN', 'Brunei', 'AS', { aliases: ['Brunei Darussalam'] }],
+  ['BO', 'BOL', 'Bolivia', 'SA'],
+  ['BQ', 'BES', 'Caribbean Netherlands', 'NA', { aliases: ['Bonaire', 'Bonaire, Sint Eustatius and Saba'] }],
+  ['BR', 'BRA', 'Brazil', 'SA', { aliases: ['Brasil'] }],
+  ['BS', 'BHS', 'Bahamas', 'NA', { geo: 'The Bahamas', aliases: ['The Bahamas'] }],
+  ['BT', 'BTN', 'Bhutan', 'AS'],
+  ['BV', 'BVT', 'Bouvet Island', 'AN'],
+  ['BW', 'BWA', 'Botswana', 'AF'],
+  ['BY', 'BLR', 'Belarus', 'EU'],
+  ['BZ', 'BLZ', 'Belize', 'NA'],
+  ['CA', 'CAN', 'Canada', 'NA'],
+  ['CC', 'CCK', 'Cocos (Keeling) Islands', 'AS', { aliases: ['Cocos Islands'] }],
+  ['CD', 'COD', 'Democratic Republic of the Congo', 'AF', { aliases: ['DR Congo', 'Congo-Kinshasa'] }],
+  ['CF', 'CAF', 'Central African Republic', 'AF'],
+  ['CG', 'COG', 'Republic of the Congo', 'AF', { aliases: ['Congo', 'Congo-Brazzaville'] }],
+  ['CH', 'CHE', 'Switzerland', 'EU', { aliases: ['Schweiz', 'Suisse', 'Svizzera'] }],
+  ['CI', 'CIV', "Côte d'Ivoire", 'AF', { geo: 'Ivory Coast', aliases: ['Ivory Coast', "Cote d'Ivoire"] }],
+  ['CK', 'COK', 'Cook Islands', 'OC'],
+  ['CL', 'CHL', 'Chile', 'SA'],
+  ['CM', 'CMR', 'Cameroon', 'AF'],
+  ['CN', 'CHN', 'China', 'AS', { aliases: ['中国'] }],
+  ['CO', 'COL', 'Colombia', 'SA'],
+  ['CR', 'CRI', 'Costa Rica', 'NA'],
+  ['CU', 'CUB', 'Cuba', 'NA'],
+  ['CV', 'CPV', 'Cabo Verde', 'AF', { aliases: ['Cape Verde'] }],
+  ['CW', 'CUW', 'Curaçao', 'NA', { aliases: ['Curacao'] }],
+  ['CX', 'CXR', 'Christmas Island', 'AS'],
+  ['CY', 'CYP', 'Cyprus', 'EU', { aliases: ['Northern Cyprus'] }],
+  ['CZ', 'CZE', 'Czechia', 'EU', { geo: 'Czech Republic', aliases: ['Czech Republic', 'Česko'] }],
+  ['DE', 'DEU', 'Germany', 'EU', { aliases: ['Deutschland'] }],
+  ['DJ', 'DJI', 'Djibouti', 'AF'],
+  ['DK', 'DNK', 'Denmark', 'EU', { aliases: ['Danmark'] }],
+  ['DM', 'DMA', 'Dominica', 'NA'],
+  ['DO', 'DOM', 'Dominican Republic', 'NA'],
+  ['DZ', 'DZA', 'Algeria', 'AF'],
+  ['EC', 'ECU', 'Ecuador', 'SA'],
+  ['EE', 'EST', 'Estonia', 'EU'],
+  ['EG', 'EGY', 'Egypt', 'AF'],
+  ['EH', 'ESH', 'Western Sahara', 'AF'],
+  ['ER', 'ERI', 'Eritrea', 'AF'],
+  ['ES', 'ESP', 'Spain', 'EU', { aliases: ['España'] }],
+  ['ET', 'ETH', 'Ethiopia', 'AF'],
+  ['FI', 'FIN', 'Finland', 'EU', { aliases: ['Suomi'] }],
+  ['FJ', 'FJI', 'Fiji', 'OC'],
+  ['FK', 'FLK', 'Falkland Islands', 'SA'],
+  ['FM', 'FSM', 'Micronesia', 'OC'],
+  ['FO', 'FRO', 'Faroe Islands', 'EU'],
+  ['FR', 'FRA', 'France', 'EU'],
+  ['GA', 'GAB', 'Gabon', 'AF'],
+  ['GB', 'GBR', 'United Kingdom', 'EU', { aliases: ['UK', 'Great Britain', 'England', 'Scotland', 'Wales', 'Northern Ireland'] }],
+  ['GD', 'GRD', 'Grenada', 'NA'],
+  ['GE', 'GEO', 'Georgia', 'AS'],
+  ['GF', 'GUF', 'French Guiana', 'SA'],
+  ['GG', 'GGY', 'Guernsey', 'EU'],
+  ['GH', 'GHA', 'Ghana', 'AF'],
+  ['GI', 'GIB', 'Gibraltar', 'EU'],
+  ['GL', 'GRL', 'Greenland', 'NA'],
+  ['GM', 'GMB', 'Gambia', 'AF', { aliases: ['The Gambia'] }],
+  ['GN', 'GIN', 'Guinea', 'AF'],
+  ['GP', 'GLP', 'Guadeloupe', 'NA'],
+  ['GQ', 'GNQ', 'Equatorial Guinea', 'AF'],
+  ['GR', 'GRC', 'Greece', 'EU', { aliases: ['Ελλάδα'] }],
+  ['GS', 'SGS', 'South Georgia and the South Sandwich Islands', 'AN'],
+  ['GT', 'GTM', 'Guatemala', 'NA'],
+  ['GU', 'GUM', 'Guam', 'OC'],
+  ['GW', 'GNB', 'Guinea-Bissau', 'AF', { geo: 'Guinea Bissau', aliases: ['Guinea Bissau'] }],
+  ['GY', 'GUY', 'Guyana', 'SA'],
+  ['HK', 'HKG', 'Hong Kong', 'AS'],
+  ['HM', 'HMD', 'Heard Island and McDonald Islands', 'AN'],
+  ['HN', 'HND', 'Honduras', 'NA'],
+  ['HR', 'HRV', 'Croatia', 'EU', { aliases: ['Hrvatska'] }],
+  ['HT', 'HTI', 'Haiti', 'NA'],
+  ['HU', 'HUN', 'Hungary', 'EU', { aliases: ['Magyarország'] }],
+  ['ID', 'IDN', 'Indonesia', 'AS'],
+  ['IE', 'IRL', 'Ireland', 'EU'],
+  ['IL', 'ISR', 'Israel', 'AS'],
+  ['IM', 'IMN', 'Isle of Man', 'EU'],
+  ['IN', 'IND', 'India', 'AS'],
+  ['IO', 'IOT', 'British Indian Ocean Territory', 'AS'],
+  ['IQ', 'IRQ', 'Iraq', 'AS'],
+  ['IR', 'IRN', 'Iran', 'AS'],
+  ['IS', 'ISL', 'Iceland', 'EU', { aliases: ['Ísland'] }],
+  ['IT', 'ITA', 'Italy', 'EU', { aliases: ['Italia'] }],
+  ['JE', 'JEY', 'Jersey', 'EU'],
+  ['JM', 'JAM', 'Jamaica', 'NA'],
+  ['JO', 'JOR', 'Jordan', 'AS'],
+  ['JP', 'JPN', 'Japan', 'AS', { aliases: ['日本'] }],
+  ['KE', 'KEN', 'Kenya', 'AF'],
+  ['KG', 'KGZ', 'Kyrgyzstan', 'AS'],
+  ['KH', 'KHM', 'Cambodia', 'AS'],
+  ['KI', 'KIR', 'Kiribati', 'OC'],
+  ['KM', 'COM', 'Comoros', 'AF'],
+  ['KN', 'KNA', 'Saint Kitts and Nevis', 'NA'],
+  ['KP', 'PRK', 'North Korea', 'AS'],
+  ['KR', 'KOR', 'South Korea', 'AS', { aliases: ['Korea', 'Republic of Korea', '대한민국'] }],
+  ['KW', 'KWT', 'Kuwait', 'AS'],
+  ['KY', 'CYM', 'Cayman Islands', 'NA'],
+  ['KZ', 'KAZ', 'Kazakhstan', 'AS'],
+  ['LA', 'LAO', 'Laos', 'AS'],
+  ['LB', 'LBN', 'Lebanon', 'AS'],
+  ['LC', 'LCA', 'Saint Lucia', 'NA'],
+  ['LI', 'LIE', 'Liechtenstein', 'EU'],
+  ['LK', 'LKA', 'Sri Lanka', 'AS'],
+  ['LR', 'LBR', 'Liberia', 'AF'],
+  ['LS', 'LSO', 'Lesotho', 'AF'],
+  ['LT', 'LTU', 'Lithuania', 'EU'],
+  ['LU', 'LUX', 'Luxembourg', 'EU'],
+  ['LV', 'LVA', 'Latvia', 'EU'],
+  ['LY', 'LBY', 'Libya', 'AF'],
+  ['MA', 'MAR', 'Morocco', 'AF'],
+  ['MC', 'MCO', 'Monaco', 'EU'],
+  ['MD', 'MDA', 'Moldova', 'EU'],
+  ['ME', 'MNE', 'Montenegro', 'EU'],
+  ['MF', 'MAF', 'Saint Martin', 'NA'],
+  ['MG', 'MDG', 'Madagascar', 'AF'],
+  ['MH', 'MHL', 'Marshall Islands', 'OC'],
+  ['MK', 'MKD', 'North Macedonia', 'EU', { geo: 'Macedonia', aliases: ['Macedonia'] }],
+  ['ML', 'MLI', 'Mali', 'AF'],
+  ['MM', 'MMR', 'Myanmar', 'AS', { aliases: ['Myanmar (Burma)', 'Burma'] }],
+  ['MN', 'MNG', 'Mongolia', 'AS'],
+  ['MO', 'MAC', 'Macao', 'AS', { aliases: ['Macau'] }],
+  ['MP', 'MNP', 'Northern Mariana Islands', 'OC'],
+  ['MQ', 'MTQ', 'Martinique', 'NA'],
+  ['MR', 'MRT', 'Mauritania', 'AF'],
+  ['MS', 'MSR', 'Montserrat', 'NA'],
+  ['MT', 'MLT', 'Malta', 'EU'],
+  ['MU', 'MUS', 'Mauritius', 'AF'],
+  ['MV', 'MDV', 'Maldives', 'AS'],
+  ['MW', 'MWI', 'Malawi', 'AF'],
+  ['MX', 'MEX', 'Mexico', 'NA', { aliases: ['México'] }],
+  ['MY', 'MYS', 'Malaysia', 'AS'],
+  ['MZ', 'MOZ', 'Mozambique', 'AF'],
+  ['NA', 'NAM', 'Namibia', 'AF'],
+  ['NC', 'NCL', 'New Caledonia', 'OC'],
+  ['NE', 'NER', 'Niger', 'AF'],
+  ['NF', 'NFK', 'Norfolk Island', 'OC'],
+  ['NG', 'NGA', 'Nigeria', 'AF'],
+  ['NI', 'NIC', 'Nicaragua', 'NA'],
+  ['NL', 'NLD', 'Netherlands', 'EU', { aliases: ['The Netherlands', 'Nederland', 'Holland'] }],
+  ['NO', 'NOR', 'Norway', 'EU', { aliases: ['Norge'] }],
+  ['NP', 'NPL', 'Nepal', 'AS'],
+  ['NR', 'NRU', 'Nauru', 'OC'],
+  ['NU', 'NIU', 'Niue', 'OC'],
+  ['NZ', 'NZL', 'New Zealand', 'OC'],
+  ['OM', 'OMN', 'Oman', 'AS'],
+  ['PA', 'PAN', 'Panama', 'NA', { aliases: ['Panamá'] }],
+  ['PE', 'PER', 'Peru', 'SA', { aliases: ['Perú'] }],
+  ['PF', 'PYF', 'French Polynesia', 'OC'],
+  ['PG', 'PNG', 'Papua New Guinea', 'OC'],
+  ['PH', 'PHL', 'Philippines', 'AS'],
+  ['PK', 'PAK', 'Pakistan', 'AS'],
+  ['PL', 'POL', 'Poland', 'EU', { aliases: ['Polska'] }],
+  ['PM', 'SPM', 'Saint Pierre and Miquelon', 'NA'],
+  ['PN', 'PCN', 'Pitcairn Islands', 'OC'],
+  ['PR', 'PRI', 'Puerto Rico', 'NA'],
+  ['PS', 'PSE', 'Palestine', 'AS', { geo: 'West Bank', aliases: ['West Bank', 'Gaza', 'Palestinian Territories'] }],
+  ['PT', 'PRT', 'Portugal', 'EU'],
+  ['PW', 'PLW', 'Palau', 'OC'],
+  ['PY', 'PRY', 'Paraguay', 'SA'],
+  ['QA', 'QAT', 'Qatar', 'AS'],
+  ['RE', 'REU', 'Réunion', 'AF', { aliases: ['Reunion'] }],
+  ['RO', 'ROU', 'Romania', 'EU', { aliases: ['România'] }],
+  ['RS', 'SRB', 'Serbia', 'EU', { geo: 'Republic of Serbia', aliases: ['Republic of Serbia', 'Srbija'] }],
+  ['RU', 'RUS', 'Russia', 'EU', { aliases: ['Russian Federation', 'Россия'] }],
+  ['RW', 'RWA', 'Rwanda', 'AF'],
+  ['SA', 'SAU', 'Saudi Arabia', 'AS'],
+  ['SB', 'SLB', 'Solomon Islands', 'OC'],
+  ['SC', 'SYC', 'Seychelles', 'AF'],
+  ['SD', 'SDN', 'Sudan', 'AF'],
+  ['SE', 'SWE', 'Sweden', 'EU', { aliases: ['Sverige'] }],
+  ['SG', 'SGP', 'Singapore', 'AS'],
+  ['SH', 'SHN', 'Saint Helena', 'AF'],
+  ['SI', 'SVN', 'Slovenia', 'EU', { aliases: ['Slovenija'] }],
+  ['SJ', 'SJM', 'Svalbard and Jan Mayen', 'EU'],
+  ['SK', 'SVK', 'Slovakia', 'EU', { aliases: ['Slovensko'] }],
+  ['SL', 'SLE', 'Sierra Leone', 'AF'],
+  ['SM', 'SMR', 'San Marino', 'EU'],
+  ['SN', 'SEN', 'Senegal', 'AF'],
+  ['SO', 'SOM', 'Somalia', 'AF', { aliases: ['Somaliland'] }],
+  ['SR', 'SUR', 'Suriname', 'SA'],
+  ['SS', 'SSD', 'South Sudan', 'AF'],
+  ['ST', 'STP', 'São Tomé and Príncipe', 'AF', { aliases: ['Sao Tome and Principe'] }],
+  ['SV', 'SLV', 'El Salvador', 'NA'],
+  ['SX', 'SXM', 'Sint Maarten', 'NA'],
+  ['SY', 'SYR', 'Syria', 'AS'],
+  ['SZ', 'SWZ', 'Eswatini', 'AF', { geo: 'Swaziland', aliases: ['Swaziland'] }],
+  ['TC', 'TCA', 'Turks and Caicos Islands', 'NA'],
+  ['TD', 'TCD', 'Chad', 'AF'],
+  ['TF', 'ATF', 'French Southern Territories', 'AN', { geo: 'French Southern and Antarctic Lands', aliases: ['French Southern and Antarctic Lands'] }],
+  ['TG', 'TGO', 'Togo', 'AF'],
+  ['TH', 'THA', 'Thailand', 'AS', { aliases: ['ประเทศไทย'] }],
+  ['TJ', 'TJK', 'Tajikistan', 'AS'],
+  ['TK', 'TKL', 'Tokelau', 'OC'],
+  ['TL', 'TLS', 'Timor-Leste', 'AS', { geo: 'East Timor', aliases: ['East Timor'] }],
+  ['TM', 'TKM', 'Turkmenistan', 'AS'],
+  ['TN', 'TUN', 'Tunisia', 'AF'],
+  ['TO', 'TON', 'Tonga', 'OC'],
+  ['TR', 'TUR', 'Turkey', 'AS', { aliases: ['Türkiye', 'Turkiye'] }],
+  ['TT', 'TTO', 'Trinidad and Tobago', 'NA'],
+  ['TV', 'TUV', 'Tuvalu', 'OC'],
+  ['TW', 'TWN', 'Taiwan', 'AS'],
+  ['TZ', 'TZA', 'Tanzania', 'AF', { geo: 'United Republic of Tanzania', aliases: ['United Republic of Tanzania'] }],
+  ['UA', 'UKR', 'Ukraine', 'EU', { aliases: ['Україна'] }],
+  ['UG', 'UGA', 'Uganda', 'AF'],
+  ['UM', 'UMI', 'U.S. Outlying Islands', 'OC'],
+  ['US', 'USA', 'United States', 'NA', { geo: 'United States of America', aliases: ['USA', 'US', 'United States of America', 'America'] }],
+  ['UY', 'URY', 'Uruguay', 'SA'],
+  ['UZ', 'UZB', 'Uzbekistan', 'AS'],
+  ['VA', 'VAT', 'Vatican City', 'EU', { aliases: ['Vatican', 'Holy See'] }],
+  ['VC', 'VCT', 'Saint Vincent and the Grenadines', 'NA'],
+  ['VE', 'VEN', 'Venezuela', 'SA'],
+  ['VG', 'VGB', 'British Virgin Islands', 'NA'],
+  ['VI', 'VIR', 'U.S. Virgin Islands', 'NA'],
+  ['VN', 'VNM', 'Vietnam', 'AS', { aliases: ['Viet Nam', 'Việt Nam'] }],
+  ['VU', 'VUT', 'Vanuatu', 'OC'],
+  ['WF', 'WLF', 'Wallis and Futuna', 'OC'],
+  ['WS', 'WSM', 'Samoa', 'OC'],
+  // Not in ISO-3166 yet; XK is the code in common use
+  ['XK', 'XKX', 'Kosovo', 'EU'],
+  ['YE', 'YEM', 'Yemen', 'AS'],
+  ['YT', 'MYT', 'Mayotte', 'AF'],
+  ['ZA', 'ZAF', 'South Africa', 'AF'],
+  ['ZM', 'ZMB', 'Zambia', 'AF'],
+  ['ZW', 'ZWE', 'Zimbabwe', 'AF']
+]
+
+// Regional indicator symbols: "CA" → 🇨🇦
+export const flagEmoji = (code) =>
+  String.fromCodePoint(...code.toUpperCase().split('').map(c => 0x1f1e6 + c.charCodeAt(0) - 65))
+
+export const COUNTRIES = ENTRIES.map(([code, alpha3, name, continent, { geo, aliases = [] } = {}]) => ({
+  code,
+  alpha3,
+  name,
+  continent: CONTINENTS[continent],
+  geoJsonName: geo || name,
+  aliases,
+  flag: flagEmoji(code)
+}))
+
+const byCode = new Map()
+const byName = new Map()
+for (const country of COUNTRIES) {
+  byCode.set(country.code, country)
+  byCode.set(country.alpha3, country)
+  for (const name of [country.name, country.geoJsonName, ...country.aliases]) {
+    byName.set(name.toLowerCase(), country)
+  }
+}
+
+// Country by name, alias or GeoJSON name (case-insensitive); null if it isn't a country
+export function findCountry(name) {
+  if (!name) return null
+  return byName.get(String(name).trim().toLowerCase()) || null
+}
+
+// Country by ISO alpha-2 or alpha-3 code
+export function countryByCode(code) {
+  return byCode.get(String(code || '').toUpperCase()) || null
+}
+
+// Registry entry for a countries.geojson feature (ids are alpha-3; some are "-99")
+export function countryForFeature(feature) {
+  return countryByCode(feature?.id) || findCountry(feature?.properties?.name)
+}
+
+// Countries named anywhere in free text. Short codes like "UK" or "US" only match in capitals
+// so ordinary words ("us") don't count.
+export function findCountriesInText(text) {
+  const found = new Set()
+  const lower = text.toLowerCase()
+  for (const [name, country] of byName) {
+    const short = name.length <= 3
+    const haystack = short ? text : lower
+    const needle = short ? name.toUpperCase() : name
+    const pattern = new RegExp(`(^|[^\\p{L}])${needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^\\p{L}])`, 'u')
+    if (pattern.test(haystack)) found.add(country)
+  }
+  return Array.from(found)
+}
@@ -0,0 +1,163 @@
+import { countryForFeature, findCountry } from './countries.js'
+
+// Assign countries to coordinates offline using public/data/countries.geojson. Polygons are
+// bucketed into a coarse lat/lng grid so a lookup only ray-casts the few countries whose
+// bounding boxes cover the point's cell. Names are the registry's canonical ones (countries.js).
+
+const CELL_DEGREES = 5
+// The bundled outlines are low resolution, so coastal points can land just offshore
+const COAST_TOLERANCE_KM = 30
+const KM_PER_DEGREE = 111.32
+
+const cellKey = (x, y) => `${x},${y}`
+const cellOf = (value) => Math.floor(value / CELL_DEGREES)
+
+// Even-odd ray cast across all rings, so holes (enclaves, lakes) count as outside
+function containsPoint(rings, [lng, lat]) {
+  let inside = false
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i]
+      const [xj, yj] = ring[j]
+      if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+        inside = !inside
+      }
+    }
+  }
+  return inside
+}
+
+// Approximate distance in km from a point to a polygon's outline
+function distanceToRings(rings, [lng, lat]) {
+  const scale = Math.cos(lat * Math.PI / 180)
+  let best = Infinity
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const ax = (ring[j][0] - lng) * scale
+      const ay = ring[j][1] - lat
+      const bx = (ring[i][0] - lng) * scale
+      const by = ring[i][1] - lat
+      const dx = bx - ax
+      const dy = by - ay
+      const lengthSq = dx * dx + dy * dy
+      const t = lengthSq ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq)) : 0
+      const px = ax + t * dx
+      const py = ay + t * dy
+      best = Math.min(best, Math.sqrt(px * px + py * py))
+    }
+  }
+  return best * KM_PER_DEGREE
+}
+
+export function createCountryIndex(geojson) {
+  const polygons = []
+  const grid = new Map()
+  const outlined = new Set()
+
+  for (const feature of geojson?.features || []) {
+    const { type, coordinates } = feature.geometry || {}
+    const parts = type === 'Polygon' ? [coordinates] : type === 'MultiPolygon' ? coordinates : []
+    for (const rings of parts) {
+      let minLng = Infinity, minLat = Infinity, maxLng = -Infinity, maxLat = -Infinity
+      for (const [lng, lat] of rings[0]) {
+        minLng = Math.min(minLng, lng)
+        minLat = Math.min(minLat, lat)
+        maxLng = Math.max(maxLng, lng)
+        maxLat = Math.max(maxLat, lat)
+      }
+      const index = polygons.length
+      const name = countryForFeature(feature)?.name || feature.properties?.name
+      outlined.add(name)
+      polygons.push({ name, rings, bbox: [minLng, minLat, maxLng, maxLat] })
+      for (let x = cellOf(minLng); x <= cellOf(maxLng); x++) {
+        for (let y = cellOf(minLat); y <= cellOf(maxLat); y++) {
+          const key = cellKey(x, y)
+          if (!grid.has(key)) grid.set(key, [])
+          grid.get(key).push(index)
+        }
+      }
+    }
+  }
+
+  const candidates = (lng, lat, radius = 0) => {
+    const found = new Set()
+    for (let x = cellOf(lng) - radius; x <= cellOf(lng) + radius; x++) {
+      for (let y = cellOf(lat) - radius; y <= cellOf(lat) + radius; y++) {
+        for (const index of grid.get(cellKey(x, y)) || []) found.add(index)
+      }
+    }
+    return Array.from(found, index => polygons[index])
+  }
+
+  // Country whose polygon contains the point, or null
+  const contains = ([lng, lat]) => {
+    for (const polygon of candidates(lng, lat)) {
+      const [minLng, minLat, maxLng, maxLat] = polygon.bbox
+      if (lng < minLng || lng > maxLng || lat < minLat || lat > maxLat) continue
+      if (containsPoint(polygon.rings, [lng, lat])) return polygon.name
+    }
+    return null
+  }
+
+  // Closest country outline within the coastal tolerance, or null
+  const nearest = ([lng, lat]) => {
+    let best = null
+    let bestDistance = COAST_TOLERANCE_KM
+    for (const polygon of candidates(lng, lat, 1)) {
+      const distance = distanceToRings(polygon.rings, [lng, lat])
+      if (distance < bestDistance) {
+        best = polygon.name
+        bestDistance = distance
+      }
+    }
+    return best
+  }
+
+  // Whether the outlines include a country at all
+  const hasOutline = (name) => outlined.has(name)
+
+  return { size: polygons.length, contains, nearest, hasOutline }
+}
+
+// Country from the last comma-separated part of an address, for places the outlines miss.
+// Anything the registry doesn't recognise (postcodes, street names) is not a country.
+const extractCountry = (address) => {
+  if (!address) return null
+  const parts = address.split(',').map(p => p.trim())
+  const last = parts[parts.length - 1]
+
+  if (last.includes('United Arab Emirates')) return 'United Arab Emirates'
+  if (last.match(/[ぁ-んァ-ン]/)) return 'Japan' // Japanese characters
+
+  // Some countries put the postcode next to the name ("Singapore 018956")
+  return findCountry(last.replace(/\d[\d-]*/g, ''))?.name || null
+}
+
+// visit → country name. Coordinates decide; the address only fills in for places the
+// low-resolution outlines miss (small islands, city states), then the nearest coast.
+export function createCountryResolver(geojson) {
+  const index = geojson ? createCountryIndex(geojson) : null
+  // Visits revisit the same places constantly; ~100 m buckets make repeats free
+  const cache = new Map()
+
+  const geometry = (coordinates) => {
+    const key = `${coordinates[0].toFixed(3)},${coordinates[1].toFixed(3)}`
+    if (!cache.has(key)) cache.set(key, { inside: index.contains(coordinates), nearest: undefined })
+    return cache.get(key)
+  }
+
+  return (visit) => {
+    if (!index || index.size === 0) {
+      return findCountry(visit.country)?.name || extractCountry(visit.address)
+    }
+    const place = geometry(visit.coordinates)
+    const fromAddress = extractCountry(visit.address)
+    // Small countries (Singapore, Monaco, Hong Kong) are folded into a neighbour's outline
+    if (fromAddress && !index.hasOutline(fromAddress)) return fromAddress
+    if (place.inside) return place.inside
+    if (fromAddress) return fromAddress
+
+    if (place.nearest === undefined) place.nearest = index.nearest(visit.coordinates)
+    return place.nearest
+  }
+}
@@ -0,0 +1,211 @@
+import { roundCoord } from './geo.js'
+import { DEFAULT_PROFILE, groupByProfile } from './profiles.js'
+
+// Semantic types in the order metadata.semanticTypes lists them
+export const SEMANTIC_TYPES = [
+  'Unknown',
+  'Home',
+  'Work',
+  'Searched Address',
+  'Inferred Home',
+  'Inferred Work',
+  'Aliased Location'
+]
+
+// Guess the city from a formatted address ("232 Dupont St, Toronto, ON M5R 1V7, Canada" → "Toronto")
+export function cityFromAddress(address) {
+  if (!address) return null
+  const parts = address.split(',').map(p => p.trim()).filter(Boolean)
+  if (parts.length < 2) return null
+
+  // Walk back from the part before the country, skipping postal codes and region codes
+  const firstCandidate = parts.length > 2 ? 1 : 0
+  for (let i = parts.length - 2; i >= firstCandidate; i--) {
+    const cleaned = parts[i]
+      .split(/\s+/)
+      .filter(token => !/\d/.test(token))
+      .join(' ')
+      .trim()
+    if (!cleaned || /^[A-Z]{2,3}$/.test(cleaned)) continue
+    return cleaned
+  }
+  return null
+}
+
+// Fill in place name, address and category from place_details_cache.json entries
+export function applyPlaceDetails(visits, placeDetails) {
+  if (!placeDetails) return visits
+  return visits.map(visit => {
+    const details = visit.placeId && placeDetails[visit.placeId]
+    if (!details) return visit
+    const address = visit.address || details.formattedAddress || null
+    return {
+      ...visit,
+      placeName: visit.placeName || details.displayName || null,
+      address,
+      city: visit.city || cityFromAddress(address),
+      primaryType: visit.primaryType || details.primaryType || null
+    }
+  })
+}
+
+// UTC month an arc occurrence is bucketed under, e.g. "2019-03"
+export function arcMonthKey(timestamp) {
+  const date = new Date(timestamp * 1000)
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`
+}
+
+// Build origin → destination arcs from consecutive visits (same rules FlowMap uses).
+// Each arc carries when it was first and last traveled plus per-month counts, so the map
+// can filter arcs.json by time without going back to the visits. Each profile's visits are
+// walked separately, and arcs of other profiles than the default carry their `profile`.
+export function buildArcs(visits) {
+  const arcCounts = new Map()
+
+  for (const [profile, group] of groupByProfile(visits)) {
+    const sorted = [...group].sort((a, b) => a.timestamp - b.timestamp)
+
+    for (let i = 1; i < sorted.length; i++) {
+      const prev = sorted[i - 1]
+      const curr = sorted[i]
+
+      if (curr.timestamp - prev.timestamp > 86400 * 2) continue
+
+      const dist = Math.sqrt(
+        Math.pow(curr.coordinates[0] - prev.coordinates[0], 2) +
+        Math.pow(curr.coordinates[1] - prev.coordinates[1], 2)
+      )
+      if (dist < 0.001) continue
+
+      const source = prev.coordinates.map(roundCoord)
+      const target = curr.coordinates.map(roundCoord)
+      const key = `${profile}|${source.join(',')}|${target.join(',')}`
+      const month = arcMonthKey(curr.timestamp)
+
+      if (arcCounts.has(key)) {
+        const arc = arcCounts.get(key)
+        arc.count++
+        arc.lastTimestamp = curr.timestamp
+        arc.months[month] = (arc.months[month] || 0) + 1
+      } else {
+        arcCounts.set(key, {
+          source,
+          target,
+          count: 1,
+          firstTimestamp: curr.timestamp,
+          lastTimestamp: curr.timestamp,
+          months: { [month]: 1 },
+          ...(profile !== DEFAULT_PROFILE && { profile })
+        })
+      }
+    }
+  }
+
+  return Array.from(arcCounts.values())
+}
+
+// Summary block matching public/data/metadata.json
+export function buildMetadata({ visits, trips, arcs }) {
+  let minTimestamp = Infinity
+  let maxTimestamp = -Infinity
+
+  for (const visit of visits) {
+    if (visit.timestamp < minTimestamp) minTimestamp = visit.timestamp
+    if (visit.timestamp > maxTimestamp) maxTimestamp = visit.timestamp
+  }
+  for (const trip of trips) {
+    for (const point of trip.path) {
+      if (point.timestamp < minTimestamp) minTimestamp = point.timestamp
+      if (point.timestamp > maxTimestamp) maxTimestamp = point.timestamp
+    }
+  }
+
+  const semanticTypes = Object.fromEntries(SEMANTIC_TYPES.map(type => [type, 0]))
+  for (const visit of visits) {
+    const type = visit.semanticType || 'Unknown'
+    semanticTypes[type] = (semanticTypes[type] || 0) + 1
+  }
+
+  const metadata = {
+    totalVisits: visits.length,
+    totalTrips: trips.length,
+    totalArcs: arcs.length,
+    minTimestamp: Number.isFinite(minTimestamp) ? minTimestamp : null,
+    maxTimestamp: Number.isFinite(maxTimestamp) ? maxTimestamp : null,
+    semanticTypes
+  }
+
+  // Per-source record counts, only present for merged datasets
+  const sources = {}
+  const countSource = (record, field) => {
+    if (!record.source) return
+    if (!sources[record.source]) sources[record.source] = { visits: 0, trips: 0 }
+    sources[record.source][field]++
+  }
+  visits.forEach(visit => countSource(visit, 'visits'))
+  trips.forEach(trip => countSource(trip, 'trips'))
+  if (Object.keys(sources).length > 0) metadata.sources = sources
+
+  // Per-profile visit counts, only present when more than one person's data is loaded
+  const profiles = {}
+  for (const [profile, group] of groupByProfile(visits)) profiles[profile] = group.length
+  if (Object.keys(profiles).length > 1) metadata.profiles = profiles
+
+  return metadata
+}
+
+// Turn parsed visits and trips into the { visits, trips, arcs, metadata } shape App.jsx loads
+export function buildDataset({ visits = [], trips = [] }, { placeDetails } = {}) {
+  const sortedVisits = [...applyPlaceDetails(visits, placeDetails)]
+    .sort((a, b) => a.timestamp - b.timestamp)
+  const sortedTrips = trips
+    .filter(trip => trip.path && trip.path.length >= 2)
+    .sort((a, b) => a.path[0].timestamp - b.path[0].timestamp)
+  const arcs = buildArcs(sortedVisits)
+
+  return {
+    visits: sortedVisits,
+    trips: sortedTrips,
+    arcs,
+    metadata: buildMetadata({ visits: sortedVisits, trips: sortedTrips, arcs })
+  }
+}
+
+
+// Split a dataset into per-year chunks plus the manifest.json index the app streams from.
+// Trips go in the year they start; each entry records the span its chunk actually covers.
+export function buildChunks({ visits, trips, metadata }) {
+  const years = new Map()
+  const yearOf = (timestamp) => new Date(timestamp * 1000).getUTCFullYear()
+  const chunkFor = (year) => {
+    if (!years.has(year)) years.set(year, { year, visits: [], trips: [] })
+    return years.get(year)
+  }
+
+  visits.forEach(visit => chunkFor(yearOf(visit.timestamp)).visits.push(visit))
+  trips.forEach(trip => chunkFor(yearOf(trip.path[0].timestamp)).trips.push(trip))
+
+  const chunks = Array.from(years.values()).sort((a, b) => a.year - b.year)
+  const entries = chunks.map(chunk => {
+    let minTimestamp = Infinity
+    let maxTimestamp = -Infinity
+    for (const visit of chunk.visits) {
+      minTimestamp = Math.min(minTimestamp, visit.timestamp)
+      maxTimestamp = Math.max(maxTimestamp, visit.timestamp)
+    }
+    for (const trip of chunk.trips) {
+      minTimestamp = Math.min(minTimestamp, trip.path[0].timestamp)
+      maxTimestamp = Math.max(maxTimestamp, trip.path[trip.path.length - 1].timestamp)
+    }
+    return {
+      year: chunk.year,
+      file: `chunks/${chunk.year}.json`,
+      minTimestamp,
+      maxTimestamp,
+      visits: chunk.visits.length,
+      trips: chunk.trips.length
+    }
+  })
+
+  return { manifest: { version: 1, metadata, chunks: entries }, chunks }
+}
@@ -0,0 +1,134 @@
+import { haversineDistance } from './geo.js'
+
+// One summary per calendar day with data: how much happened, how far it went and where it
+// was spent relative to home. Home isn't stored anywhere, so it's inferred month by month:
+// the city with the most time at visits tagged Home, or failing that the city most nights
+// were spent in around that month. A move shows up as home changing from one month to the next.
+
+const HOME_TYPES = new Set(['Home', 'Inferred Home'])
+
+// Legs longer than this in time are gaps in the data, not travel
+const MAX_LEG_SECONDS = 86400
+
+// Months on each side pooled when home is guessed from nights, so a long trip doesn't become home
+const NIGHT_WINDOW_MONTHS = 1
+
+const monthOf = (key) => key.slice(0, 7)
+
+const addTo = (counts, key, amount) => counts.set(key, (counts.get(key) || 0) + amount)
+
+const topKey = (counts) => {
+  let best = null
+  let bestCount = 0
+  counts.forEach((count, key) => {
+    if (count > bestCount) {
+      best = key
+      bestCount = count
+    }
+  })
+  return best
+}
+
+// Month key ("YYYY-MM") → home city, for every month between the first and last day
+function inferHomes(days) {
+  const tagged = new Map()
+  const nights = new Map()
+  for (const day of days) {
+    const month = monthOf(day.key)
+    if (!tagged.has(month)) {
+      tagged.set(month, new Map())
+      nights.set(month, new Map())
+    }
+    day.homeMinutes.forEach((minutes, city) => addTo(tagged.get(month), city, minutes))
+    if (day.sleptIn) addTo(nights.get(month), day.sleptIn, 1)
+  }
+
+  const homes = new Map()
+  if (days.length === 0) return homes
+  const [firstYear, firstMonth] = days[0].key.split('-').map(Number)
+  const [lastYear, lastMonth] = days[days.length - 1].key.split('-').map(Number)
+  const monthKey = (index) => `${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}`
+
+  let previous = null
+  for (let index = firstYear * 12 + firstMonth - 1; index <= lastYear * 12 + lastMonth - 1; index++) {
+    let home = topKey(tagged.get(monthKey(index)) || new Map())
+    if (!home) {
+      const pooled = new Map()
+      for (let offset = -NIGHT_WINDOW_MONTHS; offset <= NIGHT_WINDOW_MONTHS; offset++) {
+        nights.get(monthKey(index + offset))?.forEach((count, city) => addTo(pooled, city, count))
+      }
+      home = topKey(pooled)
+    }
+    home = home || previous
+    homes.set(monthKey(index), home)
+    previous = home
+  }
+  return homes
+}
+
+// Days with visits, in order:
+//   [{ key, visits, kilometers, cities, countries, sleptIn, home, status }]
+// kilometers counts each leg on the day it arrives, walked per profile. sleptIn is the city of
+// the day's last visit with one. status is 'home' (only the home city), 'out' (somewhere else
+// too, but back home for the night), 'away' (the night was spent elsewhere) or 'unknown'.
+//
+// reference: summarizeDays of the unfiltered store. Given one, home, sleptIn and status come
+// from it, so a filtered selection's counts change but where home was and which nights were
+// away don't depend on which sources, people or types happen to be shown.
+export function summarizeDays(store, reference = null) {
+  const days = []
+  const byKey = new Map()
+  const lastByProfile = new Map()
+
+  store.visits.forEach((visit, i) => {
+    const key = store.dayAt(i)
+    let day = byKey.get(key)
+    if (!day) {
+      day = { key, visits: 0, kilometers: 0, cities: new Set(), countries: new Set(), sleptIn: null, homeMinutes: new Map() }
+      byKey.set(key, day)
+      days.push(day)
+    }
+
+    const city = store.cityAt(i)
+    const country = store.countryAt(i)
+    day.visits++
+    if (city) {
+      day.cities.add(city)
+      day.sleptIn = city
+      if (HOME_TYPES.has(visit.semanticType)) addTo(day.homeMinutes, city, Math.max(visit.durationMinutes || 0, 1))
+    }
+    if (country) day.countries.add(country)
+
+    const profile = store.profileAt(i)
+    const previous = lastByProfile.get(profile)
+    if (previous && visit.timestamp - previous.timestamp <= MAX_LEG_SECONDS) {
+      day.kilometers += haversineDistance(previous.coordinates, visit.coordinates)
+    }
+    lastByProfile.set(profile, visit)
+  })
+
+  const referenceDays = reference && new Map(reference.map(day => [day.key, day]))
+  const homes = referenceDays ? null : inferHomes(days)
+  return days.map(({ key, visits, kilometers, cities, countries, sleptIn }) => {
+    const summary = {
+      key,
+      visits,
+      kilometers: Math.round(kilometers),
+      cities: Array.from(cities),
+      countries: Array.from(countries)
+    }
+    // A filtered selection's days are all in the reference, since its visits are
+    if (referenceDays) {
+      const known = referenceDays.get(key)
+      return { ...summary, sleptIn: known?.sleptIn ?? null, home: known?.home ?? null, status: known?.status ?? 'unknown' }
+    }
+
+    const home = homes.get(monthOf(key)) || null
+    let status = 'unknown'
+    if (home && cities.size > 0) {
+      if (sleptIn !== home) status = 'away'
+      else status = cities.size > 1 ? 'out' : 'home'
+    }
+    return { ...summary, sleptIn, home, status }
+  })
+}
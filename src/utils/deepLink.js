@@ -0,0 +1,128 @@
+import { EMPTY_FILTERS, WEEKDAYS, MONTHS, SEASONS } from './filters.js'
+import { dayKey, dayStart } from './visitStore.js'
+
+// Shareable links. App mirrors the view into the query string — time window, layers, camera,
+// Day Replay date and filters — so a link reopens the same view and back/forward step through
+// earlier ones. The time window is stored as dates rather than slider positions, which shift
+// whenever imported data widens the timeline. Dates are local days, like the calendar's.
+//
+//   ?from=2019-01-01&to=2019-12-31&layers=visits,hexagon&view=13.405,52.52,11.5,55,-20
+//   &day=2019-06-14&city=Berlin&type=Home&weekday=Sat&hours=20-4&min=30
+
+export const LAYER_NAMES = ['visits', 'arcs', 'trips', 'hexagon']
+
+// Filter lists and their (repeatable) parameter names
+const LIST_PARAMS = {
+  semanticTypes: 'type',
+  categories: 'category',
+  countries: 'country',
+  cities: 'city',
+  sources: 'source',
+  profiles: 'profile',
+  seasons: 'season'
+}
+
+// Local midnight of a "YYYY-MM-DD" value, or null for anything that isn't a real date
+const parseDay = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return null
+  const start = dayStart(value)
+  return Number.isFinite(start) && dayKey(start) === value ? start : null
+}
+
+const round = (value, digits) => Number(value.toFixed(digits))
+
+// ~10 m, 1/100 of a zoom level and whole degrees: finer than anyone can see, and coarse
+// enough that a camera restored from a link reads back as the same link
+export const roundView = ({ longitude, latitude, zoom, pitch, bearing }) => ({
+  longitude: round(longitude, 4),
+  latitude: round(latitude, 4),
+  zoom: round(zoom, 2),
+  pitch: Math.round(pitch),
+  bearing: Math.round(bearing)
+})
+
+// Slider positions ↔ unix seconds at the start of each end's day
+export function timeRangeToDates(timeRange, metadata) {
+  const span = metadata.maxTimestamp - metadata.minTimestamp
+  return timeRange.map(t => dayStart(dayKey(metadata.minTimestamp + span * t)))
+}
+
+// The end date is inclusive, so a link to a single day covers all of it
+export function datesToTimeRange([from, to], metadata) {
+  const span = metadata.maxTimestamp - metadata.minTimestamp
+  if (span <= 0) return [0, 1]
+  const clamp = (t) => Math.max(0, Math.min(1, t))
+  const start = clamp((from - metadata.minTimestamp) / span)
+  return [start, Math.max(start, clamp((to + 86399 - metadata.minTimestamp) / span))]
+}
+
+// state: { timeRange, metadata, visibleLayers, view, day, filters }. While a Day Replay is
+// open it owns the time window and the camera, so the link carries only the day.
+export function encodeLink({ timeRange, metadata, visibleLayers, view, day, filters }) {
+  const params = new URLSearchParams()
+  if (day) {
+    params.set('day', day)
+  } else {
+    const [from, to] = timeRangeToDates(timeRange, metadata)
+    params.set('from', dayKey(from))
+    params.set('to', dayKey(to))
+  }
+  params.set('layers', LAYER_NAMES.filter(name => visibleLayers[name]).join(','))
+  if (view && !day) {
+    const { longitude, latitude, zoom, pitch, bearing } = roundView(view)
+    params.set('view', [longitude, latitude, zoom, pitch, bearing].join(','))
+  }
+
+  for (const [key, param] of Object.entries(LIST_PARAMS)) {
+    for (const value of filters[key]) params.append(param, value)
+  }
+  for (const weekday of filters.weekdays) params.append('weekday', WEEKDAYS[weekday])
+  for (const month of filters.months) params.append('month', MONTHS[month])
+  if (filters.hours) params.set('hours', filters.hours.join('-'))
+  if (filters.minDuration > 0) params.set('min', String(filters.minDuration))
+  // Commas are legal in a query string and keep layers and view readable
+  return params.toString().replace(/%2C/gi, ',')
+}
+
+// Whatever the link specifies; missing or unreadable parts come back null
+export function decodeLink(search) {
+  const params = new URLSearchParams(search)
+
+  const from = parseDay(params.get('from'))
+  const to = parseDay(params.get('to'))
+
+  let visibleLayers = null
+  if (params.has('layers')) {
+    const names = params.get('layers').split(',')
+    visibleLayers = Object.fromEntries(LAYER_NAMES.map(name => [name, names.includes(name)]))
+  }
+
+  let view = null
+  const parts = (params.get('view') || '').split(',').map(Number)
+  if (parts.length === 5 && parts.every(Number.isFinite)) {
+    const [longitude, latitude, zoom, pitch, bearing] = parts
+    view = { longitude, latitude, zoom, pitch, bearing }
+  }
+
+  const filters = { ...EMPTY_FILTERS }
+  let hasFilters = false
+  for (const [key, param] of Object.entries(LIST_PARAMS)) {
+    const values = params.getAll(param).filter(Boolean)
+    filters[key] = key === 'seasons' ? values.filter(season => SEASONS[season]) : values
+    if (filters[key].length > 0) hasFilters = true
+  }
+  filters.weekdays = params.getAll('weekday').map(name => WEEKDAYS.indexOf(name)).filter(i => i >= 0)
+  filters.months = params.getAll('month').map(name => MONTHS.indexOf(name)).filter(i => i >= 0)
+  const hours = (params.get('hours') || '').split('-').map(Number)
+  if (hours.length === 2 && hours.every(h => Number.isInteger(h) && h >= 0 && h <= 24)) filters.hours = hours
+  filters.minDuration = Math.max(0, Number(params.get('min')) || 0)
+  hasFilters = hasFilters || filters.weekdays.length > 0 || filters.months.length > 0 || filters.hours !== null || filters.minDuration > 0
+
+  return {
+    range: from !== null && to !== null ? [from, to] : null,
+    visibleLayers,
+    view,
+    day: parseDay(params.get('day')) !== null ? params.get('day') : null,
+    filters: hasFilters ? filters : null
+  }
+}
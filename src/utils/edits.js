@@ -0,0 +1,131 @@
+// Local corrections to the loaded visits: rename a place, change a visit's semantic type,
+// merge one place into another, hide a visit or a whole place. Edits are an append-only log
+// kept in IndexedDB and replayed over the data on every load, so the JSON files are never
+// touched and undo is just dropping the last entry.
+
+const DB_NAME = 'odyssey-edits'
+const STORE = 'edits'
+const EXPORT_VERSION = 1
+
+// Identity of one visit that survives rebuilding the data (timestamp plus ~1 m position).
+// Merged visits move to their target, so they remember the key they were loaded with.
+export const visitKey = (visit) =>
+  visit.originalKey || `${visit.timestamp}@${visit.coordinates[0].toFixed(5)},${visit.coordinates[1].toFixed(5)}`
+
+// Identity of a place: its Google place ID, or ~10 m position for visits without one.
+// Visits moved by a privacy zone remember the key they had before.
+export const placeKey = (visit) =>
+  visit.originalPlaceKey || visit.placeId || `@${visit.coordinates[0].toFixed(4)},${visit.coordinates[1].toFixed(4)}`
+
+// Merge target recorded with the edit, so the merge still applies if the target's own
+// visits are later hidden or filtered out
+export const mergeTarget = (visit) => ({
+  placeId: visit.placeId || null,
+  placeName: visit.placeName || null,
+  coordinates: visit.coordinates,
+  address: visit.address || null,
+  city: visit.city || null
+})
+
+// Replay an edit log over visits. Returns the same array when there is nothing to apply.
+// Edited visits are marked `edited` so the map can say so.
+export function applyEdits(visits, edits) {
+  if (!edits || edits.length === 0) return visits
+
+  const names = new Map()
+  const semanticTypes = new Map()
+  const merges = new Map()
+  const hiddenVisits = new Set()
+  const hiddenPlaces = new Set()
+  for (const edit of edits) {
+    if (edit.type === 'rename') names.set(edit.place, edit.name)
+    else if (edit.type === 'semanticType') semanticTypes.set(edit.visit, edit.semanticType)
+    else if (edit.type === 'merge' && edit.from !== edit.into) merges.set(edit.from, edit)
+    else if (edit.type === 'hideVisit') hiddenVisits.add(edit.visit)
+    else if (edit.type === 'hidePlace') hiddenPlaces.add(edit.place)
+  }
+
+  // a → b then b → c sends a's visits to c; a cycle stops where it would repeat
+  const resolveMerge = (key) => {
+    let merge = null
+    const seen = new Set([key])
+    while (merges.has(key)) {
+      merge = merges.get(key)
+      key = merge.into
+      if (seen.has(key)) break
+      seen.add(key)
+    }
+    return merge
+  }
+
+  const result = []
+  for (const visit of visits) {
+    const vKey = visitKey(visit)
+    if (hiddenVisits.has(vKey)) continue
+
+    let edited = visit
+    const merge = resolveMerge(placeKey(visit))
+    if (merge) edited = { ...edited, ...merge.target, originalKey: vKey, edited: true }
+
+    const place = placeKey(edited)
+    if (hiddenPlaces.has(place)) continue
+    if (names.has(place)) edited = { ...edited, placeName: names.get(place), edited: true }
+    if (semanticTypes.has(vKey)) edited = { ...edited, semanticType: semanticTypes.get(vKey), edited: true }
+    result.push(edited)
+  }
+  return result
+}
+
+// One-line description of an edit for the edit log
+export function describeEdit(edit) {
+  switch (edit.type) {
+    case 'rename': return `Renamed ${edit.previous ? `"${edit.previous}"` : 'place'} to "${edit.name}"`
+    case 'semanticType': return `Marked visit as ${edit.semanticType}`
+    case 'merge': return `Merged ${edit.previous ? `"${edit.previous}"` : 'place'} into "${edit.target.placeName || 'place'}"`
+    case 'hideVisit': return 'Hid a visit'
+    case 'hidePlace': return `Hid all visits to ${edit.previous ? `"${edit.previous}"` : 'a place'}`
+    default: return edit.type
+  }
+}
+
+// The edit log as a downloadable JSON document
+export function exportEdits(edits) {
+  return JSON.stringify({ version: EXPORT_VERSION, exportedAt: new Date().toISOString(), edits }, null, 2)
+}
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result)
+  req.onerror = () => reject(req.error)
+})
+
+// IndexedDB-backed log: { list(), add(edit) → saved edit with id, remove(id), clear() }.
+// Resolves to null where IndexedDB isn't available (private windows in some browsers), in
+// which case edits just last for the session.
+export async function openEditLog() {
+  if (typeof indexedDB === 'undefined') return null
+  let db
+  try {
+    const open = indexedDB.open(DB_NAME, 1)
+    open.onupgradeneeded = () => {
+      open.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true })
+    }
+    db = await request(open)
+  } catch (err) {
+    console.warn('Edit log unavailable:', err)
+    return null
+  }
+
+  const objectStore = (mode) => db.transaction(STORE, mode).objectStore(STORE)
+
+  return {
+    // Oldest first, the order they're replayed in
+    list: () => request(objectStore('readonly').getAll()),
+    async add(edit) {
+      const saved = { ...edit, createdAt: Date.now() }
+      const id = await request(objectStore('readwrite').add(saved))
+      return { ...saved, id }
+    },
+    remove: (id) => request(objectStore('readwrite').delete(id)),
+    clear: () => request(objectStore('readwrite').clear())
+  }
+}
@@ -0,0 +1,176 @@
+// Writers for the selection on screen: visits as points and trips as lines in GeoJSON, GPX
+// and KML, plus a CSV visit log. The track formats follow what tracks.js reads, so an
+// export can be imported back into the app.
+
+const isoTime = (timestamp) => new Date(timestamp * 1000).toISOString()
+
+const visitEnd = (visit) => visit.timestamp + (visit.durationMinutes || 0) * 60
+
+export const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+
+// Quote only when needed, doubling embedded quotes (RFC 4180). Text that a spreadsheet would
+// run as a formula (place names come from imports and renames) gets a leading apostrophe.
+const escapeCsv = (value) => {
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value ?? '')
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const visitName = (visit) => visit.placeName || visit.semanticType || 'Visit'
+
+const tripName = (trip) => (trip.activityType || 'Trip').replace(/_/g, ' ').toLowerCase()
+
+export function toGeoJSON({ visits, trips, countryOf }) {
+  const features = [
+    ...visits.map(visit => ({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: visit.coordinates },
+      properties: {
+        name: visit.placeName || null,
+        description: visit.address || null,
+        city: visit.city || null,
+        country: countryOf?.(visit) || null,
+        semanticType: visit.semanticType || null,
+        category: visit.category || null,
+        startTime: isoTime(visit.timestamp),
+        endTime: isoTime(visitEnd(visit)),
+        durationMinutes: visit.durationMinutes,
+        source: visit.source || null,
+        profile: visit.profile || null
+      }
+    })),
+    ...trips.map(trip => ({
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: trip.path.map(p => p.coordinates) },
+      properties: {
+        activityType: trip.activityType || null,
+        startTime: isoTime(trip.path[0].timestamp),
+        endTime: isoTime(trip.path[trip.path.length - 1].timestamp),
+        coordTimes: trip.path.map(p => isoTime(p.timestamp)),
+        source: trip.source || null,
+        profile: trip.profile || null
+      }
+    }))
+  ]
+  return JSON.stringify({ type: 'FeatureCollection', features }, null, 2)
+}
+
+export function toGPX({ visits, trips }) {
+  const waypoints = visits.map(visit => [
+    `  <wpt lat="${visit.coordinates[1]}" lon="${visit.coordinates[0]}">`,
+    `    <time>${isoTime(visit.timestamp)}</time>`,
+    `    <name>${escapeXml(visitName(visit))}</name>`,
+    visit.address ? `    <desc>${escapeXml(visit.address)}</desc>` : null,
+    visit.semanticType ? `    <type>${escapeXml(visit.semanticType)}</type>` : null,
+    '  </wpt>'
+  ].filter(Boolean).join('\n'))
+
+  const tracks = trips.map(trip => [
+    '  <trk>',
+    `    <name>${escapeXml(tripName(trip))}</name>`,
+    trip.activityType ? `    <type>${escapeXml(trip.activityType)}</type>` : null,
+    '    <trkseg>',
+    ...trip.path.map(p =>
+      `      <trkpt lat="${p.coordinates[1]}" lon="${p.coordinates[0]}"><time>${isoTime(p.timestamp)}</time></trkpt>`
+    ),
+    '    </trkseg>',
+    '  </trk>'
+  ].filter(Boolean).join('\n'))
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="An Odyssey" xmlns="http://www.topografix.com/GPX/1/1">',
+    ...waypoints,
+    ...tracks,
+    '</gpx>',
+    ''
+  ].join('\n')
+}
+
+// Visits carry a TimeSpan; trips use gx:Track so every point keeps its own time
+export function toKML({ visits, trips }) {
+  const placemarks = visits.map(visit => [
+    '    <Placemark>',
+    `      <name>${escapeXml(visitName(visit))}</name>`,
+    visit.address ? `      <description>${escapeXml(visit.address)}</description>` : null,
+    `      <TimeSpan><begin>${isoTime(visit.timestamp)}</begin><end>${isoTime(visitEnd(visit))}</end></TimeSpan>`,
+    `      <Point><coordinates>${visit.coordinates[0]},${visit.coordinates[1]}</coordinates></Point>`,
+    '    </Placemark>'
+  ].filter(Boolean).join('\n'))
+
+  const tracks = trips.map(trip => [
+    '    <Placemark>',
+    `      <name>${escapeXml(trip.activityType || 'Trip')}</name>`,
+    '      <gx:Track>',
+    ...trip.path.map(p => `        <when>${isoTime(p.timestamp)}</when>`),
+    ...trip.path.map(p => `        <gx:coord>${p.coordinates[0]} ${p.coordinates[1]} 0</gx:coord>`),
+    '      </gx:Track>',
+    '    </Placemark>'
+  ].join('\n'))
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '  <Document>',
+    '    <name>An Odyssey</name>',
+    ...placemarks,
+    ...tracks,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n')
+}
+
+const CSV_COLUMNS = ['place', 'address', 'city', 'country', 'start', 'end', 'duration_minutes', 'semantic_type', 'category', 'latitude', 'longitude', 'source', 'profile']
+
+export function toCSV({ visits, countryOf }) {
+  const rows = visits.map(visit => [
+    visit.placeName,
+    visit.address,
+    visit.city,
+    countryOf?.(visit),
+    isoTime(visit.timestamp),
+    isoTime(visitEnd(visit)),
+    visit.durationMinutes,
+    visit.semanticType,
+    visit.category,
+    visit.coordinates[1],
+    visit.coordinates[0],
+    visit.source,
+    visit.profile
+  ].map(escapeCsv).join(','))
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n'
+}
+
+export const EXPORT_FORMATS = {
+  geojson: { label: 'GeoJSON', extension: 'geojson', mime: 'application/geo+json', write: toGeoJSON, trips: true },
+  gpx: { label: 'GPX', extension: 'gpx', mime: 'application/gpx+xml', write: toGPX, trips: true },
+  kml: { label: 'KML', extension: 'kml', mime: 'application/vnd.google-earth.kml+xml', write: toKML, trips: true },
+  csv: { label: 'CSV', extension: 'csv', mime: 'text/csv', write: toCSV, trips: false }
+}
+
+// "odyssey-2023-04-01-to-2023-06-30.gpx", from the selection's own first and last times
+export function exportFilename(format, { visits, trips }) {
+  let start = Infinity
+  let end = -Infinity
+  for (const visit of visits) {
+    start = Math.min(start, visit.timestamp)
+    end = Math.max(end, visitEnd(visit))
+  }
+  for (const trip of trips) {
+    start = Math.min(start, trip.path[0].timestamp)
+    end = Math.max(end, trip.path[trip.path.length - 1].timestamp)
+  }
+  const extension = EXPORT_FORMATS[format].extension
+  if (start > end) return `odyssey.${extension}`
+  const day = (timestamp) => isoTime(timestamp).slice(0, 10)
+  const first = day(start)
+  const last = day(end)
+  return first === last
+    ? `odyssey-${first}.${extension}`
+    : `odyssey-${first}-to-${last}.${extension}`
+}
@@ -0,0 +1,143 @@
+import { createVisitStore } from './visitStore.js'
+import { categoryInfo } from './places.js'
+import { profileOf } from './profiles.js'
+
+// The global filter model. Controls' timeRange picks the date window; these pick *what*, plus
+// recurring times inside that window (hours, weekdays, months, seasons). App derives one
+// filtered visit store from them and hands it to every layer, panel and the ChatBot, so
+// nothing filters on its own. Empty lists (and null hours) mean "no restriction".
+
+export const EMPTY_FILTERS = {
+  semanticTypes: [],
+  categories: [],
+  countries: [],
+  cities: [],
+  sources: [],
+  // Whose data is shown (see profiles.js)
+  profiles: [],
+  minDuration: 0,
+  // [from, to) in local hours 0–24; from > to wraps past midnight, e.g. [20, 4]
+  hours: null,
+  // 0 = Sunday … 6 = Saturday, as Date#getDay
+  weekdays: [],
+  // 0 = January … 11 = December
+  months: [],
+  seasons: []
+}
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+export const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+// Northern-hemisphere months; visits south of the equator get the opposite season
+export const SEASONS = {
+  winter: [11, 0, 1],
+  spring: [2, 3, 4],
+  summer: [5, 6, 7],
+  autumn: [8, 9, 10]
+}
+const OPPOSITE_SEASON = { winter: 'summer', spring: 'autumn', summer: 'winter', autumn: 'spring' }
+
+// Minimum-duration choices offered by the filter panel, in minutes
+export const DURATION_STEPS = [0, 5, 15, 30, 60, 120, 240]
+
+export const isRecurringActive = (filters) =>
+  filters.hours !== null ||
+  filters.weekdays.length > 0 ||
+  filters.months.length > 0 ||
+  filters.seasons.length > 0
+
+export const isFilterActive = (filters) =>
+  filters.semanticTypes.length > 0 ||
+  filters.categories.length > 0 ||
+  filters.countries.length > 0 ||
+  filters.cities.length > 0 ||
+  filters.sources.length > 0 ||
+  filters.profiles.length > 0 ||
+  filters.minDuration > 0 ||
+  isRecurringActive(filters)
+
+const inHours = (hour, [from, to]) => (from <= to ? hour >= from && hour < to : hour >= from || hour < to)
+
+// Predicate over (timestamp, latitude) for the recurring-time filters, in local time
+function recurringMatcher(filters) {
+  if (!isRecurringActive(filters)) return () => true
+  const weekdays = new Set(filters.weekdays)
+  const months = new Set(filters.months)
+  const northern = new Set(filters.seasons.flatMap(season => SEASONS[season]))
+  const southern = new Set(filters.seasons.flatMap(season => SEASONS[OPPOSITE_SEASON[season]]))
+
+  return (timestamp, latitude = 0) => {
+    const date = new Date(timestamp * 1000)
+    if (filters.hours && !inHours(date.getHours() + date.getMinutes() / 60, filters.hours)) return false
+    if (weekdays.size > 0 && !weekdays.has(date.getDay())) return false
+    if (months.size > 0 && !months.has(date.getMonth())) return false
+    if (filters.seasons.length > 0 && !(latitude < 0 ? southern : northern).has(date.getMonth())) return false
+    return true
+  }
+}
+
+// Merged records carry every source that saw them
+const sourcesOf = (record) => record.sources || (record.source ? [record.source] : [])
+
+// A store holding only the visits that pass the filters; the same store when none are set.
+// options are passed through to createVisitStore (e.g. resolveCountry).
+export function filterVisitStore(store, filters, options) {
+  if (!isFilterActive(filters)) return store
+  const semanticTypes = new Set(filters.semanticTypes)
+  const categories = new Set(filters.categories)
+  const countries = new Set(filters.countries)
+  const cities = new Set(filters.cities)
+  const sources = new Set(filters.sources)
+  const profiles = new Set(filters.profiles)
+  const inRecurringTime = recurringMatcher(filters)
+
+  const kept = []
+  store.visits.forEach((visit, i) => {
+    if (semanticTypes.size > 0 && !semanticTypes.has(visit.semanticType || 'Unknown')) return
+    if (categories.size > 0 && !categories.has(store.categoryAt(i))) return
+    if (countries.size > 0 && !countries.has(store.countryAt(i))) return
+    if (cities.size > 0 && !cities.has(store.cityAt(i))) return
+    if (sources.size > 0 && !sourcesOf(visit).some(source => sources.has(source))) return
+    if (profiles.size > 0 && !profiles.has(store.profileAt(i))) return
+    if ((visit.durationMinutes || 0) < filters.minDuration) return
+    if (!inRecurringTime(visit.timestamp, visit.coordinates?.[1])) return
+    kept.push(visit)
+  })
+  // Already in time order, so the new store doesn't re-sort
+  return createVisitStore(kept, options)
+}
+
+// Trips only know their source, profile and when they started; the place filters don't apply to them
+export function filterTrips(trips, filters) {
+  if (filters.sources.length === 0 && filters.profiles.length === 0 && !isRecurringActive(filters)) return trips
+  const sources = new Set(filters.sources)
+  const profiles = new Set(filters.profiles)
+  const inRecurringTime = recurringMatcher(filters)
+  return trips.filter(trip => {
+    if (sources.size > 0 && !sourcesOf(trip).some(source => sources.has(source))) return false
+    if (profiles.size > 0 && !profiles.has(profileOf(trip))) return false
+    const start = trip.path?.[0]
+    return !start || inRecurringTime(start.timestamp, start.coordinates?.[1])
+  })
+}
+
+export const formatHour = (hour) => `${String(hour % 24).padStart(2, '0')}:00`
+
+// One line per active filter, e.g. for the ChatBot context or a panel summary
+export function describeFilters(filters) {
+  const lines = []
+  if (filters.semanticTypes.length > 0) lines.push(`Visit types: ${filters.semanticTypes.join(', ')}`)
+  if (filters.categories.length > 0) {
+    lines.push(`Place categories: ${filters.categories.map(key => categoryInfo(key).label).join(', ')}`)
+  }
+  if (filters.countries.length > 0) lines.push(`Countries: ${filters.countries.join(', ')}`)
+  if (filters.cities.length > 0) lines.push(`Cities: ${filters.cities.join(', ')}`)
+  if (filters.sources.length > 0) lines.push(`Sources: ${filters.sources.join(', ')}`)
+  if (filters.profiles.length > 0) lines.push(`Profiles: ${filters.profiles.join(', ')}`)
+  if (filters.minDuration > 0) lines.push(`Visits of at least ${filters.minDuration} minutes`)
+  if (filters.hours) lines.push(`Between ${formatHour(filters.hours[0])} and ${formatHour(filters.hours[1])} local time`)
+  if (filters.weekdays.length > 0) lines.push(`Days of week: ${[...filters.weekdays].sort().map(d => WEEKDAYS[d]).join(', ')}`)
+  if (filters.months.length > 0) lines.push(`Months: ${[...filters.months].sort((a, b) => a - b).map(m => MONTHS[m]).join(', ')}`)
+  if (filters.seasons.length > 0) lines.push(`Seasons: ${filters.seasons.join(', ')} (by hemisphere)`)
+  return lines
+}
@@ -0,0 +1,32 @@
+// Haversine formula to calculate distance between two [lng, lat] coordinates in km
+export function haversineDistance(coord1, coord2) {
+  const R = 6371 // Earth's radius in km
+  const [lon1, lat1] = coord1
+  const [lon2, lat2] = coord2
+
+  const dLat = (lat2 - lat1) * Math.PI / 180
+  const dLon = (lon2 - lon1) * Math.PI / 180
+
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+            Math.sin(dLon / 2) * Math.sin(dLon / 2)
+
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a))
+  return R * c
+}
+
+// Round a coordinate to 6 decimals (~10cm), the precision used in the data files
+export function roundCoord(value) {
+  return Math.round(value * 1e6) / 1e6
+}
+
+// Check that a value is a usable [lng, lat] pair
+export function isValidCoordinate(coords) {
+  return Array.isArray(coords) &&
+    coords.length >= 2 &&
+    Number.isFinite(coords[0]) &&
+    Number.isFinite(coords[1]) &&
+    Math.abs(coords[0]) <= 180 &&
+    Math.abs(coords[1]) <= 90 &&
+    !(coords[0] === 0 && coords[1] === 0)
+}
@@ -0,0 +1,85 @@
+import { dayStart } from './visitStore.js'
+
+// Trips in the travel sense: stretches of nights spent away from home. (The `trips` elsewhere
+// are movement paths between visits, hence the different name.) They're read off the day
+// summaries from days.js, so "away" means the same thing here as on the calendar.
+
+// Days without data this long between two away nights still count as one journey
+const MAX_GAP_DAYS = 2
+
+const DAY_SECONDS = 86400
+
+// Calendar arithmetic on "YYYY-MM-DD" keys, in local time like the keys themselves
+const addDays = (key, count) => {
+  const [year, month, day] = key.split('-').map(Number)
+  const date = new Date(year, month - 1, day + count)
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+}
+const daysBetween = (from, to) => Math.round((dayStart(to) - dayStart(from)) / DAY_SECONDS)
+
+// days: summarizeDays(store). Returns journeys in time order:
+//   [{ start, end, nights, home, destinations: [{ city, nights }], countries, kilometers, bounds }]
+// start is the first night away and end the day back (both day keys), so nights = end − start.
+// kilometers covers the way there and back; bounds is [[minLng, minLat], [maxLng, maxLat]].
+export function detectJourneys(days, store) {
+  const runs = []
+  let run = null
+  days.forEach((day, i) => {
+    if (day.status !== 'away') {
+      // A night at home closes the journey; a day without a known city doesn't
+      if (day.status !== 'unknown') run = null
+      return
+    }
+    if (run && daysBetween(days[run.last].key, day.key) <= MAX_GAP_DAYS + 1) {
+      run.last = i
+    } else {
+      run = { first: i, last: i }
+      runs.push(run)
+    }
+  })
+
+  return runs.map(({ first, last }) => {
+    const start = days[first].key
+    const end = addDays(days[last].key, 1)
+    const covered = days.slice(first, last + 1)
+    // The day back (when there's data for it) adds the distance home
+    if (days[last + 1]?.key === end) covered.push(days[last + 1])
+    const home = days[first].home
+
+    const nightsIn = new Map()
+    const countries = new Set()
+    for (const day of covered) {
+      // Places passed through without staying the night still count as destinations
+      day.cities.forEach(city => {
+        if (city !== home && !nightsIn.has(city)) nightsIn.set(city, 0)
+      })
+      if (day.status === 'away') nightsIn.set(day.sleptIn, (nightsIn.get(day.sleptIn) || 0) + 1)
+      day.countries.forEach(country => countries.add(country))
+    }
+
+    // The same days as kilometers, in a loop: months of visits are too many to spread into Math.min
+    const visits = store.range(dayStart(start), dayStart(addDays(covered[covered.length - 1].key, 1)) - 1)
+    let bounds = null
+    for (const { coordinates: [lng, lat] } of visits) {
+      if (!bounds) {
+        bounds = [[lng, lat], [lng, lat]]
+        continue
+      }
+      bounds[0][0] = Math.min(bounds[0][0], lng)
+      bounds[0][1] = Math.min(bounds[0][1], lat)
+      bounds[1][0] = Math.max(bounds[1][0], lng)
+      bounds[1][1] = Math.max(bounds[1][1], lat)
+    }
+
+    return {
+      start,
+      end,
+      nights: daysBetween(start, end),
+      home,
+      destinations: Array.from(nightsIn, ([city, nights]) => ({ city, nights })),
+      countries: Array.from(countries),
+      kilometers: covered.reduce((sum, day) => sum + day.kilometers, 0),
+      bounds
+    }
+  })
+}
@@ -0,0 +1,368 @@
+import {
+  validateVisits,
+  validateTrips,
+  validateArcs,
+  validateMetadata,
+  validateCountries,
+  validatePlaceDetails,
+  validateManifest,
+  crossCheckMetadata
+} from './validate.js'
+import { buildMetadata } from './dataset.js'
+import { dedupeTrips } from './merge.js'
+
+// Every file App loads from public/data, with its validator and the value used when it's absent
+export const DATA_FILES = [
+  { key: 'visits', file: 'visits.json', validate: validateVisits, empty: [] },
+  { key: 'trips', file: 'trips.json', validate: validateTrips, empty: [] },
+  { key: 'arcs', file: 'arcs.json', validate: validateArcs, empty: [] },
+  { key: 'metadata', file: 'metadata.json', validate: validateMetadata, empty: null },
+  { key: 'countries', file: 'countries.geojson', validate: validateCountries, empty: null },
+  { key: 'placeDetails', file: 'place_details_cache.json', validate: validatePlaceDetails, empty: null }
+]
+
+const recordCount = (value) => {
+  if (Array.isArray(value)) return value.length
+  if (value?.features) return value.features.length
+  if (value && typeof value === 'object') return Object.keys(value).length
+  return null
+}
+
+// Read a response body while reporting how many bytes have arrived
+async function readJson(res, onBytes) {
+  if (!onBytes || !res.body?.getReader) return res.json()
+  const reader = res.body.getReader()
+  const decoder = new TextDecoder()
+  let text = ''
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    text += decoder.decode(value, { stream: true })
+    onBytes(value.byteLength)
+  }
+  return JSON.parse(text + decoder.decode())
+}
+
+// Fetch one JSON file, telling "missing" apart from "present but unparseable"
+async function fetchDataFile(url, onBytes) {
+  let res
+  try {
+    res = await fetch(url)
+  } catch (err) {
+    return { status: 'missing', error: err.message }
+  }
+  // The dev server answers unknown paths with index.html, so HTML means the file isn't there
+  const contentType = res.headers.get('content-type') || ''
+  if (!res.ok || contentType.includes('text/html')) {
+    return { status: 'missing', error: res.ok ? 'Not found' : `HTTP ${res.status}` }
+  }
+  try {
+    return { status: 'ok', json: await readJson(res, onBytes) }
+  } catch (err) {
+    return { status: 'invalid', error: `Malformed JSON: ${err.message}` }
+  }
+}
+
+// Validate loaded values and build the health report the DataHealth panel shows
+function checkDataset(raw, fileStatus) {
+  const data = {}
+  const files = []
+  let issues = []
+
+  for (const { key, file, validate, empty } of DATA_FILES) {
+    const status = fileStatus[key]
+    if (status.status !== 'ok') {
+      data[key] = empty
+      files.push({ file, status: status.status, error: status.error, records: null })
+      continue
+    }
+    const { valid, issues: fileIssues } = validate(raw[key], file)
+    data[key] = valid ?? empty
+    issues = issues.concat(fileIssues)
+    const hasErrors = fileIssues.some(i => i.severity === 'error')
+    files.push({
+      file,
+      status: hasErrors ? 'degraded' : 'ok',
+      records: key === 'metadata' ? null : recordCount(raw[key])
+    })
+  }
+
+  issues = issues.concat(crossCheckMetadata(data.metadata, {
+    visits: fileStatus.visits.status === 'ok' ? recordCount(raw.visits) : undefined,
+    trips: fileStatus.trips.status === 'ok' ? recordCount(raw.trips) : undefined,
+    arcs: fileStatus.arcs.status === 'ok' ? recordCount(raw.arcs) : undefined
+  }))
+
+  // Without usable metadata nothing can map the time slider; derive it from the data instead
+  const metadataBroken = !data.metadata || issues.some(i => i.file === 'metadata.json' && i.severity === 'error')
+  if (metadataBroken && (data.visits.length > 0 || data.trips.length > 0)) {
+    data.metadata = buildMetadata({ visits: data.visits, trips: data.trips, arcs: data.arcs })
+    issues.push({
+      file: 'metadata.json',
+      kind: 'rebuilt',
+      severity: 'info',
+      message: 'Metadata was rebuilt from the loaded visits and trips',
+      count: 1,
+      examples: []
+    })
+  }
+
+  // Exports often record the same movement twice; resolve that once here rather than per render
+  data.trips = dedupeTrips(data.trips).trips
+
+  return { data, health: { files, issues, checkedAt: Date.now() } }
+}
+
+// Load and validate everything in public/data. Never throws; problems end up in health.
+export async function loadDataFiles(baseUrl = '/data', onProgress) {
+  let done = 0
+  const results = await Promise.all(DATA_FILES.map(async ({ file }) => {
+    const result = await fetchDataFile(`${baseUrl}/${file}`)
+    onProgress?.({ label: file, loaded: ++done, total: DATA_FILES.length })
+    return result
+  }))
+  const raw = {}
+  const fileStatus = {}
+  DATA_FILES.forEach(({ key }, i) => {
+    raw[key] = results[i].json
+    fileStatus[key] = results[i]
+  })
+  return checkDataset(raw, fileStatus)
+}
+
+// Reference files that are fetched once the first chunks are on screen
+const REFERENCE_FILES = DATA_FILES.filter(({ key }) => key !== 'visits' && key !== 'trips' && key !== 'metadata')
+
+const overlaps = (chunk, [start, end]) => chunk.maxTimestamp >= start && chunk.minTimestamp <= end
+
+const toTimestamps = (metadata, range) => {
+  const span = metadata.maxTimestamp - metadata.minTimestamp
+  return [metadata.minTimestamp + span * range[0], metadata.minTimestamp + span * range[1]]
+}
+
+// Stream per-year chunks listed in manifest.json, falling back to the single-file layout.
+//
+//   onManifest(manifest) → normalized [start, end] whose chunks load before the app renders
+//   onProgress({ label, loaded, total, chunksLoaded, chunksTotal }) while loading
+//   onUpdate({ data, health }) each time more data has arrived
+//   onReady() once the first range is covered, or once loading has failed
+//
+// Returns { prioritize(range), cancel() }. Chunks are fetched one at a time so a
+// prioritized range jumps the queue instead of competing for bandwidth.
+export function streamDataFiles(baseUrl = '/data', { onManifest, onProgress, onUpdate, onReady }) {
+  let cancelled = false
+  let ready = false
+  let manifest = null
+  let pending = []
+  let priority = null
+  const loadedChunks = new Set()
+  const reference = {}
+  const fileRows = new Map()
+  let issues = []
+  // Chunks are appended as they arrive rather than regathered from every loaded one per update
+  let visits = []
+  let trips = []
+  let emittedRecords = 0
+  // Records as stored, before validation and dedupe, which is what metadata.json counted
+  const storedRecords = { visits: 0, trips: 0, complete: true }
+
+  const emit = (complete) => {
+    emittedRecords = visits.length + trips.length
+    const data = {
+      visits,
+      trips,
+      arcs: reference.arcs ?? [],
+      metadata: manifest.metadata,
+      countries: reference.countries ?? null,
+      placeDetails: reference.placeDetails ?? null
+    }
+    let reportIssues = issues
+    if (!data.metadata) {
+      data.metadata = buildMetadata(data)
+    }
+    if (complete) {
+      reportIssues = issues.concat(crossCheckMetadata(manifest.metadata, {
+        visits: storedRecords.complete ? storedRecords.visits : undefined,
+        trips: storedRecords.complete ? storedRecords.trips : undefined,
+        arcs: fileRows.get('arcs.json')?.status === 'ok' ? data.arcs.length : undefined
+      }))
+    }
+    onUpdate({ data, health: { files: Array.from(fileRows.values()), issues: reportIssues, checkedAt: Date.now() } })
+  }
+
+  const loadChunk = async (chunk, onBytes) => {
+    const result = await fetchDataFile(`${baseUrl}/${chunk.file}`, onBytes)
+    if (cancelled) return
+    loadedChunks.add(chunk.file)
+    if (result.status === 'ok' && (!result.json || typeof result.json !== 'object')) {
+      result.status = 'invalid'
+      result.error = 'Not an object with visits and trips'
+    }
+    if (result.status !== 'ok') {
+      fileRows.set(chunk.file, { file: chunk.file, status: result.status, error: result.error, records: null })
+      storedRecords.complete = false
+      return
+    }
+    storedRecords.visits += recordCount(result.json.visits) ?? 0
+    storedRecords.trips += recordCount(result.json.trips) ?? 0
+    const chunkVisits = validateVisits(result.json.visits, chunk.file)
+    const chunkTrips = validateTrips(result.json.trips, chunk.file)
+    const chunkIssues = chunkVisits.issues.concat(chunkTrips.issues)
+    issues = issues.concat(chunkIssues)
+    fileRows.set(chunk.file, {
+      file: chunk.file,
+      status: chunkIssues.some(i => i.severity === 'error') ? 'degraded' : 'ok',
+      records: (result.json.visits?.length ?? 0) + (result.json.trips?.length ?? 0)
+    })
+    visits = visits.concat(chunkVisits.valid)
+    trips = trips.concat(dedupeTrips(chunkTrips.valid).trips)
+  }
+
+  const loadReference = async ({ key, file, validate, empty }) => {
+    const result = await fetchDataFile(`${baseUrl}/${file}`)
+    if (cancelled) return
+    if (result.status !== 'ok') {
+      reference[key] = empty
+      fileRows.set(file, { file, status: result.status, error: result.error, records: null })
+      return
+    }
+    const { valid, issues: fileIssues } = validate(result.json, file)
+    reference[key] = valid ?? empty
+    issues = issues.concat(fileIssues)
+    fileRows.set(file, {
+      file,
+      status: fileIssues.some(i => i.severity === 'error') ? 'degraded' : 'ok',
+      records: recordCount(result.json)
+    })
+  }
+
+  const run = async () => {
+    onProgress?.({ label: 'manifest.json', loaded: 0, total: 1 })
+    const manifestResult = await fetchDataFile(`${baseUrl}/manifest.json`)
+    if (cancelled) return
+
+    const checked = manifestResult.status === 'ok' ? validateManifest(manifestResult.json) : null
+    if (!checked?.valid) {
+      // No usable manifest: this is a single-file data folder
+      const result = await loadDataFiles(baseUrl, onProgress)
+      if (cancelled) return
+      if (checked) result.health.issues = checked.issues.concat(result.health.issues)
+      onUpdate(result)
+      ready = true
+      onReady()
+      return
+    }
+
+    manifest = checked.valid
+    issues = checked.issues
+    fileRows.set('manifest.json', { file: 'manifest.json', status: 'ok', records: manifest.chunks.length })
+    manifest.chunks.forEach(chunk => {
+      fileRows.set(chunk.file, { file: chunk.file, status: 'pending', records: null })
+    })
+    REFERENCE_FILES.forEach(({ file }) => {
+      fileRows.set(file, { file, status: 'pending', records: null })
+    })
+
+    // Without usable metadata the range can't be mapped to chunks, so everything is "first"
+    const firstRange = manifest.metadata ? onManifest(manifest) : [0, 1]
+    const first = manifest.metadata
+      ? manifest.chunks.filter(chunk => overlaps(chunk, toTimestamps(manifest.metadata, firstRange)))
+      : manifest.chunks
+    pending = manifest.chunks.filter(chunk => !first.includes(chunk))
+
+    const totalBytes = first.reduce((sum, chunk) => sum + (chunk.bytes || 0), 0)
+    let loadedBytes = 0
+    for (const chunk of first) {
+      onProgress?.({ label: String(chunk.year ?? chunk.file), loaded: loadedBytes, total: totalBytes })
+      await loadChunk(chunk, (bytes) => {
+        loadedBytes += bytes
+        onProgress?.({ label: String(chunk.year ?? chunk.file), loaded: loadedBytes, total: totalBytes })
+      })
+      if (cancelled) return
+    }
+    emit(false)
+    ready = true
+    onReady()
+
+    // Countries and place names render next, then the remaining years; arcs.json isn't drawn so it's last
+    for (const entry of REFERENCE_FILES.filter(({ key }) => key !== 'arcs')) {
+      await loadReference(entry)
+      if (cancelled) return
+      emit(false)
+    }
+    // Every update rebuilds the store and the worker's copy, so the years behind the first are
+    // emitted in batches that at least double what's shown, unless one is wanted on screen now
+    while (pending.length > 0) {
+      const chunk = pending.shift()
+      onProgress?.({
+        label: String(chunk.year ?? chunk.file),
+        chunksLoaded: loadedChunks.size,
+        chunksTotal: manifest.chunks.length
+      })
+      await loadChunk(chunk)
+      if (cancelled) return
+      const wanted = priority && overlaps(chunk, priority)
+      if (wanted || visits.length + trips.length >= 2 * emittedRecords) emit(false)
+    }
+    if (visits.length + trips.length > emittedRecords) emit(false)
+    await loadReference(REFERENCE_FILES.find(({ key }) => key === 'arcs'))
+    if (cancelled) return
+    emit(true)
+    onProgress?.({ chunksLoaded: loadedChunks.size, chunksTotal: manifest.chunks.length, done: true })
+  }
+
+  // A throw past the validators (an odd chunk, a failing callback) ends loading with what has
+  // arrived and an error in the report, rather than leaving the loading screen up
+  run().catch((err) => {
+    if (cancelled) return
+    issues = issues.concat({
+      file: manifest ? 'manifest.json' : 'data',
+      kind: 'load-failed',
+      severity: 'error',
+      message: `Loading stopped early: ${err.message}`,
+      count: 1,
+      examples: []
+    })
+    try {
+      if (manifest) {
+        emit(false)
+      } else {
+        onUpdate({
+          data: { visits: [], trips: [], arcs: [], metadata: null, countries: null, placeDetails: null },
+          health: { files: Array.from(fileRows.values()), issues, checkedAt: Date.now() }
+        })
+      }
+    } catch (updateErr) {
+      console.error('Data update failed:', updateErr)
+    }
+    if (!ready) {
+      ready = true
+      onReady()
+    }
+    onProgress?.({ done: true })
+  })
+
+  return {
+    // Move chunks overlapping a normalized range to the front of the queue
+    prioritize(range) {
+      if (!manifest?.metadata || pending.length === 0) return
+      const span = toTimestamps(manifest.metadata, range)
+      priority = span
+      pending = pending.filter(chunk => overlaps(chunk, span))
+        .concat(pending.filter(chunk => !overlaps(chunk, span)))
+    },
+    cancel() {
+      cancelled = true
+    }
+  }
+}
+
+// Validate a dataset that was built in the browser (e.g. by the importer)
+export function validateDataset(dataset) {
+  const fileStatus = {}
+  for (const { key } of DATA_FILES) {
+    const present = dataset[key] !== undefined && dataset[key] !== null
+    fileStatus[key] = present ? { status: 'ok' } : { status: 'missing', error: 'Not part of the import' }
+  }
+  return checkDataset(dataset, fileStatus)
+}
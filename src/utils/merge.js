@@ -0,0 +1,180 @@
+import { haversineDistance } from './geo.js'
+import { buildDataset } from './dataset.js'
+import { DEFAULT_PROFILE, groupByProfile } from './profiles.js'
+
+// Combine location histories from several phones / exports into one timeline.
+// Every record keeps a `source` (where it came from) and `sources` (every export
+// that also had it), so the merged data can be filtered by origin later.
+
+// Two visits are the same stay if they're this close and overlap this much in time
+const VISIT_MAX_DISTANCE_KM = 0.2
+const VISIT_MIN_OVERLAP = 0.5
+// Zero-length visits (waypoints, instants) match when they're within this many seconds
+const INSTANT_WINDOW_SECONDS = 5 * 60
+// Trips overlapping more than this fraction of either one are the same movement
+const TRIP_MIN_OVERLAP = 0.5
+
+const visitEnd = (visit) => visit.timestamp + Math.max(visit.durationMinutes || 0, 0) * 60
+
+// Higher = more useful to keep; named, typed places beat anonymous stay points
+const visitRichness = (visit) =>
+  (visit.placeName ? 2 : 0) +
+  (visit.placeId ? 1 : 0) +
+  (visit.address ? 1 : 0) +
+  (visit.semanticType && visit.semanticType !== 'Unknown' ? 2 : 0) +
+  (visit.durationMinutes > 0 ? 1 : 0)
+
+const unionSources = (a, b) => Array.from(new Set([...(a.sources || []), ...(b.sources || [])]))
+
+function isDuplicateVisit(a, b) {
+  if (haversineDistance(a.coordinates, b.coordinates) > VISIT_MAX_DISTANCE_KM) return false
+
+  const aEnd = visitEnd(a)
+  const bEnd = visitEnd(b)
+  const aDuration = aEnd - a.timestamp
+  const bDuration = bEnd - b.timestamp
+
+  if (aDuration === 0 || bDuration === 0) {
+    // An instant matches if it falls inside (or right next to) the other visit
+    const [instant, other] = aDuration === 0 ? [a, b] : [b, a]
+    return instant.timestamp >= other.timestamp - INSTANT_WINDOW_SECONDS &&
+      instant.timestamp <= visitEnd(other) + INSTANT_WINDOW_SECONDS
+  }
+
+  const overlap = Math.min(aEnd, bEnd) - Math.max(a.timestamp, b.timestamp)
+  return overlap > 0 && overlap / Math.min(aDuration, bDuration) >= VISIT_MIN_OVERLAP
+}
+
+// Keep the richer visit, filling its gaps from the other one
+function combineVisits(a, b) {
+  const richnessA = visitRichness(a)
+  const richnessB = visitRichness(b)
+  const [winner, loser] = richnessA > richnessB || (richnessA === richnessB && visitEnd(a) - a.timestamp >= visitEnd(b) - b.timestamp)
+    ? [a, b]
+    : [b, a]
+
+  const combined = { ...winner }
+  for (const [key, value] of Object.entries(loser)) {
+    if ((combined[key] === null || combined[key] === undefined) && value !== null && value !== undefined) {
+      combined[key] = value
+    }
+  }
+  combined.sources = unionSources(a, b)
+  return combined
+}
+
+// Resolve visits that several sources recorded for the same stay
+export function dedupeVisits(visits) {
+  const sorted = [...visits].sort((a, b) => a.timestamp - b.timestamp)
+  const kept = []
+  // Indices into `kept` of visits that may still overlap what comes next
+  let active = []
+  let duplicates = 0
+
+  for (const visit of sorted) {
+    active = active.filter(i => visitEnd(kept[i]) + INSTANT_WINDOW_SECONDS >= visit.timestamp)
+
+    const match = active.find(i => isDuplicateVisit(kept[i], visit))
+    if (match !== undefined) {
+      kept[match] = combineVisits(kept[match], visit)
+      duplicates++
+    } else {
+      active.push(kept.length)
+      kept.push(visit)
+    }
+  }
+
+  return { visits: kept, duplicates }
+}
+
+// Drop trips that overlap another trip by more than half; the one with more points wins
+export function dedupeTrips(trips) {
+  const sorted = trips
+    .filter(trip => trip.path && trip.path.length >= 2)
+    .sort((a, b) => a.path[0].timestamp - b.path[0].timestamp)
+  const removed = new Set()
+  const replacements = new Map()
+
+  for (let i = 0; i < sorted.length; i++) {
+    if (removed.has(i)) continue
+
+    const tripA = sorted[i]
+    const aStart = tripA.path[0].timestamp
+    const aEnd = tripA.path[tripA.path.length - 1].timestamp
+    const aDuration = aEnd - aStart || 1
+
+    for (let j = i + 1; j < sorted.length; j++) {
+      if (removed.has(j)) continue
+
+      const tripB = sorted[j]
+      const bStart = tripB.path[0].timestamp
+      const bEnd = tripB.path[tripB.path.length - 1].timestamp
+      const bDuration = bEnd - bStart || 1
+
+      // Sorted by start, so nothing later can overlap A
+      if (bStart > aEnd) break
+
+      const overlapDuration = Math.max(0, Math.min(aEnd, bEnd) - Math.max(aStart, bStart))
+      if (overlapDuration / aDuration > TRIP_MIN_OVERLAP || overlapDuration / bDuration > TRIP_MIN_OVERLAP) {
+        // Untagged trips (a single unmerged file) have no sources to carry over
+        const sources = unionSources(replacements.get(i) || tripA, replacements.get(j) || tripB)
+        const [winner, loser] = tripA.path.length >= tripB.path.length ? [i, j] : [j, i]
+        removed.add(loser)
+        if (sources.length > 0) {
+          replacements.set(winner, { ...(replacements.get(winner) || sorted[winner]), sources })
+        }
+        if (loser === i) break
+      }
+    }
+  }
+
+  const kept = []
+  sorted.forEach((trip, i) => {
+    if (!removed.has(i)) kept.push(replacements.get(i) || trip)
+  })
+  return { trips: kept, duplicates: removed.size }
+}
+
+// Tag records with their source unless they already carry one from an earlier merge,
+// and with the dataset's profile (see profiles.js) unless that's the default one
+const tagRecords = (records, source, profile) => records.map(record => {
+  const tagged = record.source
+    ? { ...record, sources: record.sources || [record.source] }
+    : { ...record, source, sources: [source] }
+  if (profile && profile !== DEFAULT_PROFILE && !record.profile) tagged.profile = profile
+  return tagged
+})
+
+// De-duplicate within each profile only: two people at the same café are two visits
+const dedupePerProfile = (records, dedupe, key) => {
+  let kept = []
+  let duplicates = 0
+  for (const group of groupByProfile(records).values()) {
+    const result = dedupe(group)
+    kept = kept.concat(result[key])
+    duplicates += result.duplicates
+  }
+  return { [key]: kept, duplicates }
+}
+
+// Merge several { source, profile?, visits, trips } datasets into one de-duplicated dataset
+export function mergeDatasets(datasets, options) {
+  let visits = []
+  let trips = []
+  for (const { source, profile, visits: v = [], trips: t = [] } of datasets) {
+    visits = visits.concat(tagRecords(v, source, profile))
+    trips = trips.concat(tagRecords(t, source, profile))
+  }
+
+  const visitResult = dedupePerProfile(visits, dedupeVisits, 'visits')
+  const tripResult = dedupePerProfile(trips, dedupeTrips, 'trips')
+  const dataset = buildDataset({ visits: visitResult.visits, trips: tripResult.trips }, options)
+
+  return {
+    dataset,
+    stats: {
+      duplicateVisits: visitResult.duplicates,
+      duplicateTrips: tripResult.duplicates
+    }
+  }
+}
@@ -0,0 +1,134 @@
+// Joins place_details_cache.json (Google Place records keyed by place ID) onto visits, so
+// category, rating and types are on the visit itself for tooltips, filters, stats and ChatBot.
+
+// Broad categories over Google's place types, checked in order against the primary type
+// first and then the rest of a place's types
+export const PLACE_CATEGORIES = [
+  {
+    key: 'food', label: 'Food & Drink', icon: '🍽️',
+    types: ['restaurant', 'cafe', 'coffee_shop', 'bakery', 'food', 'meal_takeaway', 'meal_delivery',
+      'sandwich_shop', 'ice_cream_shop', 'dessert_shop', 'juice_shop', 'tea_house', 'food_court', 'bar_and_grill'],
+    suffixes: ['_restaurant']
+  },
+  {
+    key: 'nightlife', label: 'Nightlife', icon: '🍸',
+    types: ['bar', 'pub', 'night_club', 'wine_bar', 'cocktail_bar', 'brewery', 'winery', 'karaoke']
+  },
+  {
+    key: 'lodging', label: 'Lodging', icon: '🛏️',
+    types: ['lodging', 'hotel', 'motel', 'hostel', 'resort_hotel', 'bed_and_breakfast', 'guest_house',
+      'inn', 'campground', 'extended_stay_hotel', 'cottage', 'farmstay']
+  },
+  {
+    key: 'transport', label: 'Transport', icon: '✈️',
+    types: ['airport', 'international_airport', 'subway_station', 'train_station', 'bus_station', 'bus_stop',
+      'transit_station', 'transit_depot', 'light_rail_station', 'ferry_terminal', 'parking', 'gas_station',
+      'taxi_stand', 'car_rental', 'rest_stop', 'heliport', 'park_and_ride', 'electric_vehicle_charging_station']
+  },
+  {
+    key: 'outdoors', label: 'Outdoors', icon: '🌲',
+    types: ['park', 'natural_feature', 'beach', 'hiking_area', 'national_park', 'garden', 'botanical_garden',
+      'playground', 'marina', 'dog_park', 'state_park', 'picnic_ground']
+  },
+  {
+    key: 'culture', label: 'Culture & Sights', icon: '🏛️',
+    types: ['museum', 'tourist_attraction', 'art_gallery', 'historical_landmark', 'monument', 'cultural_landmark',
+      'movie_theater', 'event_venue', 'performing_arts_theater', 'concert_hall', 'library', 'plaza',
+      'amusement_park', 'aquarium', 'zoo', 'church', 'mosque', 'synagogue', 'hindu_temple', 'buddhist_temple',
+      'place_of_worship', 'visitor_center', 'observation_deck']
+  },
+  {
+    key: 'fitness', label: 'Sports & Fitness', icon: '🏃',
+    types: ['gym', 'fitness_center', 'sports_activity_location', 'stadium', 'sports_club', 'sports_complex',
+      'swimming_pool', 'ski_resort', 'golf_course', 'yoga_studio', 'athletic_field', 'bowling_alley']
+  },
+  {
+    key: 'shopping', label: 'Shopping', icon: '🛍️',
+    types: ['store', 'shopping_mall', 'market', 'supermarket', 'department_store', 'grocery_store'],
+    suffixes: ['_store']
+  },
+  {
+    key: 'health', label: 'Health', icon: '⚕️',
+    types: ['health', 'hospital', 'pharmacy', 'drugstore', 'doctor', 'dentist', 'dental_clinic',
+      'medical_lab', 'physiotherapist', 'chiropractor', 'veterinary_care']
+  },
+  {
+    key: 'work', label: 'Work & Study', icon: '💼',
+    types: ['corporate_office', 'coworking_space', 'university', 'school', 'primary_school',
+      'secondary_school', 'preschool', 'consultant', 'government_office', 'city_hall', 'courthouse']
+  },
+  {
+    key: 'services', label: 'Services', icon: '🧾',
+    types: ['bank', 'atm', 'post_office', 'barber_shop', 'hair_care', 'hair_salon', 'beauty_salon', 'spa',
+      'laundry', 'car_repair', 'car_wash', 'car_dealer', 'insurance_agency', 'real_estate_agency', 'lawyer',
+      'accounting', 'travel_agency', 'storage', 'moving_company']
+  },
+  {
+    key: 'residential', label: 'Residential', icon: '🏠',
+    types: ['premise', 'apartment_building', 'apartment_complex', 'condominium_complex', 'housing_complex',
+      'street_address', 'subpremise']
+  }
+]
+
+export const OTHER_CATEGORY = { key: 'other', label: 'Other', icon: '📍', types: [] }
+
+const CATEGORY_BY_KEY = new Map(PLACE_CATEGORIES.concat(OTHER_CATEGORY).map(c => [c.key, c]))
+
+const categoryForType = (type) => PLACE_CATEGORIES.find(category =>
+  category.types.includes(type) || category.suffixes?.some(suffix => type.endsWith(suffix))
+)
+
+// Category key for a place's primary type and type list; "other" when nothing matches
+export function placeCategory(primaryType, types = []) {
+  for (const type of [primaryType, ...types]) {
+    if (!type) continue
+    const category = categoryForType(type)
+    if (category) return category.key
+  }
+  return OTHER_CATEGORY.key
+}
+
+// { key, label, icon } for a category key
+export function categoryInfo(key) {
+  return CATEGORY_BY_KEY.get(key) || OTHER_CATEGORY
+}
+
+// Add category, rating, ratingCount and types from place details by place ID. Visits
+// without a cached record still get a category from any primaryType they already carry.
+export function joinPlaceDetails(visits, placeDetails) {
+  const byPlace = new Map()
+  const enrich = (placeId, primaryType) => {
+    const key = placeId ? `${placeId}|${primaryType || ''}` : null
+    if (key && byPlace.has(key)) return byPlace.get(key)
+    const details = (placeId && placeDetails?.[placeId]) || null
+    const types = details?.types || []
+    const resolvedType = primaryType || details?.primaryType || null
+    const fields = {
+      primaryType: resolvedType,
+      category: resolvedType || types.length > 0 ? placeCategory(resolvedType, types) : null,
+      rating: typeof details?.rating === 'number' ? details.rating : null,
+      ratingCount: typeof details?.userRatingCount === 'number' ? details.userRatingCount : null,
+      types
+    }
+    if (key) byPlace.set(key, fields)
+    return fields
+  }
+
+  return visits.map(visit => {
+    const fields = enrich(visit.placeId, visit.primaryType)
+    return {
+      ...visit,
+      ...fields,
+      placeName: visit.placeName || placeDetails?.[visit.placeId]?.displayName || null
+    }
+  })
+}
+
+// Categories a question mentions by label or place type ("bars", "coffee shop", "museums")
+export function findCategoriesInText(text) {
+  const lower = text.toLowerCase()
+  return PLACE_CATEGORIES.filter(category =>
+    [category.label.toLowerCase(), ...category.types.map(type => type.replace(/_/g, ' '))]
+      .some(term => new RegExp(`\\b${term}(e?s)?\\b`).test(lower))
+  ).map(category => category.key)
+}
@@ -0,0 +1,239 @@
+import maplibregl from 'maplibre-gl'
+import { Deck } from '@deck.gl/core'
+import { TIME_GRADIENT } from './colors.js'
+import { findCountry } from './countries.js'
+import { escapeXml } from './exportData.js'
+
+// Print posters of the map. The current deck.gl layers and basemap are re-rendered offscreen
+// at the poster's pixel size, then a title block with the date range, the timeline legend and
+// the Stats / CountryStats numbers is added below. SVG posters embed the map as an image and
+// draw the title block as vector shapes and text.
+
+export const PAPER_SIZES = {
+  A4: [210, 297],
+  A3: [297, 420],
+  A2: [420, 594],
+  A1: [594, 841]
+}
+
+// Most GPUs cap canvases and renderbuffers at 16384 px a side
+const MAX_CANVAS = 16384
+const LOAD_TIMEOUT_MS = 60000
+
+export function posterSize(paper, orientation, dpi) {
+  const [short, long] = PAPER_SIZES[paper]
+  const px = (mm) => Math.round((mm / 25.4) * dpi)
+  return orientation === 'landscape'
+    ? { width: px(long), height: px(short) }
+    : { width: px(short), height: px(long) }
+}
+
+// Sizes below are in thousandths of the poster's shorter side, so A4 and A1 look alike
+export function posterLayout({ width, height }) {
+  const unit = Math.min(width, height) / 1000
+  const footer = Math.round(260 * unit)
+  return { width, height, unit, map: { width, height: height - footer }, footerY: height - footer }
+}
+
+const withTimeout = (promise, message) => Promise.race([
+  promise,
+  new Promise((_, reject) => setTimeout(() => reject(new Error(message)), LOAD_TIMEOUT_MS))
+])
+
+// Render the layers over the basemap at width × height device pixels. The offscreen map covers
+// at least the on-screen view (viewport, in CSS pixels) at the same zoom, and is scaled up with
+// a pixel ratio so line widths and point sizes keep their on-screen proportions.
+export async function renderMapImage({ layers, viewState, mapStyle, viewport, width, height }) {
+  if (width > MAX_CANVAS || height > MAX_CANVAS) {
+    throw new Error(`${width} × ${height} px is larger than the GPU can render; pick a smaller size or resolution`)
+  }
+  const aspect = width / height
+  const cssWidth = Math.max(viewport.width, viewport.height * aspect)
+  const cssHeight = cssWidth / aspect
+  const pixelRatio = width / cssWidth
+  const view = {
+    longitude: viewState.longitude,
+    latitude: viewState.latitude,
+    zoom: viewState.zoom,
+    pitch: viewState.pitch,
+    bearing: viewState.bearing
+  }
+
+  const container = document.createElement('div')
+  Object.assign(container.style, {
+    position: 'fixed',
+    left: '-100000px',
+    top: '0',
+    width: `${cssWidth}px`,
+    height: `${cssHeight}px`,
+    pointerEvents: 'none'
+  })
+  document.body.appendChild(container)
+
+  let map = null
+  let deck = null
+  try {
+    map = new maplibregl.Map({
+      container,
+      style: mapStyle,
+      center: [view.longitude, view.latitude],
+      zoom: view.zoom,
+      pitch: view.pitch,
+      bearing: view.bearing,
+      interactive: false,
+      attributionControl: false,
+      fadeDuration: 0,
+      preserveDrawingBuffer: true,
+      pixelRatio,
+      maxCanvasSize: [MAX_CANVAS, MAX_CANVAS]
+    })
+    await withTimeout(new Promise(resolve => map.once('idle', resolve)), 'The basemap took too long to load')
+
+    deck = await withTimeout(new Promise((resolve, reject) => {
+      const instance = new Deck({
+        parent: container,
+        width: cssWidth,
+        height: cssHeight,
+        useDevicePixels: pixelRatio,
+        viewState: view,
+        controller: false,
+        // Layer instances belong to the on-screen Deck; clones share their props and data
+        layers: layers.map(layer => layer.clone({})),
+        onAfterRender: () => resolve(instance),
+        onError: reject
+      })
+    }), 'The map layers took too long to render')
+
+    const image = document.createElement('canvas')
+    image.width = width
+    image.height = height
+    const ctx = image.getContext('2d')
+    ctx.drawImage(map.getCanvas(), 0, 0, width, height)
+    ctx.drawImage(deck.getCanvas(), 0, 0, width, height)
+    return image
+  } finally {
+    deck?.finalize()
+    map?.remove()
+    container.remove()
+  }
+}
+
+const formatDate = (timestamp) => new Date(timestamp * 1000).toLocaleDateString('en-US', {
+  month: 'short', day: 'numeric', year: 'numeric'
+})
+
+// The title block as a list of shapes, drawn by drawPoster onto a canvas or by posterSVG
+// into markup, so the PNG and SVG posters come out the same.
+// content: { title, range: [start, end] (unix s), years: [first, last], stats, countries }
+function titleBlock(layout, { title, range, years, stats, countries }) {
+  const style = getComputedStyle(document.documentElement)
+  const css = (name, fallback) => style.getPropertyValue(name).trim() || fallback
+  const display = css('--font-display', 'sans-serif')
+  const mono = css('--font-mono', 'monospace')
+  const bright = css('--text-bright', '#f0f9ff')
+  const muted = css('--text-muted', '#64748b')
+  const cyan = css('--neon-cyan', '#00d4ff')
+
+  const { width, unit: u, footerY: y } = layout
+  const pad = 50 * u
+  const text = (value, x, top, size, { font = display, weight = 400, color = bright, align = 'left' } = {}) =>
+    ({ type: 'text', text: String(value), x, y: top, size: size * u, font, weight, color, align })
+
+  const elements = [
+    { type: 'rect', x: 0, y, width, height: layout.height - y, fill: css('--bg-void', '#050810') },
+    { type: 'gradient', x: 0, y, width, height: 3 * u, stops: TIME_GRADIENT },
+    text(title, pad, y + 85 * u, 54, { weight: 700 }),
+    text(`${formatDate(range[0])} — ${formatDate(range[1])}`, width - pad, y + 85 * u, 20, { font: mono, color: cyan, align: 'right' }),
+    { type: 'rect', x: pad, y: y + 112 * u, width: width - 2 * pad, height: Math.max(1, u), fill: 'rgba(255, 255, 255, 0.08)' }
+  ]
+
+  // Timeline legend on the right, summary numbers across the rest
+  const legendWidth = 220 * u
+  const legendX = width - pad - legendWidth
+  elements.push(
+    text('TIMELINE', legendX, y + 150 * u, 12, { color: muted, weight: 600 }),
+    { type: 'gradient', x: legendX, y: y + 162 * u, width: legendWidth, height: 8 * u, stops: TIME_GRADIENT },
+    text(years[0], legendX, y + 192 * u, 14, { font: mono, color: TIME_GRADIENT[0][1] }),
+    text(years[1], legendX + legendWidth, y + 192 * u, 14, { font: mono, color: TIME_GRADIENT[TIME_GRADIENT.length - 1][1], align: 'right' })
+  )
+
+  const numbers = stats
+    ? [
+        [stats.places, 'Places'],
+        [stats.cities, 'Cities'],
+        [countries.length, 'Countries'],
+        [stats.kilometers, 'km'],
+        [stats.hours, 'Hours']
+      ]
+    : []
+  const column = (legendX - pad - 30 * u) / Math.max(numbers.length, 1)
+  numbers.forEach(([value, label], i) => {
+    const x = pad + column * (i + 0.5)
+    elements.push(
+      text(value.toLocaleString(), x, y + 170 * u, 30, { font: mono, weight: 700, align: 'center' }),
+      text(label.toUpperCase(), x, y + 195 * u, 12, { color: muted, weight: 600, align: 'center' })
+    )
+  })
+
+  const topCountries = [...countries].sort((a, b) => b.days - a.days).slice(0, 6).map(({ country, days }) =>
+    `${findCountry(country)?.flag || '🏳️'} ${country} ${days}d`
+  )
+  if (topCountries.length > 0) {
+    elements.push(text(topCountries.join('   ·   '), pad, y + 235 * u, 15, { color: css('--text-primary', '#cbd5e1') }))
+  }
+  return elements
+}
+
+const SVG_ANCHOR = { left: 'start', center: 'middle', right: 'end' }
+
+export function drawPoster({ mapImage, layout, content }) {
+  const canvas = document.createElement('canvas')
+  canvas.width = layout.width
+  canvas.height = layout.height
+  const ctx = canvas.getContext('2d')
+  ctx.drawImage(mapImage, 0, 0, layout.map.width, layout.map.height)
+
+  for (const el of titleBlock(layout, content)) {
+    if (el.type === 'rect') {
+      ctx.fillStyle = el.fill
+      ctx.fillRect(el.x, el.y, el.width, el.height)
+    } else if (el.type === 'gradient') {
+      const gradient = ctx.createLinearGradient(el.x, 0, el.x + el.width, 0)
+      el.stops.forEach(([offset, color]) => gradient.addColorStop(offset, color))
+      ctx.fillStyle = gradient
+      ctx.fillRect(el.x, el.y, el.width, el.height)
+    } else {
+      ctx.font = `${el.weight} ${el.size}px ${el.font}`
+      ctx.fillStyle = el.color
+      ctx.textAlign = el.align
+      ctx.fillText(el.text, el.x, el.y)
+    }
+  }
+  return canvas
+}
+
+export function posterSVG({ mapImage, layout, content }) {
+  const defs = []
+  const shapes = titleBlock(layout, content).map(el => {
+    if (el.type === 'rect') {
+      return `<rect x="${el.x}" y="${el.y}" width="${el.width}" height="${el.height}" fill="${el.fill}"/>`
+    }
+    if (el.type === 'gradient') {
+      const id = `timeline-${defs.length}`
+      defs.push(
+        `<linearGradient id="${id}">${el.stops.map(([offset, color]) => `<stop offset="${offset}" stop-color="${color}"/>`).join('')}</linearGradient>`
+      )
+      return `<rect x="${el.x}" y="${el.y}" width="${el.width}" height="${el.height}" fill="url(#${id})"/>`
+    }
+    return `<text x="${el.x}" y="${el.y}" font-family="${escapeXml(el.font)}" font-size="${el.size}" font-weight="${el.weight}" fill="${el.color}" text-anchor="${SVG_ANCHOR[el.align]}">${escapeXml(el.text)}</text>`
+  })
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}">`,
+    `<defs>${defs.join('')}</defs>`,
+    `<image href="${mapImage.toDataURL('image/png')}" x="0" y="0" width="${layout.map.width}" height="${layout.map.height}" preserveAspectRatio="none"/>`,
+    ...shapes,
+    '</svg>',
+    ''
+  ].join('\n')
+}
@@ -0,0 +1,344 @@
+import { haversineDistance } from './geo.js'
+import { visitKey, placeKey } from './edits.js'
+
+// Privacy zones for demos and recordings. Visits inside a zone are hidden, jittered or
+// snapped to a coarse grid and lose their place name and address; trips are cut where they
+// cross a zone boundary. App applies this before building the visit store, so every layer,
+// panel, export and the ChatBot only ever see the protected data.
+
+export const PRIVACY_MODES = {
+  hide: 'Hide',
+  jitter: 'Jitter',
+  snap: 'Snap to grid'
+}
+
+export const DEFAULT_PRIVACY = {
+  enabled: false,
+  mode: 'hide',
+  autoHomeWork: true,
+  autoRadius: 500, // meters
+  zones: []
+}
+
+const HOME_WORK = {
+  Home: 'Home',
+  'Inferred Home': 'Home',
+  Work: 'Work',
+  'Inferred Work': 'Work'
+}
+
+// ~2 km cells, coarse enough that a snapped point says "this neighbourhood" at most
+const SNAP_DEGREES = 0.02
+const MIN_JITTER_METERS = 300
+const STORAGE_KEY = 'odyssey-privacy'
+
+const distanceMeters = (a, b) => haversineDistance(a, b) * 1000
+
+// Even-odd ray cast over one ring of [lng, lat]
+function inPolygon(ring, [lng, lat]) {
+  let inside = false
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i]
+    const [xj, yj] = ring[j]
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside
+  }
+  return inside
+}
+
+// [minLng, minLat, maxLng, maxLat] per zone, so most points are rejected without trigonometry
+const bboxes = new WeakMap()
+function bboxOf(zone) {
+  if (!bboxes.has(zone)) {
+    if (zone.shape === 'polygon') {
+      const lngs = zone.coordinates.map(([lng]) => lng)
+      const lats = zone.coordinates.map(([, lat]) => lat)
+      bboxes.set(zone, [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)])
+    } else {
+      const dLat = zone.radius / 111320
+      const dLng = zone.radius / (111320 * Math.max(0.01, Math.cos(zone.center[1] * Math.PI / 180)))
+      bboxes.set(zone, [zone.center[0] - dLng, zone.center[1] - dLat, zone.center[0] + dLng, zone.center[1] + dLat])
+    }
+  }
+  return bboxes.get(zone)
+}
+
+export function zoneContains(zone, point) {
+  const [minLng, minLat, maxLng, maxLat] = bboxOf(zone)
+  if (point[0] < minLng || point[0] > maxLng || point[1] < minLat || point[1] > maxLat) return false
+  if (zone.shape === 'polygon') return zone.coordinates.length >= 3 && inPolygon(zone.coordinates, point)
+  return distanceMeters(zone.center, point) <= zone.radius
+}
+
+// Rough size of a zone in meters, used to scale jitter
+const zoneRadius = (zone) => {
+  if (zone.shape !== 'polygon') return zone.radius
+  const [minLng, minLat, maxLng, maxLat] = bboxOf(zone)
+  return distanceMeters([minLng, minLat], [maxLng, maxLat]) / 2
+}
+
+// Circles around places tagged Home/Work, one per place, merging places closer than the radius
+export function detectHomeWorkZones(visits, radius) {
+  const clusters = []
+  for (const visit of visits) {
+    const label = HOME_WORK[visit.semanticType]
+    if (!label) continue
+    const cluster = clusters.find(c => c.label === label && distanceMeters(c.center, visit.coordinates) <= radius)
+    if (cluster) {
+      cluster.count++
+      cluster.sum[0] += visit.coordinates[0]
+      cluster.sum[1] += visit.coordinates[1]
+      cluster.center = [cluster.sum[0] / cluster.count, cluster.sum[1] / cluster.count]
+    } else {
+      clusters.push({ label, count: 1, sum: [...visit.coordinates], center: visit.coordinates })
+    }
+  }
+  return clusters.map((cluster, i) => ({
+    id: `auto-${i}`,
+    name: cluster.label,
+    shape: 'circle',
+    center: cluster.center,
+    radius,
+    auto: true
+  }))
+}
+
+// Zones in force for these settings, given the (unprotected) visits to look for Home/Work in
+export function activeZones(settings, visits) {
+  if (!settings.enabled) return []
+  return settings.autoHomeWork
+    ? settings.zones.concat(detectHomeWorkZones(visits, settings.autoRadius))
+    : settings.zones
+}
+
+// Deterministic per visit and zone, so jittered points don't move between renders or reloads
+function hash(text) {
+  let h = 2166136261
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i)
+    h = Math.imul(h, 16777619)
+  }
+  return (h >>> 0) / 4294967296
+}
+
+function move(point, meters, angle) {
+  const dLat = (meters * Math.cos(angle)) / 111320
+  const dLng = (meters * Math.sin(angle)) / (111320 * Math.cos(point[1] * Math.PI / 180))
+  return [point[0] + dLng, point[1] + dLat]
+}
+
+function jitter(point, meters, seed) {
+  return move(point, Math.sqrt(hash(`${seed}d`)) * meters, hash(`${seed}a`) * 2 * Math.PI)
+}
+
+const zoneCenter = (zone) => {
+  if (zone.shape !== 'polygon') return zone.center
+  const [minLng, minLat, maxLng, maxLat] = bboxOf(zone)
+  return [(minLng + maxLng) / 2, (minLat + maxLat) / 2]
+}
+
+// The one spot a zone's visits are scattered around: its center moved half to all of its
+// radius in a direction only the salt decides. Jittering each visit around its own position
+// would let the average of many Home visits give the house away; this way it gives this spot.
+function zoneAnchor(zone, salt) {
+  const radius = Math.max(zoneRadius(zone), MIN_JITTER_METERS)
+  const seed = `${salt}|${zone.id}`
+  return move(zoneCenter(zone), radius * (0.5 + hash(`${seed}d`) / 2), hash(`${seed}a`) * 2 * Math.PI)
+}
+
+// Random per browser and kept with the settings, so anchors can't be worked out from the code
+const newSalt = () => Array.from(crypto.getRandomValues(new Uint32Array(2)), n => n.toString(36)).join('')
+
+const snap = ([lng, lat]) => [
+  (Math.floor(lng / SNAP_DEGREES) + 0.5) * SNAP_DEGREES,
+  (Math.floor(lat / SNAP_DEGREES) + 0.5) * SNAP_DEGREES
+]
+
+// Visits with zones applied. Protected visits keep their time, duration and type but not
+// their identity: every visit in a zone lands on or around one spot for the whole zone (or
+// the visit goes) and name, address and place ID are replaced by the zone's name. They
+// remember their original visit and place keys so local edits still match.
+export function applyPrivacy(visits, zones, mode, salt = '') {
+  if (zones.length === 0) return visits
+  const anchors = new Map()
+  const anchorOf = (zone) => {
+    if (!anchors.has(zone)) anchors.set(zone, zoneAnchor(zone, salt))
+    return anchors.get(zone)
+  }
+  const result = []
+  for (const visit of visits) {
+    const zone = zones.find(z => zoneContains(z, visit.coordinates))
+    if (!zone) {
+      result.push(visit)
+      continue
+    }
+    if (mode === 'hide') continue
+    const key = visitKey(visit)
+    result.push({
+      ...visit,
+      coordinates: mode === 'snap'
+        ? snap(anchorOf(zone))
+        : jitter(anchorOf(zone), Math.max(zoneRadius(zone), MIN_JITTER_METERS) / 2, key),
+      placeId: null,
+      placeName: `${zone.name || 'Private'} (private)`,
+      address: null,
+      types: [],
+      rating: null,
+      ratingCount: null,
+      originalKey: key,
+      originalPlaceKey: placeKey(visit),
+      private: true
+    })
+  }
+  return result
+}
+
+// Point where a segment from outside → inside crosses the zone edge, found by bisection
+function boundaryPoint(zone, outside, inside) {
+  let a = outside
+  let b = inside
+  for (let i = 0; i < 16; i++) {
+    const mid = {
+      coordinates: [(a.coordinates[0] + b.coordinates[0]) / 2, (a.coordinates[1] + b.coordinates[1]) / 2],
+      timestamp: (a.timestamp + b.timestamp) / 2
+    }
+    if (zoneContains(zone, mid.coordinates)) b = mid
+    else a = mid
+  }
+  return a
+}
+
+// The point a fraction t of the way from a to b
+const along = (a, b, t) => ({
+  coordinates: [a.coordinates[0] + (b.coordinates[0] - a.coordinates[0]) * t, a.coordinates[1] + (b.coordinates[1] - a.coordinates[1]) * t],
+  timestamp: a.timestamp + (b.timestamp - a.timestamp) * t
+})
+
+// Where a → b enters and leaves a circle, as fractions of the way along, in local meters
+function circleSpan(zone, a, b) {
+  const ky = 111320
+  const kx = ky * Math.cos(zone.center[1] * Math.PI / 180)
+  const ax = (a[0] - zone.center[0]) * kx
+  const ay = (a[1] - zone.center[1]) * ky
+  const dx = (b[0] - a[0]) * kx
+  const dy = (b[1] - a[1]) * ky
+  const qa = dx * dx + dy * dy
+  const qb = 2 * (ax * dx + ay * dy)
+  const disc = qb * qb - 4 * qa * (ax * ax + ay * ay - zone.radius * zone.radius)
+  if (qa === 0 || disc <= 0) return null
+  const enter = (-qb - Math.sqrt(disc)) / (2 * qa)
+  const exit = (-qb + Math.sqrt(disc)) / (2 * qa)
+  return exit <= 0 || enter >= 1 ? null : [Math.max(0, enter), Math.min(1, exit)]
+}
+
+// Fractions along a → b where it crosses a polygon's edges, in order; in degrees, like inPolygon
+function edgeCrossings(ring, a, b) {
+  const hits = []
+  const dx = b[0] - a[0]
+  const dy = b[1] - a[1]
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const ex = ring[i][0] - ring[j][0]
+    const ey = ring[i][1] - ring[j][1]
+    const denom = dx * ey - dy * ex
+    if (denom === 0) continue
+    const px = ring[j][0] - a[0]
+    const py = ring[j][1] - a[1]
+    const t = (px * ey - py * ex) / denom
+    const u = (px * dy - py * dx) / denom
+    // Half-open on the edge so a path through a corner counts once
+    if (t > 0 && t < 1 && u >= 0 && u < 1) hits.push(t)
+  }
+  return hits.sort((x, y) => x - y)
+}
+
+// Stretches of a segment whose ends are both outside every zone that still pass through
+// one: [enter, exit] fractions of the way along, in order and merged where they overlap
+function crossings(zones, a, b) {
+  const spans = []
+  for (const zone of zones) {
+    const [minLng, minLat, maxLng, maxLat] = bboxOf(zone)
+    if (Math.max(a[0], b[0]) < minLng || Math.min(a[0], b[0]) > maxLng) continue
+    if (Math.max(a[1], b[1]) < minLat || Math.min(a[1], b[1]) > maxLat) continue
+    if (zone.shape === 'polygon') {
+      if (zone.coordinates.length < 3) continue
+      const hits = edgeCrossings(zone.coordinates, a, b)
+      for (let i = 0; i + 1 < hits.length; i += 2) spans.push([hits[i], hits[i + 1]])
+    } else {
+      const span = circleSpan(zone, a, b)
+      if (span) spans.push(span)
+    }
+  }
+  spans.sort((x, y) => x[0] - y[0])
+  const merged = []
+  for (const span of spans) {
+    const last = merged[merged.length - 1]
+    if (last && span[0] <= last[1]) last[1] = Math.max(last[1], span[1])
+    else merged.push([...span])
+  }
+  return merged
+}
+
+// Trips cut at zone boundaries: the parts inside a zone are dropped and each part outside
+// becomes its own trip, ending exactly at the edge instead of at the front door. That
+// includes straight segments drawn across a zone between two recorded points outside it.
+export function trimTrips(trips, zones) {
+  if (zones.length === 0) return trips
+  const result = []
+  for (const trip of trips) {
+    const path = trip.path || []
+    const zoneOf = path.map(point => zones.find(z => zoneContains(z, point.coordinates)) || null)
+    const crossesZone = (point, i) => i > 0 && !zoneOf[i] && !zoneOf[i - 1] &&
+      crossings(zones, path[i - 1].coordinates, point.coordinates).length > 0
+    if (zoneOf.every(zone => zone === null) && !path.some(crossesZone)) {
+      result.push(trip)
+      continue
+    }
+
+    let piece = []
+    const flush = () => {
+      if (piece.length >= 2) result.push({ ...trip, path: piece })
+      piece = []
+    }
+    path.forEach((point, i) => {
+      const zone = zoneOf[i]
+      const prevZone = i > 0 ? zoneOf[i - 1] : null
+      if (!zone) {
+        // Leaving a zone: start at its edge
+        if (i > 0 && prevZone) {
+          piece.push(boundaryPoint(prevZone, point, path[i - 1]))
+        } else if (i > 0) {
+          // Passing through a zone between two points: stop at one edge, resume at the other
+          for (const [enter, exit] of crossings(zones, path[i - 1].coordinates, point.coordinates)) {
+            piece.push(along(path[i - 1], point, enter))
+            flush()
+            piece.push(along(path[i - 1], point, exit))
+          }
+        }
+        piece.push(point)
+      } else if (i > 0 && !prevZone) {
+        // Entering a zone: stop at its edge
+        piece.push(boundaryPoint(zone, path[i - 1], point))
+        flush()
+      }
+    })
+    flush()
+  }
+  return result
+}
+
+// Settings persist in localStorage; zones are small and this is per-browser anyway
+export function loadPrivacySettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY))
+    return { ...DEFAULT_PRIVACY, salt: newSalt(), ...saved }
+  } catch {
+    return { ...DEFAULT_PRIVACY, salt: newSalt() }
+  }
+}
+
+export function savePrivacySettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings))
+  } catch (err) {
+    console.warn('Could not save privacy settings:', err)
+  }
+}
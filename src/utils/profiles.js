@@ -0,0 +1,91 @@
+import { haversineDistance } from './geo.js'
+
+// Several people's histories on one map. Every visit and trip belongs to one profile: the
+// `profile` an import was tagged with, or the default profile for data loaded from /data
+// and anything imported without one. Sources stay per export; a profile may have several.
+
+export const DEFAULT_PROFILE = 'Me'
+
+// One color per profile, picked to stay apart from each other on the dark basemap
+export const PROFILE_COLORS = [
+  [0, 212, 255],
+  [255, 60, 168],
+  [255, 170, 0],
+  [57, 255, 136],
+  [168, 110, 255],
+  [255, 96, 64],
+  [240, 240, 120],
+  [80, 160, 255]
+]
+
+// Two people crossed paths when their visits come this close in space and time
+const CROSSING_DISTANCE_KM = 0.2
+const CROSSING_WINDOW_SECONDS = 60 * 60
+
+export const profileOf = (record) => record.profile || DEFAULT_PROFILE
+
+// The default profile first, then by name, so colors don't shift as data streams in
+export const sortProfiles = (names) => [...names].sort((a, b) =>
+  (a === DEFAULT_PROFILE ? -1 : b === DEFAULT_PROFILE ? 1 : a.localeCompare(b))
+)
+
+export function profileColors(names) {
+  return new Map(sortProfiles(names).map((name, i) => [name, PROFILE_COLORS[i % PROFILE_COLORS.length]]))
+}
+
+export const cssColor = ([r, g, b], alpha = 1) => `rgba(${r}, ${g}, ${b}, ${alpha})`
+
+// Records grouped by profile, each group keeping the input order
+export function groupByProfile(records) {
+  const groups = new Map()
+  for (const record of records) {
+    const profile = profileOf(record)
+    if (!groups.has(profile)) groups.set(profile, [])
+    groups.get(profile).push(record)
+  }
+  return groups
+}
+
+const visitEnd = (visit) => visit.timestamp + Math.max(visit.durationMinutes || 0, 0) * 60
+const localDay = (timestamp) => new Date(timestamp * 1000).toDateString()
+
+// Places where two profiles were within CROSSING_DISTANCE_KM of each other with their visits
+// overlapping or at most CROSSING_WINDOW_SECONDS apart. sortedVisits must be in time order.
+// Each pair of people counts once per place and day, so a shared home doesn't repeat all night.
+//
+//   [{ coordinates, timestamp, profiles: [a, b], placeName }] in time order
+export function findCrossings(sortedVisits) {
+  const crossings = []
+  const seen = new Set()
+  // Positions of visits that can still meet the ones that come next
+  let active = []
+
+  sortedVisits.forEach((visit, i) => {
+    active = active.filter(j => visitEnd(sortedVisits[j]) + CROSSING_WINDOW_SECONDS >= visit.timestamp)
+    const profile = profileOf(visit)
+
+    for (const j of active) {
+      const other = sortedVisits[j]
+      const otherProfile = profileOf(other)
+      if (otherProfile === profile) continue
+      if (haversineDistance(other.coordinates, visit.coordinates) > CROSSING_DISTANCE_KM) continue
+
+      const profiles = [otherProfile, profile].sort()
+      const key = `${profiles.join('\n')}|${localDay(visit.timestamp)}|${other.placeId || other.coordinates.map(c => c.toFixed(3)).join(',')}`
+      if (seen.has(key)) continue
+      seen.add(key)
+      crossings.push({
+        coordinates: [
+          (other.coordinates[0] + visit.coordinates[0]) / 2,
+          (other.coordinates[1] + visit.coordinates[1]) / 2
+        ],
+        timestamp: visit.timestamp,
+        profiles,
+        placeName: other.placeName || visit.placeName || null
+      })
+    }
+    active.push(i)
+  })
+
+  return crossings
+}
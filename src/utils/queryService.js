@@ -0,0 +1,134 @@
+// Main-thread side of the query worker. Only one query is in flight at a time; while it
+// runs, newer queries replace the queued one on the same channel, so scrubbing never builds
+// a backlog and superseded requests resolve to null instead of rendering stale results.
+// Channels let independent views (the compare mode's second period) share the worker
+// without superseding each other. A query that throws in the worker, or a worker that
+// crashes, rejects its request and the queue carries on.
+
+export function createQueryService() {
+  const worker = new Worker(new URL('../workers/query.worker.js', import.meta.url), { type: 'module' })
+  let version = 0
+  let visits = []
+  let trips = []
+  let arcs = []
+  // What setData was given for arcs: an array, or null for arcs the worker builds from the visits
+  let arcsSource = []
+  // The load whose worker-built arcs are the current ones
+  let arcsVersion = 0
+  let countries
+  let nextId = 0
+  let inFlight = null
+  // channel → the latest query waiting for the worker
+  const queued = new Map()
+
+  const send = () => {
+    if (inFlight || queued.size === 0) return
+    const [channel, request] = queued.entries().next().value
+    queued.delete(channel)
+    inFlight = request
+    worker.postMessage({ type: 'query', id: inFlight.id, ...inFlight.params })
+  }
+
+  const fail = (error) => {
+    const request = inFlight
+    inFlight = null
+    request?.reject(error)
+    send()
+  }
+
+  worker.onerror = (e) => {
+    e.preventDefault()
+    fail(new Error(e.message || 'Query worker failed'))
+  }
+  worker.onmessageerror = () => fail(new Error('Query result could not be read'))
+
+  worker.onmessage = (e) => {
+    const result = e.data
+    // Arcs the worker built arrive before any query result that indexes into them
+    if (result.type === 'arcs') {
+      if (result.version === arcsVersion) arcs = result.arcs
+      return
+    }
+    if (result.error) {
+      if (inFlight?.id === result.id) fail(new Error(result.error))
+      return
+    }
+    const request = inFlight
+    inFlight = null
+    if (request && request.id === result.id) {
+      // Results for an older dataset index into arrays that are gone
+      request.resolve(result.version === version
+        ? {
+            ...result,
+            visits: visits.slice(result.visitRange[0], result.visitRange[1]),
+            trips: Array.from(result.tripIndices, i => trips[i]),
+            arcs: Array.from(result.arcSelection.indices, (i, k) => ({
+              source: arcs[i].source,
+              target: arcs[i].target,
+              profile: arcs[i].profile,
+              count: result.arcSelection.counts[k],
+              timestamp: result.arcSelection.timestamps[k]
+            }))
+          }
+        : null)
+    }
+    send()
+  }
+
+  return {
+    // Visits must be the visit store's sorted array; results come back as slices of it.
+    // nextArcs = null has the worker build arcs from the visits (for a filtered selection).
+    // Only what changed since the last call is posted to the worker.
+    setData(nextVisits = [], nextTrips = [], nextArcs = [], nextCountries = null) {
+      version++
+      const changes = {
+        ...(nextVisits !== visits && { visits: nextVisits }),
+        ...(nextTrips !== trips && { trips: nextTrips }),
+        ...(nextArcs !== arcsSource && { arcs: nextArcs }),
+        ...(nextCountries !== countries && { countries: nextCountries })
+      }
+      visits = nextVisits
+      trips = nextTrips
+      arcsSource = nextArcs
+      if (nextArcs) {
+        arcs = nextArcs
+      } else if (changes.visits || changes.arcs !== undefined) {
+        arcs = []
+        arcsVersion = version
+      }
+      countries = nextCountries
+      worker.postMessage({ type: 'load', version, ...changes })
+    },
+
+    // params: { range: [start, end] in unix seconds, tripRange?, include: { grid, arcs, places } }
+    query(params, channel = 'main') {
+      return new Promise((resolve, reject) => {
+        queued.get(channel)?.resolve(null)
+        queued.set(channel, { id: ++nextId, params, resolve, reject })
+        send()
+      })
+    },
+
+    terminate() {
+      queued.forEach(request => request.resolve(null))
+      inFlight?.resolve(null)
+      queued.clear()
+      inFlight = null
+      worker.terminate()
+    }
+  }
+}
+
+// What components render before the first answer arrives
+export const EMPTY_QUERY_RESULT = {
+  visits: [],
+  trips: [],
+  grid: null,
+  arcs: [],
+  countryDays: {},
+  countries: [],
+  stats: null,
+  profiles: [],
+  crossings: [],
+  places: null
+}
@@ -0,0 +1,262 @@
+import { freezeClock, advanceClock, releaseClock } from './clock.js'
+import { createWebmWriter } from './webm.js'
+import { createZip } from './zip.js'
+
+// Records the map as it animates: the basemap and deck.gl canvases are flattened into one
+// frame with the TimeDisplay date drawn on top, then encoded to WebM and/or saved as PNGs.
+
+const CODECS = [
+  { config: 'vp09.00.10.08', id: 'V_VP9' },
+  { config: 'vp8', id: 'V_VP8' }
+]
+const KEYFRAME_SECONDS = 2
+// Bits per pixel per frame; plenty for flat map colors and thin glowing lines
+const BITS_PER_PIXEL = 0.12
+// Longest to wait on a worker query before capturing the frame anyway
+const SETTLE_TIMEOUT_MS = 2000
+// PNG frames zipped in memory stop here, well short of what a tab can hold
+const MAX_ZIP_BYTES = 1024 * 1024 * 1024
+
+export const canRecordVideo = () => typeof window !== 'undefined' && 'VideoEncoder' in window
+
+const nextFrame = () => new Promise(resolve => requestAnimationFrame(() => resolve()))
+
+const toBlob = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not capture frame'))), 'image/png')
+})
+
+async function pickCodec(width, height, fps) {
+  for (const codec of CODECS) {
+    const config = {
+      codec: codec.config,
+      width,
+      height,
+      framerate: fps,
+      bitrate: Math.round(width * height * fps * BITS_PER_PIXEL)
+    }
+    const { supported } = await VideoEncoder.isConfigSupported(config)
+    if (supported) return { config, id: codec.id }
+  }
+  return null
+}
+
+// PNG frames go straight into a folder the user picks where the browser allows it (a minute
+// of frames is gigabytes), otherwise into a ZIP built in memory that stops taking frames at
+// MAX_ZIP_BYTES. add resolves false once a frame no longer fits.
+async function openFrameSink() {
+  if (window.showDirectoryPicker) {
+    const directory = await window.showDirectoryPicker({ mode: 'readwrite' })
+    return {
+      async add(name, blob) {
+        const file = await directory.getFileHandle(name, { create: true })
+        const writable = await file.createWritable()
+        await writable.write(blob)
+        await writable.close()
+        return true
+      },
+      finish: () => null
+    }
+  }
+  const zip = createZip()
+  return {
+    async add(name, blob) {
+      const nameLength = new TextEncoder().encode(name).length
+      if (zip.size + blob.size > MAX_ZIP_BYTES || !zip.fits(nameLength, blob.size)) return false
+      zip.add(name, new Uint8Array(await blob.arrayBuffer()))
+      return true
+    },
+    finish: () => zip.finish()
+  }
+}
+
+// Wait for the animation loops to run at the new clock time, for the query worker to answer
+// and for deck.gl to draw the result
+async function settle(isSettled) {
+  await nextFrame()
+  await nextFrame()
+  const start = performance.now()
+  while (!isSettled() && performance.now() - start < SETTLE_TIMEOUT_MS) await nextFrame()
+  await nextFrame()
+  await nextFrame()
+}
+
+// Basemap first, then deck.gl on top, cropped around the center when the aspect ratios differ
+export function drawMap(ctx, container, width, height) {
+  const canvases = Array.from(container.querySelectorAll('canvas'))
+    .sort((a, b) => Number(b.classList.contains('maplibregl-canvas')) - Number(a.classList.contains('maplibregl-canvas')))
+  ctx.fillStyle = '#000'
+  ctx.fillRect(0, 0, width, height)
+  for (const canvas of canvases) {
+    const scale = Math.max(width / canvas.width, height / canvas.height)
+    const cropWidth = width / scale
+    const cropHeight = height / scale
+    ctx.drawImage(
+      canvas,
+      (canvas.width - cropWidth) / 2, (canvas.height - cropHeight) / 2, cropWidth, cropHeight,
+      0, 0, width, height
+    )
+  }
+}
+
+// The TimeDisplay panel, redrawn on the canvas: DOM overlays aren't part of the map canvases
+function drawTimeOverlay(ctx, date, width, height, scale) {
+  const style = getComputedStyle(document.documentElement)
+  const css = (name, fallback) => style.getPropertyValue(name).trim() || fallback
+  const display = css('--font-display', 'sans-serif')
+  const mono = css('--font-mono', 'monospace')
+  const cyan = css('--neon-cyan', '#00d4ff')
+  const pink = css('--neon-pink', '#ff3ca8')
+
+  const panelWidth = 200 * scale
+  const panelHeight = 84 * scale
+  const x = (width - panelWidth) / 2
+  const y = height - panelHeight - 24 * scale
+
+  ctx.save()
+  ctx.fillStyle = css('--bg-elevated', 'rgba(16, 24, 40, 0.85)')
+  ctx.strokeStyle = 'rgba(0, 212, 255, 0.2)'
+  ctx.lineWidth = scale
+  ctx.beginPath()
+  ctx.roundRect(x, y, panelWidth, panelHeight, 14 * scale)
+  ctx.fill()
+  ctx.stroke()
+
+  // The electric gradient bar along the top edge
+  ctx.save()
+  ctx.clip()
+  const bar = ctx.createLinearGradient(x, 0, x + panelWidth, 0)
+  bar.addColorStop(0, cyan)
+  bar.addColorStop(0.5, css('--neon-blue', '#3b82f6'))
+  bar.addColorStop(1, css('--neon-purple', '#9333ea'))
+  ctx.fillStyle = bar
+  ctx.fillRect(x, y, panelWidth, 2 * scale)
+  ctx.restore()
+
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'alphabetic'
+  ctx.fillStyle = css('--text-muted', '#64748b')
+  ctx.font = `600 ${8 * scale}px ${display}`
+  ctx.fillText('CURRENT POSITION', width / 2, y + 20 * scale)
+
+  // Month, day and year share a baseline and are centered as a group
+  const parts = [
+    { text: date.toLocaleDateString('en-US', { month: 'short' }).toUpperCase(), font: `600 ${14 * scale}px ${display}`, color: cyan },
+    { text: String(date.getDate()), font: `800 ${32 * scale}px ${mono}`, color: css('--text-bright', '#f0f9ff') },
+    { text: String(date.getFullYear()), font: `600 ${14 * scale}px ${mono}`, color: pink }
+  ]
+  const gap = 6 * scale
+  ctx.textAlign = 'left'
+  const widths = parts.map(part => {
+    ctx.font = part.font
+    return ctx.measureText(part.text).width
+  })
+  let cursor = width / 2 - (widths.reduce((a, b) => a + b, 0) + gap * (parts.length - 1)) / 2
+  parts.forEach((part, i) => {
+    ctx.font = part.font
+    ctx.fillStyle = part.color
+    ctx.fillText(part.text, cursor, y + 54 * scale)
+    cursor += widths[i] + gap
+  })
+
+  ctx.textAlign = 'center'
+  ctx.fillStyle = css('--text-primary', '#cbd5e1')
+  ctx.font = `${10 * scale}px ${display}`
+  ctx.fillText(
+    date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' }),
+    width / 2,
+    y + 72 * scale
+  )
+  ctx.restore()
+}
+
+// Record durationMs of animation at fps. The animation clock is frozen and stepped one frame
+// at a time, so the output runs at exactly fps however slowly frames render. onStart runs
+// once the clock is frozen, to (re)start the animation being recorded. When the PNG frames
+// outgrow an in-memory ZIP, result.pngFrames says how many were kept; with no video to go on
+// recording, it ends there.
+export async function recordAnimation({
+  container,
+  fps,
+  durationMs,
+  video,
+  png,
+  getDate,
+  isSettled,
+  onStart,
+  onProgress,
+  signal
+}) {
+  // Before any other await: the folder picker needs the click that started the recording
+  const frameSink = png ? await openFrameSink() : null
+
+  const scale = window.devicePixelRatio || 1
+  // VP8/VP9 want even dimensions
+  const width = Math.round((container.clientWidth * scale) / 2) * 2
+  const height = Math.round((container.clientHeight * scale) / 2) * 2
+
+  let encoder = null
+  let writer = null
+  let encodeError = null
+  if (video) {
+    const codec = await pickCodec(width, height, fps)
+    if (!codec) throw new Error('This browser cannot encode WebM video')
+    writer = createWebmWriter({ width, height, codec: codec.id })
+    encoder = new VideoEncoder({
+      output: chunk => writer.addChunk(chunk),
+      error: err => { encodeError = err }
+    })
+    encoder.configure(codec.config)
+  }
+
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const ctx = canvas.getContext('2d')
+
+  const frameMs = 1000 / fps
+  const total = Math.round((durationMs / 1000) * fps)
+  let captured = 0
+  let pngFrames = null
+
+  freezeClock()
+  try {
+    onStart?.()
+    for (let i = 0; i < total && !signal?.aborted; i++) {
+      await settle(isSettled)
+      drawMap(ctx, container, width, height)
+      drawTimeOverlay(ctx, getDate(), width, height, scale)
+
+      if (encoder) {
+        const frame = new VideoFrame(canvas, {
+          timestamp: Math.round(i * frameMs * 1000),
+          duration: Math.round(frameMs * 1000)
+        })
+        encoder.encode(frame, { keyFrame: i % (fps * KEYFRAME_SECONDS) === 0 })
+        frame.close()
+        // Don't let encoded frames pile up faster than the encoder drains them
+        while (encoder.encodeQueueSize > 8) await nextFrame()
+      }
+      if (frameSink && pngFrames === null) {
+        const kept = await frameSink.add(`frame-${String(i).padStart(5, '0')}.png`, await toBlob(canvas))
+        if (!kept) pngFrames = i
+      }
+      if (encodeError) throw encodeError
+      if (pngFrames !== null && !encoder) break
+
+      captured++
+      onProgress?.(captured / total)
+      advanceClock(frameMs)
+    }
+
+    const result = { frames: captured, pngFrames }
+    if (encoder) {
+      await encoder.flush()
+      result.video = writer.finish(captured * frameMs)
+    }
+    if (frameSink) result.archive = await frameSink.finish()
+    return result
+  } finally {
+    releaseClock()
+    if (encoder?.state === 'configured') encoder.close()
+  }
+}
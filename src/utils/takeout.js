@@ -0,0 +1,306 @@
+import { haversineDistance, roundCoord, isValidCoordinate } from './geo.js'
+import { cityFromAddress } from './dataset.js'
+
+// Parsers for Google Takeout location history. Each parser returns { visits, trips }
+// in the shape App.jsx loads; buildDataset() adds arcs and metadata on top.
+
+// Takeout semantic types → the labels used in metadata.semanticTypes
+const SEMANTIC_TYPE_LABELS = {
+  TYPE_HOME: 'Home',
+  HOME: 'Home',
+  TYPE_WORK: 'Work',
+  WORK: 'Work',
+  INFERRED_HOME: 'Inferred Home',
+  INFERRED_WORK: 'Inferred Work',
+  TYPE_SEARCHED_ADDRESS: 'Searched Address',
+  SEARCHED_ADDRESS: 'Searched Address',
+  TYPE_ALIASED_LOCATION: 'Aliased Location',
+  ALIASED_LOCATION: 'Aliased Location'
+}
+
+// Stay-point detection for raw Records.json points
+const STAY_RADIUS_KM = 0.15
+const STAY_MIN_SECONDS = 10 * 60
+const TRIP_MAX_GAP_SECONDS = 30 * 60
+const MAX_ACCURACY_METERS = 200
+
+const semanticLabel = (type) => SEMANTIC_TYPE_LABELS[type] || 'Unknown'
+
+// Accepts ISO strings, millisecond strings/numbers and second numbers; returns unix seconds
+export function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null
+  if (typeof value === 'number') {
+    return Math.round(value > 1e11 ? value / 1000 : value)
+  }
+  if (/^\d+$/.test(value)) {
+    return Math.round(Number(value) / 1000)
+  }
+  const ms = Date.parse(value)
+  return Number.isNaN(ms) ? null : Math.round(ms / 1000)
+}
+
+// E7 integer pair → [lng, lat]
+function fromE7(lat, lng) {
+  if (lat === undefined || lng === undefined) return null
+  const coords = [roundCoord(lng / 1e7), roundCoord(lat / 1e7)]
+  return isValidCoordinate(coords) ? coords : null
+}
+
+// "43.6532°, -79.3832°" (Android) or "geo:43.6532,-79.3832" (iOS) → [lng, lat]
+function parseLatLng(value) {
+  if (!value) return null
+  const text = typeof value === 'string' ? value : value.latLng
+  if (!text) return null
+  const numbers = text.replace(/^geo:/, '').replace(/°/g, '').split(',').map(s => parseFloat(s))
+  if (numbers.length < 2) return null
+  const coords = [roundCoord(numbers[1]), roundCoord(numbers[0])]
+  return isValidCoordinate(coords) ? coords : null
+}
+
+function makeVisit({ coordinates, start, end, semanticType, placeId, placeName, address }) {
+  const duration = end && end > start ? end - start : 0
+  return {
+    coordinates,
+    timestamp: start,
+    durationMinutes: Math.round(duration / 60 * 10) / 10,
+    semanticType: semanticType || 'Unknown',
+    placeId: placeId || null,
+    placeName: placeName || null,
+    address: address || null,
+    city: cityFromAddress(address)
+  }
+}
+
+// Spread points without their own timestamps evenly across a segment's duration
+function timePath(coords, start, end) {
+  const span = Math.max(end - start, 0)
+  return coords.map((coordinates, i) => ({
+    coordinates,
+    timestamp: coords.length > 1 ? Math.round(start + span * i / (coords.length - 1)) : start
+  }))
+}
+
+// Legacy Records.json: raw GPS fixes, no places. Detect stays as visits and the
+// movement between them as trips.
+export function parseRecords(json) {
+  const points = []
+  for (const loc of json.locations || []) {
+    if (loc.accuracy && loc.accuracy > MAX_ACCURACY_METERS) continue
+    const coordinates = fromE7(loc.latitudeE7, loc.longitudeE7)
+    const timestamp = parseTime(loc.timestamp ?? loc.timestampMs)
+    if (!coordinates || timestamp === null) continue
+    points.push({ coordinates, timestamp })
+  }
+  points.sort((a, b) => a.timestamp - b.timestamp)
+
+  const visits = []
+  const trips = []
+  let moving = []
+
+  const flushTrip = () => {
+    if (moving.length >= 2) {
+      trips.push({ path: moving, activityType: 'UNKNOWN_ACTIVITY_TYPE' })
+    }
+    moving = []
+  }
+
+  let i = 0
+  while (i < points.length) {
+    // Grow a cluster while points stay within the stay radius of its anchor
+    const anchor = points[i]
+    let j = i + 1
+    while (j < points.length && haversineDistance(anchor.coordinates, points[j].coordinates) <= STAY_RADIUS_KM) {
+      j++
+    }
+    const last = points[j - 1]
+
+    if (last.timestamp - anchor.timestamp >= STAY_MIN_SECONDS) {
+      // A stay ends the current trip at the stay location
+      moving.push(anchor)
+      flushTrip()
+
+      const cluster = points.slice(i, j)
+      const centroid = [
+        roundCoord(cluster.reduce((sum, p) => sum + p.coordinates[0], 0) / cluster.length),
+        roundCoord(cluster.reduce((sum, p) => sum + p.coordinates[1], 0) / cluster.length)
+      ]
+      visits.push(makeVisit({ coordinates: centroid, start: anchor.timestamp, end: last.timestamp }))
+
+      moving = [last]
+      i = j
+    } else {
+      const prev = moving[moving.length - 1]
+      if (prev && anchor.timestamp - prev.timestamp > TRIP_MAX_GAP_SECONDS) flushTrip()
+      moving.push(anchor)
+      i++
+    }
+  }
+  flushTrip()
+
+  return { visits, trips }
+}
+
+// Semantic Location History/YYYY/YYYY_MONTH.json: placeVisit and activitySegment objects
+export function parseSemanticHistory(json) {
+  const visits = []
+  const trips = []
+
+  for (const item of json.timelineObjects || []) {
+    if (item.placeVisit) {
+      const { location = {}, duration = {} } = item.placeVisit
+      const coordinates = fromE7(location.latitudeE7, location.longitudeE7)
+      const start = parseTime(duration.startTimestamp ?? duration.startTimestampMs)
+      const end = parseTime(duration.endTimestamp ?? duration.endTimestampMs)
+      if (!coordinates || start === null) continue
+
+      visits.push(makeVisit({
+        coordinates,
+        start,
+        end,
+        semanticType: semanticLabel(location.semanticType),
+        placeId: location.placeId,
+        placeName: location.name,
+        address: location.address
+      }))
+    } else if (item.activitySegment) {
+      const segment = item.activitySegment
+      const start = parseTime(segment.duration?.startTimestamp ?? segment.duration?.startTimestampMs)
+      const end = parseTime(segment.duration?.endTimestamp ?? segment.duration?.endTimestampMs)
+      if (start === null) continue
+
+      // Prefer the timed raw path, then the snapped waypoints, then just the endpoints
+      let path = (segment.simplifiedRawPath?.points || [])
+        .map(p => ({
+          coordinates: fromE7(p.latE7, p.lngE7),
+          timestamp: parseTime(p.timestamp ?? p.timestampMs)
+        }))
+        .filter(p => p.coordinates && p.timestamp !== null)
+
+      if (path.length < 2) {
+        const startCoords = fromE7(segment.startLocation?.latitudeE7, segment.startLocation?.longitudeE7)
+        const endCoords = fromE7(segment.endLocation?.latitudeE7, segment.endLocation?.longitudeE7)
+        const waypoints = (segment.waypointPath?.waypoints || [])
+          .map(w => fromE7(w.latE7, w.lngE7))
+          .filter(Boolean)
+        const coords = [startCoords, ...waypoints, endCoords].filter(Boolean)
+        path = timePath(coords, start, end ?? start)
+      }
+
+      if (path.length >= 2) {
+        trips.push({
+          path: path.sort((a, b) => a.timestamp - b.timestamp),
+          activityType: segment.activityType || 'UNKNOWN_ACTIVITY_TYPE'
+        })
+      }
+    }
+  }
+
+  return { visits, trips }
+}
+
+// On-device Timeline.json (Android: { semanticSegments }, iOS: a bare array of segments)
+export function parseTimeline(json) {
+  const segments = Array.isArray(json) ? json : json.semanticSegments || []
+  const visits = []
+  const activities = []
+  const pathPoints = []
+
+  for (const segment of segments) {
+    const start = parseTime(segment.startTime)
+    const end = parseTime(segment.endTime)
+    if (start === null) continue
+
+    if (segment.visit) {
+      // Child visits (hierarchyLevel > 0) repeat time already covered by their parent
+      if (Number(segment.visit.hierarchyLevel) > 0) continue
+      const candidate = segment.visit.topCandidate || {}
+      const coordinates = parseLatLng(candidate.placeLocation)
+      if (!coordinates) continue
+
+      visits.push(makeVisit({
+        coordinates,
+        start,
+        end,
+        semanticType: semanticLabel(candidate.semanticType),
+        placeId: candidate.placeId || candidate.placeID
+      }))
+    } else if (segment.activity) {
+      activities.push({
+        start,
+        end: end ?? start,
+        from: parseLatLng(segment.activity.start),
+        to: parseLatLng(segment.activity.end),
+        activityType: segment.activity.topCandidate?.type || 'UNKNOWN_ACTIVITY_TYPE'
+      })
+    } else if (segment.timelinePath) {
+      for (const point of segment.timelinePath) {
+        const coordinates = parseLatLng(point.point)
+        const timestamp = point.time
+          ? parseTime(point.time)
+          : start + Math.round(Number(point.durationMinutesOffsetFromStartTime || 0) * 60)
+        if (coordinates && timestamp !== null) pathPoints.push({ coordinates, timestamp })
+      }
+    }
+  }
+
+  // Attach recorded path points to the activity they fall inside
+  pathPoints.sort((a, b) => a.timestamp - b.timestamp)
+  const trips = []
+  let cursor = 0
+  for (const activity of activities.sort((a, b) => a.start - b.start)) {
+    while (cursor < pathPoints.length && pathPoints[cursor].timestamp < activity.start) cursor++
+    const inside = []
+    let k = cursor
+    while (k < pathPoints.length && pathPoints[k].timestamp <= activity.end) {
+      inside.push(pathPoints[k])
+      k++
+    }
+
+    const path = [
+      ...(activity.from ? [{ coordinates: activity.from, timestamp: activity.start }] : []),
+      ...inside,
+      ...(activity.to ? [{ coordinates: activity.to, timestamp: activity.end }] : [])
+    ]
+    if (path.length >= 2) {
+      trips.push({ path, activityType: activity.activityType })
+    }
+  }
+
+  return { visits, trips }
+}
+
+// Work out which export a parsed JSON file is; null if it isn't location history
+export function detectTakeoutFormat(json) {
+  if (!json || typeof json !== 'object') return null
+  if (Array.isArray(json.locations)) return 'records'
+  if (Array.isArray(json.timelineObjects)) return 'semantic'
+  if (Array.isArray(json.semanticSegments)) return 'timeline'
+  if (Array.isArray(json) && json.some(s => s && s.startTime && (s.visit || s.activity || s.timelinePath))) {
+    return 'timeline'
+  }
+  return null
+}
+
+const PARSERS = {
+  records: parseRecords,
+  semantic: parseSemanticHistory,
+  timeline: parseTimeline
+}
+
+// Parse one Takeout JSON document; returns { format, visits, trips } or null
+export function parseTakeout(json) {
+  const format = detectTakeoutFormat(json)
+  if (!format) return null
+  return { format, ...PARSERS[format](json) }
+}
+
+// Combine several parsed files into one { visits, trips }. Raw Records.json fixes are
+// only used when no semantic export is present, since they cover the same time in less detail.
+export function combineTakeout(parsedFiles) {
+  const hasSemantic = parsedFiles.some(p => p.format === 'semantic' || p.format === 'timeline')
+  const used = parsedFiles.filter(parsed => !(hasSemantic && parsed.format === 'records'))
+  return {
+    visits: used.flatMap(parsed => parsed.visits),
+    trips: used.flatMap(parsed => parsed.trips)
+  }
+}
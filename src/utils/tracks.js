@@ -0,0 +1,279 @@
+import { haversineDistance, roundCoord, isValidCoordinate } from './geo.js'
+import { parseTime } from './takeout.js'
+
+// Parsers for GPS track files (GPX, KML, GeoJSON). Track segments become trips and
+// waypoints become visits, in the same shape the Takeout parsers produce.
+
+// Drop track points closer than this to the previous kept point (GPS loggers record every second)
+const MIN_POINT_SPACING_KM = 0.01
+
+// Activity names used by fitness apps and devices → Takeout activity types
+const ACTIVITY_ALIASES = [
+  [/cycl|bik|ride/i, 'CYCLING'],
+  [/run|jog/i, 'RUNNING'],
+  [/hik|trek|mountaineer/i, 'HIKING'],
+  [/walk/i, 'WALKING'],
+  [/ski/i, 'SKIING'],
+  [/swim/i, 'SWIMMING'],
+  [/kayak|canoe|row|paddl|boat|sail/i, 'IN_FERRY'],
+  [/drive|driving|car|motor/i, 'IN_PASSENGER_VEHICLE'],
+  [/fly|flight/i, 'FLYING']
+]
+
+const normalizeActivity = (name) => {
+  if (!name) return null
+  const match = ACTIVITY_ALIASES.find(([pattern]) => pattern.test(name))
+  return match ? match[1] : null
+}
+
+// Fall back to average speed when the file doesn't say what the activity was
+const inferActivity = (path) => {
+  let km = 0
+  for (let i = 1; i < path.length; i++) {
+    km += haversineDistance(path[i - 1].coordinates, path[i].coordinates)
+  }
+  const hours = (path[path.length - 1].timestamp - path[0].timestamp) / 3600
+  const speed = hours > 0 ? km / hours : 0
+  if (speed < 7) return 'WALKING'
+  if (speed < 25) return 'CYCLING'
+  if (speed < 200) return 'IN_PASSENGER_VEHICLE'
+  return 'FLYING'
+}
+
+const makeCoord = (lng, lat) => {
+  const coords = [roundCoord(Number(lng)), roundCoord(Number(lat))]
+  return isValidCoordinate(coords) ? coords : null
+}
+
+// Give untimed points times spread evenly between start and end
+const spreadTimes = (coords, start, end) => coords.map((coordinates, i) => ({
+  coordinates,
+  timestamp: coords.length > 1 ? Math.round(start + (end - start) * i / (coords.length - 1)) : start
+}))
+
+const thinPath = (path) => {
+  const kept = []
+  for (const point of path) {
+    const prev = kept[kept.length - 1]
+    if (!prev || haversineDistance(prev.coordinates, point.coordinates) >= MIN_POINT_SPACING_KM) {
+      kept.push(point)
+    }
+  }
+  // Always keep the real end of the track
+  const last = path[path.length - 1]
+  if (kept.length > 0 && kept[kept.length - 1] !== last) kept.push(last)
+  return kept
+}
+
+const makeTrip = (path, activityName) => {
+  const sorted = path
+    .filter(p => p.coordinates && p.timestamp !== null)
+    .sort((a, b) => a.timestamp - b.timestamp)
+  const thinned = thinPath(sorted)
+  if (thinned.length < 2) return null
+  return {
+    path: thinned,
+    activityType: normalizeActivity(activityName) || inferActivity(thinned)
+  }
+}
+
+const makeWaypoint = (coordinates, timestamp, name, description) => ({
+  coordinates,
+  timestamp,
+  durationMinutes: 0,
+  semanticType: 'Unknown',
+  placeId: null,
+  placeName: name || null,
+  address: description || null,
+  city: null
+})
+
+// Waypoints often carry no time of their own; pin them to the start of the file's first track
+const finish = (trips, waypoints) => {
+  const fileStart = trips.length > 0
+    ? Math.min(...trips.map(t => t.path[0].timestamp))
+    : null
+  const visits = []
+  let untimed = 0
+  for (const waypoint of waypoints) {
+    const timestamp = waypoint.timestamp ?? fileStart
+    if (timestamp === null) {
+      untimed++
+      continue
+    }
+    visits.push({ ...waypoint, timestamp })
+  }
+  return { visits, trips, untimed }
+}
+
+const childText = (el, tag) => el.getElementsByTagName(tag)[0]?.textContent?.trim() || null
+
+export function parseGPX(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length) throw new Error('Invalid GPX file')
+
+  const trips = []
+  const waypoints = []
+  let untimed = 0
+
+  const readPoints = (elements) => Array.from(elements).map(pt => ({
+    coordinates: makeCoord(pt.getAttribute('lon'), pt.getAttribute('lat')),
+    timestamp: parseTime(childText(pt, 'time'))
+  }))
+
+  for (const trk of Array.from(doc.getElementsByTagName('trk'))) {
+    const activity = childText(trk, 'type') || childText(trk, 'name')
+    for (const seg of Array.from(trk.getElementsByTagName('trkseg'))) {
+      const points = readPoints(seg.getElementsByTagName('trkpt'))
+      if (points.every(p => p.timestamp === null)) {
+        untimed++
+        continue
+      }
+      const trip = makeTrip(points, activity)
+      if (trip) trips.push(trip)
+    }
+  }
+
+  for (const rte of Array.from(doc.getElementsByTagName('rte'))) {
+    const points = readPoints(rte.getElementsByTagName('rtept'))
+    if (points.every(p => p.timestamp === null)) {
+      untimed++
+      continue
+    }
+    const trip = makeTrip(points, childText(rte, 'type'))
+    if (trip) trips.push(trip)
+  }
+
+  for (const wpt of Array.from(doc.getElementsByTagName('wpt'))) {
+    const coordinates = makeCoord(wpt.getAttribute('lon'), wpt.getAttribute('lat'))
+    if (!coordinates) continue
+    waypoints.push(makeWaypoint(coordinates, parseTime(childText(wpt, 'time')), childText(wpt, 'name'), childText(wpt, 'desc')))
+  }
+
+  const result = finish(trips, waypoints)
+  return { ...result, untimed: result.untimed + untimed }
+}
+
+// "lng,lat[,alt] lng,lat[,alt] ..." → [[lng, lat], ...]
+const parseKmlCoordinates = (text) => (text || '')
+  .trim()
+  .split(/\s+/)
+  .map(tuple => {
+    const [lng, lat] = tuple.split(',')
+    return makeCoord(lng, lat)
+  })
+  .filter(Boolean)
+
+export function parseKML(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length) throw new Error('Invalid KML file')
+
+  const trips = []
+  const waypoints = []
+  let untimed = 0
+
+  for (const placemark of Array.from(doc.getElementsByTagName('Placemark'))) {
+    const name = childText(placemark, 'name')
+    const description = childText(placemark, 'description')
+    const begin = parseTime(childText(placemark, 'begin'))
+    const end = parseTime(childText(placemark, 'end'))
+    const when = parseTime(childText(placemark.getElementsByTagName('TimeStamp')[0] || placemark, 'when'))
+
+    // gx:Track pairs <when> with <gx:coord>
+    const tracks = Array.from(placemark.getElementsByTagName('gx:Track'))
+    for (const track of tracks) {
+      const times = Array.from(track.getElementsByTagName('when')).map(el => parseTime(el.textContent.trim()))
+      const coords = Array.from(track.getElementsByTagName('gx:coord')).map(el => {
+        const [lng, lat] = el.textContent.trim().split(/\s+/)
+        return makeCoord(lng, lat)
+      })
+      const points = coords.map((coordinates, i) => ({ coordinates, timestamp: times[i] ?? null }))
+      const trip = makeTrip(points, name)
+      if (trip) trips.push(trip)
+    }
+
+    // Plain LineStrings only carry times through the placemark's TimeSpan
+    for (const line of Array.from(placemark.getElementsByTagName('LineString'))) {
+      const coords = parseKmlCoordinates(childText(line, 'coordinates'))
+      if (begin === null) {
+        untimed++
+        continue
+      }
+      const trip = makeTrip(spreadTimes(coords, begin, end ?? begin), name)
+      if (trip) trips.push(trip)
+    }
+
+    if (tracks.length === 0) {
+      for (const point of Array.from(placemark.getElementsByTagName('Point'))) {
+        const [coordinates] = parseKmlCoordinates(childText(point, 'coordinates'))
+        if (!coordinates) continue
+        waypoints.push(makeWaypoint(coordinates, when ?? begin, name, description))
+      }
+    }
+  }
+
+  const result = finish(trips, waypoints)
+  return { ...result, untimed: result.untimed + untimed }
+}
+
+export function isGeoJSON(json) {
+  return json && (json.type === 'FeatureCollection' || json.type === 'Feature')
+}
+
+// GeoJSON tracks: times from properties.coordTimes / properties.times (togeojson
+// convention), a 4th coordinate, or a start/end time pair on the feature
+export function parseGeoJSONTracks(json) {
+  const features = json.type === 'Feature' ? [json] : json.features || []
+  const trips = []
+  const waypoints = []
+  let untimed = 0
+
+  for (const feature of features) {
+    const { geometry, properties = {} } = feature
+    if (!geometry) continue
+    const activity = properties.activityType || properties.type || properties.activity || properties.name
+    const start = parseTime(properties.startTime ?? properties.start ?? properties.time ?? properties.timestamp)
+    const end = parseTime(properties.endTime ?? properties.end)
+
+    if (geometry.type === 'Point') {
+      const coordinates = makeCoord(geometry.coordinates[0], geometry.coordinates[1])
+      if (coordinates) {
+        waypoints.push(makeWaypoint(coordinates, start, properties.name || properties.title, properties.description))
+      }
+      continue
+    }
+
+    const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+      : geometry.type === 'MultiLineString' ? geometry.coordinates
+      : []
+    const lineTimes = properties.coordTimes || properties.times
+    lines.forEach((line, lineIndex) => {
+      const times = Array.isArray(lineTimes?.[0]) ? lineTimes[lineIndex] : lineTimes
+      let points = line.map((c, i) => ({
+        coordinates: makeCoord(c[0], c[1]),
+        timestamp: parseTime(times?.[i] ?? c[3] ?? null)
+      }))
+      if (points.every(p => p.timestamp === null)) {
+        if (start === null) {
+          untimed++
+          return
+        }
+        points = spreadTimes(points.map(p => p.coordinates), start, end ?? start)
+      }
+      const trip = makeTrip(points, activity)
+      if (trip) trips.push(trip)
+    })
+  }
+
+  const result = finish(trips, waypoints)
+  return { ...result, untimed: result.untimed + untimed }
+}
+
+// Parse a track file by extension; returns { visits, trips, untimed } or null
+export function parseTrackFile(name, text) {
+  const lower = name.toLowerCase()
+  if (lower.endsWith('.gpx')) return parseGPX(text)
+  if (lower.endsWith('.kml')) return parseKML(text)
+  if (lower.endsWith('.geojson')) return parseGeoJSONTracks(JSON.parse(text))
+  return null
+}
@@ -0,0 +1,227 @@
+import { isValidCoordinate } from './geo.js'
+
+// Schema checks for the files in public/data. Each validator returns the records that
+// are safe to render plus grouped issues; nothing here throws on bad data.
+
+// Google location history starts in the 2000s; anything outside this is a unit or parse error
+const MIN_TIMESTAMP = 946684800 // 2000-01-01
+const maxTimestamp = () => Date.now() / 1000 + 86400
+
+const MAX_EXAMPLES = 5
+
+const isValidTimestamp = (ts) => Number.isFinite(ts) && ts >= MIN_TIMESTAMP && ts <= maxTimestamp()
+
+// Collects issues by kind so the panel can show "312 visits with bad coordinates" instead of 312 rows
+function createIssueLog(file) {
+  const byKind = new Map()
+  return {
+    add(kind, severity, message, example) {
+      if (!byKind.has(kind)) {
+        byKind.set(kind, { file, kind, severity, message, count: 0, examples: [] })
+      }
+      const issue = byKind.get(kind)
+      issue.count++
+      if (example !== undefined && issue.examples.length < MAX_EXAMPLES) issue.examples.push(example)
+    },
+    list: () => Array.from(byKind.values())
+  }
+}
+
+const notAnArray = (file) => [{
+  file,
+  kind: 'not-array',
+  severity: 'error',
+  message: 'File is not a JSON array',
+  count: 1,
+  examples: []
+}]
+
+export function validateVisits(visits, file = 'visits.json') {
+  if (!Array.isArray(visits)) return { valid: [], issues: notAnArray(file) }
+  const log = createIssueLog(file)
+  const valid = []
+
+  visits.forEach((visit, index) => {
+    if (!visit || typeof visit !== 'object') {
+      log.add('bad-record', 'error', 'records that are not objects', index)
+      return
+    }
+    if (!isValidCoordinate(visit.coordinates)) {
+      log.add('bad-coordinates', 'error', 'visits with missing or out-of-range coordinates', index)
+      return
+    }
+    if (!isValidTimestamp(visit.timestamp)) {
+      log.add('bad-timestamp', 'error', 'visits with missing or implausible timestamps', index)
+      return
+    }
+    if (visit.durationMinutes !== undefined && !(Number.isFinite(visit.durationMinutes) && visit.durationMinutes >= 0)) {
+      log.add('bad-duration', 'warning', 'visits with a negative or non-numeric durationMinutes', index)
+    }
+    if (!visit.semanticType) {
+      log.add('no-semantic-type', 'warning', 'visits without a semanticType', index)
+    }
+    valid.push(visit)
+  })
+
+  return { valid, issues: log.list() }
+}
+
+export function validateTrips(trips, file = 'trips.json') {
+  if (!Array.isArray(trips)) return { valid: [], issues: notAnArray(file) }
+  const log = createIssueLog(file)
+  const valid = []
+
+  trips.forEach((trip, index) => {
+    if (!trip || !Array.isArray(trip.path)) {
+      log.add('no-path', 'error', 'trips without a path array', index)
+      return
+    }
+    if (trip.path.length < 2) {
+      log.add('short-path', 'warning', 'trips with fewer than two points', index)
+      return
+    }
+    if (!trip.path.every(p => p && isValidCoordinate(p.coordinates))) {
+      log.add('bad-coordinates', 'error', 'trips with points that have bad coordinates', index)
+      return
+    }
+    if (!trip.path.every(p => isValidTimestamp(p.timestamp))) {
+      log.add('bad-timestamp', 'error', 'trips with points that have bad timestamps', index)
+      return
+    }
+    valid.push(trip)
+  })
+
+  return { valid, issues: log.list() }
+}
+
+export function validateArcs(arcs, file = 'arcs.json') {
+  if (!Array.isArray(arcs)) return { valid: [], issues: notAnArray(file) }
+  const log = createIssueLog(file)
+  const valid = []
+
+  arcs.forEach((arc, index) => {
+    if (!arc || !isValidCoordinate(arc.source) || !isValidCoordinate(arc.target)) {
+      log.add('bad-coordinates', 'error', 'arcs with bad source or target coordinates', index)
+      return
+    }
+    if (!Number.isInteger(arc.count) || arc.count < 1) {
+      log.add('bad-count', 'warning', 'arcs with a count that is not a positive integer', index)
+    }
+    if (!arc.months || typeof arc.months !== 'object' || !isValidTimestamp(arc.firstTimestamp) || !isValidTimestamp(arc.lastTimestamp)) {
+      // Older arcs.json files have no time buckets; those arcs show at every time range
+      log.add('no-time-buckets', 'info', 'arcs without time buckets (rebuild with npm run build-data to filter them by time)', index)
+    }
+    valid.push(arc)
+  })
+
+  return { valid, issues: log.list() }
+}
+
+export function validateMetadata(metadata, file = 'metadata.json') {
+  const log = createIssueLog(file)
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    log.add('not-object', 'error', 'File is not a JSON object')
+    return { valid: null, issues: log.list() }
+  }
+  for (const field of ['totalVisits', 'totalTrips', 'totalArcs']) {
+    if (!Number.isInteger(metadata[field]) || metadata[field] < 0) {
+      log.add(`bad-${field}`, 'error', `${field} is missing or not a count`)
+    }
+  }
+  for (const field of ['minTimestamp', 'maxTimestamp']) {
+    if (!isValidTimestamp(metadata[field])) {
+      log.add(`bad-${field}`, 'error', `${field} is missing or implausible`)
+    }
+  }
+  if (metadata.minTimestamp > metadata.maxTimestamp) {
+    log.add('inverted-range', 'error', 'minTimestamp is after maxTimestamp')
+  }
+  if (!metadata.semanticTypes || typeof metadata.semanticTypes !== 'object') {
+    log.add('no-semantic-types', 'warning', 'semanticTypes breakdown is missing')
+  }
+  return { valid: metadata, issues: log.list() }
+}
+
+// manifest.json indexes the per-year chunk files; its metadata block doubles as metadata.json
+export function validateManifest(manifest, file = 'manifest.json') {
+  const log = createIssueLog(file)
+  if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.chunks)) {
+    log.add('not-manifest', 'error', 'File is not an object with a chunks array')
+    return { valid: null, issues: log.list() }
+  }
+  const chunks = manifest.chunks.filter((chunk, index) => {
+    if (!chunk || typeof chunk.file !== 'string') {
+      log.add('no-file', 'error', 'chunk entries without a file', index)
+      return false
+    }
+    if (!isValidTimestamp(chunk.minTimestamp) || !isValidTimestamp(chunk.maxTimestamp)) {
+      log.add('bad-span', 'warning', 'chunk entries with a missing or implausible time span', chunk.file)
+    }
+    return true
+  })
+  const { valid: metadata, issues: metadataIssues } = validateMetadata(manifest.metadata, file)
+  return {
+    valid: { ...manifest, metadata, chunks },
+    issues: log.list().concat(metadataIssues)
+  }
+}
+
+export function validatePlaceDetails(placeDetails, file = 'place_details_cache.json') {
+  const log = createIssueLog(file)
+  if (!placeDetails || typeof placeDetails !== 'object' || Array.isArray(placeDetails)) {
+    log.add('not-object', 'error', 'File is not a JSON object keyed by place ID')
+    return { valid: {}, issues: log.list() }
+  }
+  const valid = {}
+  for (const [placeId, details] of Object.entries(placeDetails)) {
+    // null marks a place that was looked up and not found
+    if (details === null) {
+      log.add('empty-entry', 'info', 'place IDs with no details (lookup failed)', placeId)
+      continue
+    }
+    if (typeof details !== 'object' || typeof details.displayName !== 'string') {
+      log.add('bad-entry', 'warning', 'entries without a displayName', placeId)
+      continue
+    }
+    valid[placeId] = details
+  }
+  return { valid, issues: log.list() }
+}
+
+export function validateCountries(geojson, file = 'countries.geojson') {
+  const log = createIssueLog(file)
+  if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+    log.add('not-feature-collection', 'error', 'File is not a GeoJSON FeatureCollection')
+    return { valid: null, issues: log.list() }
+  }
+  const features = geojson.features.filter((feature, index) => {
+    const type = feature?.geometry?.type
+    if (type !== 'Polygon' && type !== 'MultiPolygon') {
+      log.add('bad-geometry', 'warning', 'features without a Polygon or MultiPolygon geometry', index)
+      return false
+    }
+    if (!feature.properties?.name) {
+      log.add('no-name', 'warning', 'features without a name property', index)
+    }
+    return true
+  })
+  return { valid: { ...geojson, features }, issues: log.list() }
+}
+
+// Compare metadata.json's totals with what the other files actually contain
+export function crossCheckMetadata(metadata, counts) {
+  const log = createIssueLog('metadata.json')
+  if (!metadata) return []
+  const checks = [
+    ['totalVisits', 'visits.json', counts.visits],
+    ['totalTrips', 'trips.json', counts.trips],
+    ['totalArcs', 'arcs.json', counts.arcs]
+  ]
+  for (const [field, file, actual] of checks) {
+    if (actual === undefined || metadata[field] === undefined) continue
+    if (metadata[field] !== actual) {
+      log.add(`mismatch-${field}`, 'warning', `${field} is ${metadata[field].toLocaleString()} but ${file} has ${actual.toLocaleString()} records`)
+    }
+  }
+  return log.list()
+}
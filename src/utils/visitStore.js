@@ -0,0 +1,152 @@
+import { lowerBound, upperBound } from './aggregate.js'
+import { createCountryResolver } from './countryIndex.js'
+import { profileOf } from './profiles.js'
+
+// One sorted copy of the visits with secondary indexes, shared by every component and the
+// query worker. Range, nearest and day lookups are binary searches; the group indexes
+// (city, country, place category, semantic type, source, profile) keep each group's positions
+// sorted, so counting a group inside a time range is two more binary searches, not a scan.
+
+// Without countries.geojson, countries come from the visits' addresses
+const addressCountry = createCountryResolver(null)
+
+const identity = (value) => value
+
+// Local calendar day, e.g. "2023-09-15"
+export function dayKey(timestamp) {
+  const date = new Date(timestamp * 1000)
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+}
+
+// Local midnight of a "YYYY-MM-DD" key, in unix seconds
+export function dayStart(key) {
+  const [year, month, day] = key.split('-').map(Number)
+  return new Date(year, month - 1, day).getTime() / 1000
+}
+
+const isSorted = (visits) => {
+  for (let i = 1; i < visits.length; i++) {
+    if (visits[i].timestamp < visits[i - 1].timestamp) return false
+  }
+  return true
+}
+
+// Map of group key → ascending positions into the sorted visits
+function buildIndex(keys) {
+  const index = new Map()
+  keys.forEach((key, position) => {
+    if (!key) return
+    if (!index.has(key)) index.set(key, [])
+    index.get(key).push(position)
+  })
+  return index
+}
+
+// resolveCountry: visit → country name, normally createCountryResolver(countries.geojson)
+export function createVisitStore(input = [], { resolveCountry = addressCountry } = {}) {
+  const visits = isSorted(input) ? input : [...input].sort((a, b) => a.timestamp - b.timestamp)
+
+  const dayKeys = visits.map(v => dayKey(v.timestamp))
+  const cityKeys = visits.map(v => (v.city && v.city !== 'Unknown' ? v.city : null))
+  const countryKeys = visits.map(resolveCountry)
+  // From place details (utils/places.js), when they've been joined on
+  const categoryKeys = visits.map(v => v.category || null)
+  const semanticTypeKeys = visits.map(v => v.semanticType || 'Unknown')
+  const sourceKeys = visits.map(v => v.source || null)
+  const profileKeys = visits.map(profileOf)
+
+  // Days are contiguous in the sorted array, so each one is just a [start, end) slice
+  const days = []
+  const dayBounds = new Map()
+  dayKeys.forEach((key, i) => {
+    if (i === 0 || key !== dayKeys[i - 1]) {
+      days.push(key)
+      dayBounds.set(key, [i, i + 1])
+    } else {
+      dayBounds.get(key)[1] = i + 1
+    }
+  })
+
+  const indexes = {
+    city: buildIndex(cityKeys),
+    country: buildIndex(countryKeys),
+    category: buildIndex(categoryKeys),
+    semanticType: buildIndex(semanticTypeKeys),
+    source: buildIndex(sourceKeys),
+    profile: buildIndex(profileKeys)
+  }
+
+  // [lo, hi) positions of visits with start <= timestamp <= end
+  const bounds = (start, end) => [lowerBound(visits, start), upperBound(visits, end)]
+
+  return {
+    visits,
+    size: visits.length,
+    minTimestamp: visits[0]?.timestamp ?? null,
+    maxTimestamp: visits[visits.length - 1]?.timestamp ?? null,
+
+    bounds,
+
+    // Visits with start <= timestamp <= end, in time order
+    range(start, end) {
+      const [lo, hi] = bounds(start, end)
+      return visits.slice(lo, hi)
+    },
+
+    // First visit at or after a timestamp
+    after(timestamp) {
+      return visits[lowerBound(visits, timestamp)] ?? null
+    },
+
+    // Visit closest in time to a timestamp
+    nearest(timestamp) {
+      if (visits.length === 0) return null
+      const i = lowerBound(visits, timestamp)
+      if (i === 0) return visits[0]
+      if (i === visits.length) return visits[visits.length - 1]
+      return timestamp - visits[i - 1].timestamp <= visits[i].timestamp - timestamp ? visits[i - 1] : visits[i]
+    },
+
+    // Visits on a local calendar day ("YYYY-MM-DD")
+    day(key) {
+      const span = dayBounds.get(key)
+      return span ? visits.slice(span[0], span[1]) : []
+    },
+
+    // Sorted list of days that have visits
+    days,
+
+    // Day that has visits closest to a given day key
+    nearestDay(key) {
+      if (days.length === 0) return null
+      const i = lowerBound(days, key, identity)
+      if (i === 0) return days[0]
+      if (i === days.length) return days[days.length - 1]
+      const target = dayStart(key)
+      return target - dayStart(days[i - 1]) <= dayStart(days[i]) - target ? days[i - 1] : days[i]
+    },
+
+    dayAt: (position) => dayKeys[position],
+    cityAt: (position) => cityKeys[position],
+    countryAt: (position) => countryKeys[position],
+    countryOf: resolveCountry,
+    categoryAt: (position) => categoryKeys[position],
+    profileAt: (position) => profileKeys[position],
+
+    // Visits in one city, country, category, semantic type, source or profile, in time order
+    group(field, key) {
+      return (indexes[field].get(key) || []).map(position => visits[position])
+    },
+
+    // Every key of a field with its visit count, optionally limited to [start, end]
+    groupBy(field, start = -Infinity, end = Infinity) {
+      const [lo, hi] = bounds(start, end)
+      const result = []
+      for (const [key, positions] of indexes[field]) {
+        const count = lowerBound(positions, hi, identity) - lowerBound(positions, lo, identity)
+        if (count > 0) result.push({ key, count, first: visits[positions[lowerBound(positions, lo, identity)]] })
+      }
+      return result.sort((a, b) => b.count - a.count)
+    }
+  }
+}
@@ -0,0 +1,134 @@
+// Minimal WebM muxer for one video track of VP8/VP9 chunks from a WebCodecs VideoEncoder.
+// Frames carry the timestamps the recorder gave them, so the file plays at the recording's
+// frame rate no matter how slowly it was rendered (MediaRecorder would stamp real time).
+
+const ID = {
+  EBML: 0x1a45dfa3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42f7,
+  EBMLMaxIDLength: 0x42f2,
+  EBMLMaxSizeLength: 0x42f3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  Duration: 0x4489,
+  MuxingApp: 0x4d80,
+  WritingApp: 0x5741,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackUID: 0x73c5,
+  TrackType: 0x83,
+  FlagLacing: 0x9c,
+  CodecID: 0x86,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3
+}
+
+// SimpleBlock timecodes are signed 16-bit offsets from their cluster's, in ms
+const MAX_CLUSTER_MS = 30000
+
+const uintBytes = (value) => {
+  const bytes = []
+  for (let v = value; v > 0; v = Math.floor(v / 256)) bytes.unshift(v % 256)
+  return bytes.length > 0 ? bytes : [0]
+}
+
+// EBML variable-length size: the leading 1 bit's position gives the byte count
+const sizeBytes = (size) => {
+  let length = 1
+  while (length < 8 && size >= 2 ** (7 * length) - 1) length++
+  const bytes = []
+  for (let i = 0, v = size; i < length; i++, v = Math.floor(v / 256)) bytes.unshift(v % 256)
+  bytes[0] |= 0x80 >> (length - 1)
+  return bytes
+}
+
+// An element is a flat list of byte arrays, so frame data is never copied into one buffer
+const element = (id, ...children) => {
+  const parts = children.flat(Infinity)
+  const size = parts.reduce((total, part) => total + part.length, 0)
+  return [new Uint8Array([...uintBytes(id), ...sizeBytes(size)]), ...parts]
+}
+
+const uint = (id, value) => element(id, new Uint8Array(uintBytes(value)))
+const string = (id, value) => element(id, new TextEncoder().encode(value))
+const float = (id, value) => {
+  const bytes = new Uint8Array(8)
+  new DataView(bytes.buffer).setFloat64(0, value)
+  return element(id, bytes)
+}
+
+const simpleBlock = (frame, clusterTime) => {
+  const offset = Math.round(frame.timestamp - clusterTime)
+  const header = new Uint8Array([0x81, (offset >> 8) & 0xff, offset & 0xff, frame.key ? 0x80 : 0])
+  return element(ID.SimpleBlock, header, frame.data)
+}
+
+// codec: 'V_VP8' or 'V_VP9'
+export function createWebmWriter({ width, height, codec }) {
+  const frames = []
+
+  return {
+    // An EncodedVideoChunk from VideoEncoder's output callback
+    addChunk(chunk) {
+      const data = new Uint8Array(chunk.byteLength)
+      chunk.copyTo(data)
+      frames.push({ data, timestamp: chunk.timestamp / 1000, key: chunk.type === 'key' })
+    },
+
+    get frameCount() {
+      return frames.length
+    },
+
+    // durationMs: length of the recording, which runs one frame past the last timestamp
+    finish(durationMs) {
+      const clusters = []
+      let cluster = null
+      for (const frame of frames) {
+        if (!cluster || frame.key || frame.timestamp - cluster.time >= MAX_CLUSTER_MS) {
+          cluster = { time: Math.round(frame.timestamp), blocks: [] }
+          clusters.push(cluster)
+        }
+        cluster.blocks.push(simpleBlock(frame, cluster.time))
+      }
+
+      const header = element(ID.EBML,
+        uint(ID.EBMLVersion, 1),
+        uint(ID.EBMLReadVersion, 1),
+        uint(ID.EBMLMaxIDLength, 4),
+        uint(ID.EBMLMaxSizeLength, 8),
+        string(ID.DocType, 'webm'),
+        uint(ID.DocTypeVersion, 2),
+        uint(ID.DocTypeReadVersion, 2)
+      )
+      const segment = element(ID.Segment,
+        element(ID.Info,
+          uint(ID.TimecodeScale, 1000000),
+          float(ID.Duration, durationMs),
+          string(ID.MuxingApp, 'An Odyssey'),
+          string(ID.WritingApp, 'An Odyssey')
+        ),
+        element(ID.Tracks,
+          element(ID.TrackEntry,
+            uint(ID.TrackNumber, 1),
+            uint(ID.TrackUID, 1),
+            uint(ID.TrackType, 1),
+            uint(ID.FlagLacing, 0),
+            string(ID.CodecID, codec),
+            element(ID.Video, uint(ID.PixelWidth, width), uint(ID.PixelHeight, height))
+          )
+        ),
+        clusters.map(c => element(ID.Cluster, uint(ID.Timecode, c.time), c.blocks))
+      )
+      return new Blob([...header, ...segment], { type: 'video/webm' })
+    }
+  }
+}
@@ -0,0 +1,95 @@
+// Uncompressed ("stored") ZIP archive writer. PNGs are already compressed, so storing them
+// costs nothing and keeps this to headers and a CRC. There are no ZIP64 records, so an
+// archive holds at most 65,535 entries and 4 GiB; add refuses anything past that.
+
+const MAX_ENTRIES = 0xffff
+const MAX_OFFSET = 0xffffffff
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  return c >>> 0
+})
+
+function crc32(bytes) {
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+// MS-DOS date and time, as ZIP headers store them
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1)
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  return { time, day }
+}
+
+export function createZip() {
+  const parts = []
+  const entries = []
+  let offset = 0
+  let directorySize = 0
+  const { time, day } = dosDateTime(new Date())
+
+  return {
+    // data: Uint8Array
+    add(name, data) {
+      const nameBytes = new TextEncoder().encode(name)
+      if (!this.fits(nameBytes.length, data.length)) throw new RangeError('ZIP archive is full')
+      const crc = crc32(data)
+      const header = new Uint8Array(30 + nameBytes.length)
+      const view = new DataView(header.buffer)
+      view.setUint32(0, 0x04034b50, true)
+      view.setUint16(4, 20, true)
+      view.setUint16(10, time, true)
+      view.setUint16(12, day, true)
+      view.setUint32(14, crc, true)
+      view.setUint32(18, data.length, true)
+      view.setUint32(22, data.length, true)
+      view.setUint16(26, nameBytes.length, true)
+      header.set(nameBytes, 30)
+      parts.push(header, data)
+      entries.push({ nameBytes, crc, size: data.length, offset })
+      offset += header.length + data.length
+      directorySize += 46 + nameBytes.length
+    },
+
+    // Whether an entry with a name and data of these lengths can still be added
+    fits(nameLength, dataLength) {
+      const end = offset + 30 + nameLength + dataLength + directorySize + 46 + nameLength + 22
+      return entries.length < MAX_ENTRIES && end <= MAX_OFFSET
+    },
+
+    // Bytes written so far, not counting the central directory
+    get size() {
+      return offset
+    },
+
+    finish() {
+      const directory = entries.map(entry => {
+        const record = new Uint8Array(46 + entry.nameBytes.length)
+        const view = new DataView(record.buffer)
+        view.setUint32(0, 0x02014b50, true)
+        view.setUint16(4, 20, true)
+        view.setUint16(6, 20, true)
+        view.setUint16(12, time, true)
+        view.setUint16(14, day, true)
+        view.setUint32(16, entry.crc, true)
+        view.setUint32(20, entry.size, true)
+        view.setUint32(24, entry.size, true)
+        view.setUint16(28, entry.nameBytes.length, true)
+        view.setUint32(42, entry.offset, true)
+        record.set(entry.nameBytes, 46)
+        return record
+      })
+      const end = new Uint8Array(22)
+      const view = new DataView(end.buffer)
+      view.setUint32(0, 0x06054b50, true)
+      view.setUint16(8, entries.length, true)
+      view.setUint16(10, entries.length, true)
+      view.setUint32(12, directorySize, true)
+      view.setUint32(16, offset, true)
+      return new Blob([...parts, ...directory, end], { type: 'application/zip' })
+    }
+  }
+}
@@ -0,0 +1,108 @@
+import {
+  aggregateToGrid,
+  indexArcs,
+  arcsInRange,
+  countryBreakdown,
+  categoryBreakdown,
+  profileBreakdown,
+  summarizeVisits,
+  topPlaces,
+  timeBudget,
+  lowerBound,
+  upperBound
+} from '../utils/aggregate.js'
+import { createVisitStore } from '../utils/visitStore.js'
+import { createCountryResolver } from '../utils/countryIndex.js'
+import { findCrossings } from '../utils/profiles.js'
+import { buildArcs } from '../utils/dataset.js'
+
+// Answers time-range queries off the main thread. The dataset is sent once per change
+// ({ type: 'load' }); each query then only carries the range and which results it needs.
+// Arcs come precomputed from arcs.json and are only re-counted from their monthly buckets;
+// for a filtered selection they're built here from the visits and sent back once per load.
+// Visits arrive already sorted by the main thread's visit store, so positions line up.
+// A load only carries what changed, so the rest is kept from the previous one.
+
+let version = 0
+let resolveCountry = createCountryResolver(null)
+let store = createVisitStore([])
+let trips = []
+let arcs = []
+let arcIndex = []
+let crossings = []
+// Whether arcs are built from the visits rather than sent
+let ownArcs = false
+
+function load(message) {
+  version = message.version
+  // countries.geojson is only sent when it changes; the resolver keeps its lookup cache otherwise
+  if (message.countries !== undefined) resolveCountry = createCountryResolver(message.countries)
+  if (message.visits || message.countries !== undefined) {
+    store = createVisitStore(message.visits || store.visits, { resolveCountry })
+  }
+  if (message.visits) crossings = store.groupBy('profile').length > 1 ? findCrossings(store.visits) : []
+  if (message.trips) trips = message.trips
+
+  if (message.arcs !== undefined) {
+    ownArcs = message.arcs === null
+    if (!ownArcs) arcs = message.arcs
+  }
+  if (ownArcs && (message.visits || message.arcs === null)) {
+    arcs = buildArcs(store.visits)
+    self.postMessage({ type: 'arcs', version, arcs })
+  }
+  if (message.arcs !== undefined || (ownArcs && message.visits)) arcIndex = indexArcs(arcs)
+}
+
+function query({ id, range, tripRange, include }) {
+  const [lo, hi] = store.bounds(range[0], range[1])
+  const visits = store.visits.slice(lo, hi)
+
+  const [tripStart, tripEnd] = tripRange || range
+  const tripIndices = []
+  trips.forEach((trip, i) => {
+    if (!trip.path || trip.path.length < 2) return
+    const start = trip.path[0].timestamp
+    const end = trip.path[trip.path.length - 1].timestamp
+    if (end >= tripStart && start <= tripEnd) tripIndices.push(i)
+  })
+  const tripIndexArray = Uint32Array.from(tripIndices)
+  const arcSelection = include.arcs
+    ? arcsInRange(arcs, arcIndex, range[0], range[1])
+    : { indices: new Uint32Array(0), counts: new Uint32Array(0), timestamps: new Float64Array(0) }
+
+  const countries = countryBreakdown(store, lo, hi)
+  const profiles = profileBreakdown(store, lo, hi)
+  const stats = { ...summarizeVisits(visits), categories: categoryBreakdown(store, lo, hi) }
+  // Everyone's distance is their own; walking the merged timeline would hop between people
+  if (profiles.length > 1) stats.kilometers = profiles.reduce((sum, profile) => sum + profile.kilometers, 0)
+
+  self.postMessage({
+    id,
+    version,
+    visitRange: [lo, hi],
+    tripIndices: tripIndexArray,
+    grid: include.grid ? aggregateToGrid(visits, 0.015) : null, // ~1.5km cells
+    arcSelection,
+    // Keyed by registry country names for the map's country layer
+    countryDays: Object.fromEntries(countries.map(({ country, days }) => [country, days])),
+    countries,
+    stats,
+    profiles,
+    crossings: crossings.slice(lowerBound(crossings, range[0]), upperBound(crossings, range[1])),
+    // Top places and time per semantic type, for comparing periods
+    places: include.places ? { top: topPlaces(visits), budget: timeBudget(visits) } : null
+  }, [tripIndexArray.buffer, arcSelection.indices.buffer, arcSelection.counts.buffer, arcSelection.timestamps.buffer])
+}
+
+self.onmessage = (e) => {
+  if (e.data.type === 'load') load(e.data)
+  else if (e.data.type === 'query') {
+    // A failed query is answered anyway, so the main thread's queue moves on
+    try {
+      query(e.data)
+    } catch (err) {
+      self.postMessage({ id: e.data.id, version, error: err.message })
+    }
+  }
+}